@@ -0,0 +1,35 @@
+// Account states and what each one still allows. Checked at sign-in and on
+// every request (middleware/auth.js), and on every debit and credit
+// (services/accounts.js).
+
+const ACCOUNT_STATUSES = {
+  ACTIVE: "active",
+  // Money can come in but not go out
+  FROZEN_DEBITS: "frozen-debits",
+  // Nothing moves and the user can't sign in
+  FROZEN_ALL: "frozen-all",
+  CLOSED: "closed",
+}
+
+const STATUS_RULES = {
+  [ACCOUNT_STATUSES.ACTIVE]: { signIn: true, debit: true, credit: true },
+  [ACCOUNT_STATUSES.FROZEN_DEBITS]: { signIn: true, debit: false, credit: true },
+  [ACCOUNT_STATUSES.FROZEN_ALL]: { signIn: false, debit: false, credit: false },
+  [ACCOUNT_STATUSES.CLOSED]: { signIn: false, debit: false, credit: false },
+}
+
+// Why an account left the active state
+const STATUS_REASONS = {
+  SUSPECTED_FRAUD: "suspected_fraud",
+  ACCOUNT_COMPROMISED: "account_compromised",
+  COMPLIANCE_REVIEW: "compliance_review",
+  REGULATORY_ORDER: "regulatory_order",
+  CUSTOMER_REQUEST: "customer_request",
+  DECEASED: "deceased",
+  OTHER: "other",
+}
+
+// Closed accounts and their records are kept at least this long after closure
+const RECORD_RETENTION_YEARS = Number(process.env.RECORD_RETENTION_YEARS) || 5
+
+module.exports = { ACCOUNT_STATUSES, STATUS_RULES, STATUS_REASONS, RECORD_RETENTION_YEARS }
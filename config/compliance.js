@@ -0,0 +1,41 @@
+// Suspicious activity cases (see services/complianceCases.js)
+
+const CASE_STATUSES = {
+  OPEN: "open",
+  INVESTIGATING: "investigating",
+  ESCALATED: "escalated",
+  // A suspicious activity report has been filed
+  REPORTED: "reported",
+  CLOSED: "closed",
+}
+
+// Which statuses a case can move to from each status. A closed case can be
+// reopened for investigation.
+const CASE_TRANSITIONS = {
+  [CASE_STATUSES.OPEN]: [CASE_STATUSES.INVESTIGATING, CASE_STATUSES.ESCALATED, CASE_STATUSES.CLOSED],
+  [CASE_STATUSES.INVESTIGATING]: [CASE_STATUSES.ESCALATED, CASE_STATUSES.REPORTED, CASE_STATUSES.CLOSED],
+  [CASE_STATUSES.ESCALATED]: [CASE_STATUSES.INVESTIGATING, CASE_STATUSES.REPORTED, CASE_STATUSES.CLOSED],
+  [CASE_STATUSES.REPORTED]: [CASE_STATUSES.CLOSED],
+  [CASE_STATUSES.CLOSED]: [CASE_STATUSES.INVESTIGATING],
+}
+
+// Statuses that stop the SLA clock
+const RESOLVED_STATUSES = [CASE_STATUSES.REPORTED, CASE_STATUSES.CLOSED]
+
+// What raised the case
+const CASE_SOURCES = {
+  RISK_RULE: "risk_rule",
+  WATCHLIST: "watchlist",
+  LIMIT_BREACH: "limit_breach",
+  MANUAL: "manual",
+}
+
+// Hours from opening until a case of each priority must be resolved
+const CASE_PRIORITIES = {
+  critical: { slaHours: 24 },
+  high: { slaHours: 72 },
+  medium: { slaHours: 7 * 24 },
+  low: { slaHours: 14 * 24 },
+}
+
+module.exports = { CASE_STATUSES, CASE_TRANSITIONS, RESOLVED_STATUSES, CASE_SOURCES, CASE_PRIORITIES }
@@ -0,0 +1,33 @@
+const money = require("../utils/money")
+
+// Built-in fee schedules, used for any channel that has no active default
+// schedule stored in the feeschedules collection. Amounts are in kobo.
+// `npm run fees:seed` copies these into the database so they can be edited.
+const DEFAULT_FEE_SCHEDULES = [
+  { name: "P2P transfer fee", channel: "p2p", type: "flat", flatAmount: money.toMinor(25) },
+  { name: "Bank transfer fee", channel: "bank_transfer", type: "flat", flatAmount: money.toMinor(25) },
+  { name: "Withdrawal fee", channel: "withdrawal", type: "flat", flatAmount: money.toMinor(25) },
+  { name: "Card deposit fee", channel: "card_deposit", type: "flat", flatAmount: 0 },
+]
+
+// Statutory levies are charged on top of the fee and are never waived
+const DEFAULT_LEVIES = [
+  {
+    name: "Transfer duty",
+    kind: "levy",
+    channel: "bank_transfer",
+    type: "flat",
+    flatAmount: money.toMinor(50),
+    minAmount: money.toMinor(10000),
+  },
+  {
+    name: "Transfer duty",
+    kind: "levy",
+    channel: "withdrawal",
+    type: "flat",
+    flatAmount: money.toMinor(50),
+    minAmount: money.toMinor(10000),
+  },
+]
+
+module.exports = { DEFAULT_FEE_SCHEDULES, DEFAULT_LEVIES }
@@ -0,0 +1,38 @@
+const money = require("../utils/money")
+
+// KYC tiers. Every account starts on tier 1; moving up needs the listed
+// requirements, a provider check and a reviewer's approval. Amounts are in kobo;
+// a null maxBalance means no cap.
+const TIERS = {
+  1: {
+    name: "Tier 1",
+    maxBalance: money.toMinor(300000),
+    perTransaction: money.toMinor(50000),
+    requirements: [],
+  },
+  2: {
+    name: "Tier 2",
+    maxBalance: money.toMinor(500000),
+    perTransaction: money.toMinor(200000),
+    requirements: ["bvn", "selfie"],
+  },
+  3: {
+    name: "Tier 3",
+    maxBalance: null,
+    perTransaction: money.toMinor(5000000),
+    requirements: ["bvn", "nin", "selfie", "id_document"],
+  },
+}
+
+const DEFAULT_TIER = 1
+
+// Uploaded documents
+const DOCUMENTS = {
+  types: ["selfie", "id_document", "proof_of_address"],
+  idTypes: ["national_id", "passport", "drivers_licence", "voters_card"],
+  mimeTypes: ["image/jpeg", "image/png", "application/pdf"],
+  maxBytes: 5 * 1024 * 1024,
+  storageDir: process.env.KYC_STORAGE_DIR || "storage/kyc",
+}
+
+module.exports = { TIERS, DEFAULT_TIER, DOCUMENTS }
@@ -0,0 +1,47 @@
+const money = require("../utils/money")
+
+// Limit profiles. Each channel has a per-transaction cap and caps on the
+// total over a rolling day and a rolling 30 days. A user gets the profile named
+// after their KYC tier unless staff have given them another one. Amounts are
+// in kobo.
+
+const WINDOWS = {
+  daily: 24 * 60 * 60 * 1000,
+  monthly: 30 * 24 * 60 * 60 * 1000,
+}
+
+const caps = (perTransaction, daily, monthly) => ({
+  perTransaction: money.toMinor(perTransaction),
+  daily: money.toMinor(daily),
+  monthly: money.toMinor(monthly),
+})
+
+const PROFILES = {
+  tier1: {
+    p2p: caps(50000, 100000, 1000000),
+    bank_transfer: caps(50000, 100000, 1000000),
+    withdrawal: caps(50000, 100000, 1000000),
+    card_deposit: caps(50000, 200000, 1000000),
+  },
+  tier2: {
+    p2p: caps(200000, 500000, 5000000),
+    bank_transfer: caps(200000, 500000, 5000000),
+    withdrawal: caps(200000, 500000, 5000000),
+    card_deposit: caps(200000, 1000000, 5000000),
+  },
+  tier3: {
+    p2p: caps(5000000, 25000000, 200000000),
+    bank_transfer: caps(5000000, 25000000, 200000000),
+    withdrawal: caps(5000000, 25000000, 200000000),
+    card_deposit: caps(1000000, 5000000, 50000000),
+  },
+  // For accounts under suspicion: enough to live on, not enough to drain
+  restricted: {
+    p2p: caps(10000, 20000, 100000),
+    bank_transfer: caps(10000, 20000, 100000),
+    withdrawal: caps(10000, 20000, 100000),
+    card_deposit: caps(10000, 20000, 100000),
+  },
+}
+
+module.exports = { WINDOWS, PROFILES }
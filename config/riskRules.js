@@ -0,0 +1,109 @@
+const money = require("../utils/money")
+
+// Rules for scoring outgoing payments (see services/risk.js). Each rule that
+// fires adds its score; the total picks the outcome from THRESHOLDS. Rules see
+// the signals gathered for the payment:
+//
+//   amount            the payment, in kobo
+//   channel           p2p, bank_transfer or withdrawal
+//   recentCount       outgoing payments in the last SIGNALS.velocityWindowMinutes
+//   recentTotal       their total, in kobo
+//   historyCount      settled outgoing payments in the last SIGNALS.historyDays
+//   historyAverage    their average, in kobo (0 with no history)
+//   historyMax        the largest of them, in kobo
+//   newDevice         the device was first seen within SIGNALS.newDeviceHours
+//   newIp             no sign-in from this IP before SIGNALS.newDeviceHours ago
+//   newBeneficiary    a beneficiary was added within SIGNALS.newBeneficiaryMinutes,
+//                     or this payment saves one
+//   pinChanged        the PIN was set, changed or reset within SIGNALS.credentialChangeHours
+//   passwordChanged   the password was changed or reset within that time
+
+// Set RISK_ENGINE_ENABLED=false to let every payment through unscored
+const ENABLED = process.env.RISK_ENGINE_ENABLED !== "false"
+
+const OUTCOMES = {
+  ALLOW: "allow",
+  STEP_UP: "step_up",
+  REVIEW: "review",
+  BLOCK: "block",
+}
+
+// Minimum total score for each outcome; anything lower is allowed
+const THRESHOLDS = {
+  [OUTCOMES.STEP_UP]: 30,
+  [OUTCOMES.REVIEW]: 60,
+  [OUTCOMES.BLOCK]: 100,
+}
+
+const SIGNALS = {
+  velocityWindowMinutes: 60,
+  historyDays: 90,
+  newDeviceHours: 24,
+  newBeneficiaryMinutes: 60,
+  credentialChangeHours: 24,
+}
+
+const RULES = [
+  {
+    id: "velocity_burst",
+    description: "Five or more payments in the last hour",
+    score: 35,
+    when: (s) => s.recentCount >= 5,
+  },
+  {
+    id: "velocity_volume",
+    description: "More than ₦200,000 sent in the last hour",
+    score: 25,
+    when: (s) => s.recentTotal + s.amount > money.toMinor(200000),
+  },
+  {
+    id: "amount_above_history",
+    description: "Over five times the user's average payment",
+    score: 25,
+    when: (s) => s.historyCount >= 3 && s.amount > s.historyAverage * 5 && s.amount > money.toMinor(20000),
+  },
+  {
+    id: "amount_above_max",
+    description: "Over twice the largest payment the user has made",
+    score: 20,
+    when: (s) => s.historyCount >= 3 && s.amount > s.historyMax * 2 && s.amount > money.toMinor(20000),
+  },
+  {
+    id: "large_first_payment",
+    description: "A large payment from a user with no payment history",
+    score: 30,
+    when: (s) => s.historyCount === 0 && s.amount >= money.toMinor(50000),
+  },
+  {
+    id: "new_device",
+    description: "Sent from a device first seen in the last day",
+    score: 25,
+    when: (s) => s.newDevice,
+  },
+  {
+    id: "new_ip",
+    description: "Sent from an IP address the user hasn't signed in from before",
+    score: 10,
+    when: (s) => s.newIp,
+  },
+  {
+    id: "new_beneficiary",
+    description: "A beneficiary was added in the last hour",
+    score: 25,
+    when: (s) => s.newBeneficiary,
+  },
+  {
+    id: "recent_pin_change",
+    description: "The PIN was changed or reset in the last day",
+    score: 25,
+    when: (s) => s.pinChanged,
+  },
+  {
+    id: "recent_password_change",
+    description: "The password was changed or reset in the last day",
+    score: 30,
+    when: (s) => s.passwordChanged,
+  },
+]
+
+module.exports = { ENABLED, OUTCOMES, THRESHOLDS, SIGNALS, RULES }
@@ -0,0 +1,69 @@
+// Roles and what they may do. Routes ask for a permission (see
+// middleware/authorize.js), never for a role, so roles can be reshaped here
+// without touching the routes.
+
+const ROLES = {
+  USER: "user",
+  SUPPORT: "support",
+  FINANCE_ADMIN: "finance-admin",
+  COMPLIANCE: "compliance",
+  SUPER_ADMIN: "super-admin",
+}
+
+const PERMISSIONS = {
+  USERS_READ: "users:read",
+  USERS_MANAGE: "users:manage",
+  TRANSACTIONS_READ: "transactions:read",
+  DEPOSITS_CONFIRM: "deposits:confirm",
+  PAYMENTS_REVERIFY: "payments:reverify",
+  BALANCES_ADJUST: "balances:adjust",
+  BALANCES_APPROVE: "balances:approve",
+  ROLES_MANAGE: "roles:manage",
+  AUDIT_READ: "audit:read",
+  KYC_REVIEW: "kyc:review",
+  RISK_REVIEW: "risk:review",
+  LIMITS_MANAGE: "limits:manage",
+  SCREENING_REVIEW: "screening:review",
+  CASES_READ: "cases:read",
+  CASES_MANAGE: "cases:manage",
+  CASES_EXPORT: "cases:export",
+}
+
+const ROLE_PERMISSIONS = {
+  [ROLES.USER]: [],
+  [ROLES.SUPPORT]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.TRANSACTIONS_READ,
+    PERMISSIONS.PAYMENTS_REVERIFY,
+    PERMISSIONS.KYC_REVIEW,
+  ],
+  [ROLES.FINANCE_ADMIN]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.USERS_MANAGE,
+    PERMISSIONS.TRANSACTIONS_READ,
+    PERMISSIONS.DEPOSITS_CONFIRM,
+    PERMISSIONS.PAYMENTS_REVERIFY,
+    PERMISSIONS.BALANCES_ADJUST,
+    PERMISSIONS.BALANCES_APPROVE,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.RISK_REVIEW,
+    PERMISSIONS.LIMITS_MANAGE,
+  ],
+  [ROLES.COMPLIANCE]: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.TRANSACTIONS_READ,
+    PERMISSIONS.KYC_REVIEW,
+    PERMISSIONS.SCREENING_REVIEW,
+    PERMISSIONS.LIMITS_MANAGE,
+    PERMISSIONS.CASES_READ,
+    PERMISSIONS.CASES_MANAGE,
+    PERMISSIONS.CASES_EXPORT,
+  ],
+  // Everything
+  [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS),
+}
+
+const can = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission)
+
+module.exports = { ROLES, PERMISSIONS, ROLE_PERMISSIONS, can }
@@ -0,0 +1,20 @@
+// Watchlist screening (see services/screening.js). Names scoring at least
+// MATCH_THRESHOLD against a watchlist name or alias (0 to 1, see
+// utils/names.js) go to compliance for review.
+
+const MATCH_THRESHOLD = Number(process.env.SCREENING_MATCH_THRESHOLD) || 0.88
+
+// Most candidates scored per screening, so a very common name can't make one
+// screening scan the whole list
+const MAX_CANDIDATES = 500
+
+// Where a screening happened
+const CONTEXTS = {
+  REGISTRATION: "registration",
+  BENEFICIARY: "beneficiary",
+  BANK_TRANSFER: "bank_transfer",
+  ACCOUNT_CLOSURE: "account_closure",
+  RESCREEN: "rescreen",
+}
+
+module.exports = { MATCH_THRESHOLD, MAX_CANDIDATES, CONTEXTS }
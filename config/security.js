@@ -0,0 +1,57 @@
+const money = require("../utils/money")
+
+// Step-up authentication: actions that need a fresh two-factor code on top of
+// the transaction PIN. Amounts are in kobo.
+const STEP_UP = {
+  // Outgoing transfers above this amount
+  transferThreshold: money.toMinor(Number(process.env.STEP_UP_TRANSFER_THRESHOLD) || 100000),
+  // Other actions that always need a code. "risky_payment" is a payment the
+  // risk engine asked for a step-up on (see config/riskRules.js);
+  // "close_account" pays the whole balance out.
+  actions: ["add_card", "add_beneficiary", "risky_payment", "close_account"],
+  // When true, users without 2FA can't perform step-up actions at all; when
+  // false they are let through on the PIN alone
+  requireEnrolment: process.env.STEP_UP_REQUIRE_ENROLMENT === "true",
+  // Actions that need 2FA set up whatever requireEnrolment says. Closing an
+  // account sends the whole balance out, so a PIN alone isn't enough.
+  enrolmentRequiredFor: ["close_account"],
+}
+
+// Two-factor settings
+const TWO_FACTOR = {
+  issuer: process.env.TWO_FACTOR_ISSUER || "Cecure",
+  backupCodeCount: 10,
+  // How long a password-verified login waits for its 2FA code
+  challengeTtl: "5m",
+}
+
+// Brute-force protection. Failures are counted per account and per IP within
+// `windowMinutes`; each failure adds a growing delay before the next attempt
+// (1s, 2s, 4s... up to maxDelaySeconds), and reaching the limit locks the key
+// for `lockoutMinutes`.
+const THROTTLE = {
+  login: {
+    accountLimit: 5,
+    ipLimit: 20,
+    windowMinutes: 15,
+    lockoutMinutes: 15,
+    maxDelaySeconds: 30,
+  },
+  pin: {
+    accountLimit: 3,
+    ipLimit: 10,
+    windowMinutes: 30,
+    lockoutMinutes: 30,
+    maxDelaySeconds: 30,
+  },
+}
+
+// After a forgotten PIN is reset, outgoing transfers are capped for a while so
+// someone who took over the account can't empty it straight away
+const PIN_RESET = {
+  coolingOffHours: Number(process.env.PIN_RESET_COOLING_OFF_HOURS) || 24,
+  // Total outgoing amount allowed during the cooling-off period, in kobo
+  transferCap: money.toMinor(Number(process.env.PIN_RESET_TRANSFER_CAP) || 20000),
+}
+
+module.exports = { STEP_UP, TWO_FACTOR, THROTTLE, PIN_RESET }
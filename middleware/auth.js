@@ -1,6 +1,10 @@
 const jwt = require("jsonwebtoken")
+const User = require("../models/User")
+const sessions = require("../services/sessions")
+const accounts = require("../services/accounts")
+const { sendError } = require("../utils/errors")
 
-module.exports = (req, res, next) => {
+module.exports = async (req, res, next) => {
   // Get token from header
   const token = req.header("x-auth-token")
 
@@ -10,15 +14,35 @@ module.exports = (req, res, next) => {
   }
 
   // Verify token
+  let decoded
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    req.user = decoded.user
-    next()
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
   } catch (err) {
     console.error("Token verification error:", err.message)
     if (err.name === "TokenExpiredError") {
       return res.status(401).json({ success: false, message: "Token has expired, please login again" })
     }
-    res.status(401).json({ success: false, message: "Token is not valid" })
+    return res.status(401).json({ success: false, message: "Token is not valid" })
+  }
+
+  // The token is only good while its session is: logging out revokes it
+  try {
+    const session = decoded.sid ? await sessions.findActiveSession(decoded.sid) : null
+    if (!session || String(session.userId) !== decoded.user.id) {
+      return res.status(401).json({ success: false, message: "Session has ended, please login again" })
+    }
+
+    // Frozen and closed accounts are shut out straight away, not when the
+    // access token expires
+    const user = await User.findById(decoded.user.id).select("status")
+    if (!user) {
+      return res.status(401).json({ success: false, message: "User not found" })
+    }
+    accounts.assertAllows(user, "signIn")
+
+    req.user = { ...decoded.user, sessionId: decoded.sid, accountStatus: accounts.statusOf(user) }
+    next()
+  } catch (err) {
+    sendError(res, err, "Session lookup error")
   }
 }
@@ -0,0 +1,24 @@
+const User = require("../models/User")
+const { can } = require("../config/roles")
+
+// Allows the request only if the user's role grants `permission`. The role is
+// read from the database rather than the token, so a demotion takes effect
+// immediately. Must run after auth.
+module.exports = (permission) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("role")
+    if (!user) {
+      return res.status(401).json({ success: false, message: "User not found" })
+    }
+
+    if (!can(user.role, permission)) {
+      return res.status(403).json({ success: false, message: "You do not have permission to do this", code: "FORBIDDEN" })
+    }
+
+    req.user.role = user.role
+    next()
+  } catch (err) {
+    console.error("Authorization error:", err.message)
+    res.status(500).json({ success: false, message: "Server error" })
+  }
+}
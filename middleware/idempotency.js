@@ -0,0 +1,111 @@
+const crypto = require("crypto")
+const IdempotencyKey = require("../models/IdempotencyKey")
+
+// How long a key (and its stored response) is kept before it can be reused
+const KEY_TTL_HOURS = Number.parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24
+
+// Serialize with sorted object keys so the same body always hashes the same way
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(",")}}`
+  }
+  return JSON.stringify(value)
+}
+
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.originalUrl} ${canonicalize(req.body || {})}`)
+    .digest("hex")
+
+// Replays the stored response when a client retries a request with the same
+// Idempotency-Key header. Must run after auth. Requests without the header are
+// processed normally.
+module.exports = async (req, res, next) => {
+  const key = req.header("Idempotency-Key")
+  if (!key) {
+    return next()
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({ success: false, message: "Idempotency-Key must be at most 255 characters" })
+  }
+
+  const requestHash = hashRequest(req)
+
+  try {
+    // The TTL monitor only sweeps about once a minute, so an expired key may
+    // still be stored. It counts as unused: clear it before claiming the key.
+    await IdempotencyKey.deleteOne({ userId: req.user.id, key, expiresAt: { $lte: new Date() } })
+
+    let record
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        userId: req.user.id,
+        method: req.method,
+        path: req.originalUrl,
+        requestHash,
+        expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000),
+      })
+    } catch (err) {
+      if (err.code !== 11000) {
+        throw err
+      }
+
+      const existing = await IdempotencyKey.findOne({ userId: req.user.id, key })
+      if (!existing) {
+        return res.status(409).json({ success: false, message: "Idempotency-Key conflict, please retry" })
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: "Idempotency-Key has already been used with a different request",
+        })
+      }
+
+      if (existing.status === "in_progress") {
+        return res.status(409).json({
+          success: false,
+          message: "A request with this Idempotency-Key is still being processed",
+        })
+      }
+
+      res.set("Idempotent-Replayed", "true")
+      return res.status(existing.responseStatus).json(existing.responseBody)
+    }
+
+    // Capture the JSON body so it can be stored once the response is sent
+    let responseBody
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      responseBody = body
+      return json(body)
+    }
+
+    res.on("finish", () => {
+      // Server errors and non-JSON responses are not stored, so the client can retry
+      const settle =
+        responseBody === undefined || res.statusCode >= 500
+          ? IdempotencyKey.deleteOne({ _id: record._id })
+          : IdempotencyKey.updateOne(
+              { _id: record._id },
+              { status: "completed", responseStatus: res.statusCode, responseBody },
+            )
+
+      settle.catch((err) => console.error("Idempotency key update error:", err.message))
+    })
+
+    next()
+  } catch (err) {
+    console.error("Idempotency error:", err.message)
+    res.status(500).json({ success: false, message: "Server error" })
+  }
+}
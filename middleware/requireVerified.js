@@ -0,0 +1,25 @@
+const User = require("../models/User")
+
+// Refuses users who haven't verified their email and phone number yet. Must
+// run after auth.
+module.exports = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select("isVerified")
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" })
+    }
+
+    if (!user.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: "Please verify your email and phone number first",
+        code: "VERIFICATION_REQUIRED",
+      })
+    }
+
+    next()
+  } catch (err) {
+    console.error("Verification check error:", err.message)
+    res.status(500).json({ success: false, message: "Server error" })
+  }
+}
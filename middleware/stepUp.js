@@ -0,0 +1,19 @@
+const twoFactor = require("../services/twoFactor")
+const { sendError } = require("../utils/errors")
+
+// The two-factor code sent with a request, in the body or the X-2FA-Code header
+const twoFactorCode = (req) => (req.body && req.body.twoFactorCode) || req.header("x-2fa-code")
+
+// Requires a fresh two-factor code for `action` when the step-up policy in
+// config/security.js covers it. Must run after auth.
+const stepUp = (action) => async (req, res, next) => {
+  try {
+    await twoFactor.requireStepUp(req.user.id, { action, code: twoFactorCode(req) })
+    next()
+  } catch (err) {
+    sendError(res, err, "Step-up error")
+  }
+}
+
+module.exports = stepUp
+module.exports.twoFactorCode = twoFactorCode
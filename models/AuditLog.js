@@ -0,0 +1,45 @@
+const mongoose = require("mongoose")
+
+// Something a staff member did through the admin API
+const AuditLogSchema = new mongoose.Schema({
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  actorRole: {
+    type: String,
+  },
+  action: {
+    type: String,
+    required: true,
+  },
+  // What the action was about, e.g. { type: "user", id: "<user id>" }
+  target: {
+    type: {
+      type: String,
+    },
+    id: {
+      type: String,
+    },
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+AuditLogSchema.index({ createdAt: -1 })
+AuditLogSchema.index({ actorId: 1, createdAt: -1 })
+AuditLogSchema.index({ "target.type": 1, "target.id": 1, createdAt: -1 })
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema)
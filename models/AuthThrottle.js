@@ -0,0 +1,32 @@
+const mongoose = require("mongoose")
+
+// Failed attempt counter for one account or IP address, e.g. "login:ip:1.2.3.4"
+const AuthThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  failures: {
+    type: Number,
+    default: 0,
+  },
+  firstFailureAt: {
+    type: Date,
+  },
+  lastFailureAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// Counters disappear once their window and any lockout have passed
+AuthThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("AuthThrottle", AuthThrottleSchema)
@@ -0,0 +1,62 @@
+const mongoose = require("mongoose")
+const money = require("../utils/money")
+
+// A manual change to a user's balance. Requested by one staff member and
+// posted to the ledger only once a different one approves it.
+const BalanceAdjustmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  direction: {
+    type: String,
+    enum: ["credit", "debit"],
+    required: true,
+  },
+  amount: money.moneyField({
+    required: true,
+  }),
+  currency: money.currencyField(),
+  reason: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["pending", "approved", "rejected"],
+    default: "pending",
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  reviewNote: {
+    type: String,
+  },
+  // Journal entry and transaction reference, used once approved
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+BalanceAdjustmentSchema.index({ status: 1, createdAt: -1 })
+BalanceAdjustmentSchema.index({ userId: 1, createdAt: -1 })
+
+BalanceAdjustmentSchema.set("toJSON", { transform: money.majorUnitsTransform(["amount"]) })
+
+module.exports = mongoose.model("BalanceAdjustment", BalanceAdjustmentSchema)
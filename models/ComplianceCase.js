@@ -0,0 +1,148 @@
+const mongoose = require("mongoose")
+const { CASE_STATUSES, RESOLVED_STATUSES, CASE_SOURCES, CASE_PRIORITIES } = require("../config/compliance")
+
+const NoteSchema = new mongoose.Schema({
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+const CaseEventSchema = new mongoose.Schema(
+  {
+    // status, assignee or priority
+    field: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: String,
+    },
+    to: {
+      type: String,
+    },
+    // Staff member who made the change; unset for cases opened automatically
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    note: {
+      type: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
+
+// A suspicious activity case: the users and transactions involved, who is
+// working it, and the notes and changes made along the way. Raised by the risk
+// engine, by a watchlist match, or by hand.
+const ComplianceCaseSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  description: {
+    type: String,
+  },
+  source: {
+    type: {
+      type: String,
+      enum: Object.values(CASE_SOURCES),
+      required: true,
+    },
+    // The RiskDecision or ScreeningMatch that raised it, or the reference of
+    // an over-limit deposit
+    id: {
+      type: String,
+    },
+  },
+  status: {
+    type: String,
+    enum: Object.values(CASE_STATUSES),
+    default: CASE_STATUSES.OPEN,
+  },
+  priority: {
+    type: String,
+    enum: Object.keys(CASE_PRIORITIES),
+    default: "medium",
+  },
+  assigneeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  userIds: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    default: [],
+  },
+  transactionReferences: {
+    type: [String],
+    default: [],
+  },
+  notes: {
+    type: [NoteSchema],
+    default: [],
+  },
+  history: {
+    type: [CaseEventSchema],
+    default: [],
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // When the case must be resolved by, from its priority
+  dueAt: {
+    type: Date,
+    required: true,
+  },
+  resolvedAt: {
+    type: Date,
+  },
+  lastExportedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+ComplianceCaseSchema.index({ status: 1, dueAt: 1 })
+ComplianceCaseSchema.index({ assigneeId: 1, status: 1 })
+ComplianceCaseSchema.index({ userIds: 1 })
+ComplianceCaseSchema.index({ transactionReferences: 1 })
+ComplianceCaseSchema.index({ "source.type": 1, "source.id": 1 })
+
+// Where the case stands against its SLA. The clock stops once it is resolved.
+ComplianceCaseSchema.virtual("sla").get(function () {
+  const resolved = RESOLVED_STATUSES.includes(this.status)
+  const at = resolved && this.resolvedAt ? this.resolvedAt : new Date()
+  return {
+    dueAt: this.dueAt,
+    running: !resolved,
+    breached: at > this.dueAt,
+    hoursRemaining: resolved ? null : Math.round(((this.dueAt - at) / (60 * 60 * 1000)) * 10) / 10,
+  }
+})
+
+ComplianceCaseSchema.set("toJSON", { virtuals: true })
+
+module.exports = mongoose.model("ComplianceCase", ComplianceCaseSchema)
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose")
+
+// A device a user has signed in from, identified by its fingerprint (see
+// utils/request.js). Used to spot sign-ins from somewhere new.
+const DeviceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  fingerprint: {
+    type: String,
+    required: true,
+  },
+  userAgent: {
+    type: String,
+  },
+  lastIp: {
+    type: String,
+  },
+  firstSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+DeviceSchema.index({ userId: 1, fingerprint: 1 }, { unique: true })
+
+module.exports = mongoose.model("Device", DeviceSchema)
@@ -0,0 +1,88 @@
+const mongoose = require("mongoose")
+const money = require("../utils/money")
+
+const FeeTierSchema = new mongoose.Schema(
+  {
+    // Upper bound of the tier, inclusive. Leave empty for the last tier.
+    upTo: money.moneyField(),
+    flatAmount: money.moneyField({ default: 0 }),
+    percentageBps: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false },
+)
+
+const FeeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+  },
+  // A fee belongs to us; a levy is collected on behalf of the government and
+  // is charged on top of the fee
+  kind: {
+    type: String,
+    enum: ["fee", "levy"],
+    default: "fee",
+  },
+  channel: {
+    type: String,
+    enum: ["p2p", "bank_transfer", "withdrawal", "card_deposit"],
+    required: true,
+  },
+  // Which schedule wins for a user: user override, then promotion, then default
+  scope: {
+    type: String,
+    enum: ["default", "promotion", "user"],
+    default: "default",
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  type: {
+    type: String,
+    enum: ["flat", "percentage", "tiered"],
+    default: "flat",
+  },
+  flatAmount: money.moneyField({ default: 0 }),
+  // 1 basis point = 0.01%, so 150 is 1.5%
+  percentageBps: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  tiers: {
+    type: [FeeTierSchema],
+    default: [],
+  },
+  minFee: money.moneyField(),
+  capFee: money.moneyField(),
+  // Only charge on amounts at or above this (e.g. transfer duty from ₦10,000)
+  minAmount: money.moneyField({ default: 0 }),
+  // Promotions and overrides can waive the fee entirely
+  waive: {
+    type: Boolean,
+    default: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  startsAt: {
+    type: Date,
+  },
+  endsAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+FeeScheduleSchema.index({ channel: 1, kind: 1, scope: 1, active: 1 })
+
+module.exports = mongoose.model("FeeSchedule", FeeScheduleSchema)
@@ -0,0 +1,77 @@
+const mongoose = require("mongoose")
+const money = require("../utils/money")
+
+// A ledger posting to make when the hold is captured
+const HoldPostingSchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      required: true,
+    },
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    amount: money.moneyField({
+      required: true,
+      min: 0,
+    }),
+  },
+  { _id: false },
+)
+
+const HoldSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Shared with the transaction and journal entry the hold is for
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  amount: money.moneyField({
+    required: true,
+    min: 1,
+  }),
+  currency: money.currencyField(),
+  reason: {
+    type: String,
+  },
+  status: {
+    type: String,
+    enum: ["active", "captured", "released", "expired"],
+    default: "active",
+  },
+  description: {
+    type: String,
+  },
+  postings: {
+    type: [HoldPostingSchema],
+    default: [],
+  },
+  // Holds without an expiry stay active until captured or released
+  expiresAt: {
+    type: Date,
+  },
+  capturedAt: {
+    type: Date,
+  },
+  releasedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+HoldSchema.index({ userId: 1, status: 1 })
+HoldSchema.index({ status: 1, expiresAt: 1 })
+
+HoldSchema.set("toJSON", { transform: money.majorUnitsTransform(["amount"]) })
+
+module.exports = mongoose.model("Hold", HoldSchema)
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  method: {
+    type: String,
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["in_progress", "completed"],
+    default: "in_progress",
+  },
+  responseStatus: {
+    type: Number,
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// Keys are scoped per user, and MongoDB removes them once they expire
+IdempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true })
+IdempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+module.exports = mongoose.model("IdempotencyKey", IdempotencyKeySchema)
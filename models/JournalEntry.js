@@ -0,0 +1,78 @@
+const mongoose = require("mongoose")
+const money = require("../utils/money")
+
+const PostingSchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    direction: {
+      type: String,
+      enum: ["debit", "credit"],
+      required: true,
+    },
+    amount: money.moneyField({
+      required: true,
+      min: 0,
+    }),
+  },
+  { _id: false },
+)
+
+const JournalEntrySchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  description: {
+    type: String,
+  },
+  currency: money.currencyField(),
+  reverses: {
+    type: String,
+  },
+  postings: {
+    type: [PostingSchema],
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+JournalEntrySchema.index({ "postings.account": 1, createdAt: -1 })
+
+// Every entry must have at least one debit and one credit, and they must balance
+JournalEntrySchema.pre("validate", function (next) {
+  let debits = 0
+  let credits = 0
+
+  for (const posting of this.postings) {
+    if (posting.direction === "debit") {
+      debits += posting.amount
+    } else {
+      credits += posting.amount
+    }
+  }
+
+  if (debits === 0 || credits === 0) {
+    return next(new Error(`Journal entry ${this.reference} needs both debit and credit postings`))
+  }
+
+  if (debits !== credits) {
+    return next(new Error(`Journal entry ${this.reference} is unbalanced: debits ${debits} != credits ${credits}`))
+  }
+
+  next()
+})
+
+JournalEntrySchema.plugin(money.minorUnitsMarker)
+
+module.exports = mongoose.model("JournalEntry", JournalEntrySchema)
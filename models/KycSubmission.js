@@ -0,0 +1,111 @@
+const mongoose = require("mongoose")
+const { DOCUMENTS } = require("../config/kyc")
+
+const DocumentSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: DOCUMENTS.types,
+      required: true,
+    },
+    idType: {
+      type: String,
+      enum: DOCUMENTS.idTypes,
+    },
+    // Where services/documentStorage.js put the file
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+    },
+    sha256: {
+      type: String,
+    },
+  },
+  { _id: false },
+)
+
+// A request to move up a KYC tier. BVN and NIN are never stored in full: only
+// an HMAC (to spot the same identity on two accounts) and the last four digits.
+const KycSubmissionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  currentTier: {
+    type: Number,
+    required: true,
+  },
+  targetTier: {
+    type: Number,
+    required: true,
+  },
+  bvnHash: {
+    type: String,
+  },
+  bvnLast4: {
+    type: String,
+  },
+  ninHash: {
+    type: String,
+  },
+  ninLast4: {
+    type: String,
+  },
+  documents: {
+    type: [DocumentSchema],
+    default: [],
+  },
+  // What the verification provider said
+  verification: {
+    provider: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: ["passed", "failed", "error"],
+    },
+    reference: {
+      type: String,
+    },
+    checks: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    checkedAt: {
+      type: Date,
+    },
+  },
+  status: {
+    type: String,
+    enum: ["in_review", "approved", "rejected"],
+    default: "in_review",
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  reviewedAt: {
+    type: Date,
+  },
+  reviewNote: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+KycSubmissionSchema.index({ userId: 1, createdAt: -1 })
+KycSubmissionSchema.index({ status: 1, createdAt: 1 })
+KycSubmissionSchema.index({ bvnHash: 1 })
+KycSubmissionSchema.index({ ninHash: 1 })
+
+module.exports = mongoose.model("KycSubmission", KycSubmissionSchema)
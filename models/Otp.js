@@ -0,0 +1,52 @@
+const mongoose = require("mongoose")
+
+// A one-time code sent to a user. Only a hash of the code is stored.
+const OtpSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  purpose: {
+    type: String,
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ["email", "sms"],
+    required: true,
+  },
+  destination: {
+    type: String,
+    required: true,
+  },
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  consumedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+OtpSchema.index({ userId: 1, purpose: 1, createdAt: -1 })
+// Keep spent codes for an hour after expiry so resend throttling can count them
+OtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 60 * 60 })
+
+module.exports = mongoose.model("Otp", OtpSchema)
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose")
+
+// A single-use password reset token. Only a hash of the token is stored.
+const PasswordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  usedAt: {
+    type: Date,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+PasswordResetTokenSchema.index({ userId: 1, createdAt: -1 })
+// Keep used and expired tokens for a day so request throttling can count them
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+module.exports = mongoose.model("PasswordResetToken", PasswordResetTokenSchema)
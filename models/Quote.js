@@ -0,0 +1,71 @@
+const mongoose = require("mongoose")
+const money = require("../utils/money")
+
+const QuoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  channel: {
+    type: String,
+    enum: ["p2p", "bank_transfer", "withdrawal"],
+    required: true,
+  },
+  amount: money.moneyField({
+    required: true,
+  }),
+  fee: money.moneyField({
+    default: 0,
+  }),
+  levy: money.moneyField({
+    default: 0,
+  }),
+  total: money.moneyField({
+    required: true,
+  }),
+  currency: money.currencyField(),
+  recipient: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cecureTag: {
+      type: String,
+    },
+    name: {
+      type: String,
+    },
+    bankName: {
+      type: String,
+    },
+    bankCode: {
+      type: String,
+    },
+    accountNumber: {
+      type: String,
+    },
+  },
+  // Set when a transfer consumes the quote; a quote can only be used once
+  usedAt: {
+    type: Date,
+  },
+  reference: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+})
+
+// Keep used and expired quotes around for a day for support, then drop them
+QuoteSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 })
+
+QuoteSchema.set("toJSON", { transform: money.majorUnitsTransform(["amount", "fee", "levy", "total"]) })
+
+module.exports = mongoose.model("Quote", QuoteSchema)
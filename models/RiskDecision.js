@@ -0,0 +1,98 @@
+const mongoose = require("mongoose")
+const money = require("../utils/money")
+const { OUTCOMES } = require("../config/riskRules")
+
+const FiredRuleSchema = new mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false },
+)
+
+// The risk engine's verdict on one outgoing payment, with the signals it saw
+// and the rules that fired. Payments held for review stay pending until staff
+// release or reject them here.
+const RiskDecisionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  channel: {
+    type: String,
+    required: true,
+  },
+  amount: money.moneyField({
+    required: true,
+  }),
+  score: {
+    type: Number,
+    required: true,
+  },
+  outcome: {
+    type: String,
+    enum: Object.values(OUTCOMES),
+    required: true,
+  },
+  // Set when the outcome was made stricter than the score alone, e.g. a step-up
+  // for a user without two-factor authentication
+  escalatedFrom: {
+    type: String,
+    enum: Object.values(OUTCOMES),
+  },
+  rules: {
+    type: [FiredRuleSchema],
+    default: [],
+  },
+  signals: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  ip: {
+    type: String,
+  },
+  deviceFingerprint: {
+    type: String,
+  },
+  // The transaction, once the payment was made (held or not)
+  reference: {
+    type: String,
+  },
+  review: {
+    status: {
+      type: String,
+      enum: ["pending", "released", "rejected"],
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    note: {
+      type: String,
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+RiskDecisionSchema.index({ userId: 1, createdAt: -1 })
+RiskDecisionSchema.index({ "review.status": 1, createdAt: 1 })
+RiskDecisionSchema.index({ reference: 1 })
+
+RiskDecisionSchema.set("toJSON", { transform: money.majorUnitsTransform(["amount"]) })
+
+module.exports = mongoose.model("RiskDecision", RiskDecisionSchema)
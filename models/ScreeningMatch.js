@@ -0,0 +1,102 @@
+const mongoose = require("mongoose")
+const { CONTEXTS } = require("../config/screening")
+
+const MatchedEntrySchema = new mongoose.Schema(
+  {
+    entryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "WatchlistEntry",
+      required: true,
+    },
+    source: {
+      type: String,
+    },
+    externalId: {
+      type: String,
+    },
+    listedName: {
+      type: String,
+    },
+    // The name or alias that matched
+    matchedName: {
+      type: String,
+    },
+    score: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false },
+)
+
+// A name that matched the watchlist, waiting for (or carrying) compliance's
+// decision. The subject is a user or a bank account; a cleared decision is
+// remembered, so the same name on the same subject isn't flagged again for the
+// same entries.
+const ScreeningMatchSchema = new mongoose.Schema({
+  subject: {
+    type: {
+      type: String,
+      enum: ["user", "bank_account"],
+      required: true,
+    },
+    // "user:<userId>" or "bank:<bank code or name>:<account number>"
+    key: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    bankDetails: {
+      bankName: {
+        type: String,
+      },
+      bankCode: {
+        type: String,
+      },
+      accountNumber: {
+        type: String,
+      },
+    },
+  },
+  // The customer concerned: the one screened, or the one paying the account
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  context: {
+    type: String,
+    enum: Object.values(CONTEXTS),
+    required: true,
+  },
+  matches: {
+    type: [MatchedEntrySchema],
+    default: [],
+  },
+  status: {
+    type: String,
+    enum: ["pending", "cleared", "confirmed"],
+    default: "pending",
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  decidedAt: {
+    type: Date,
+  },
+  decisionNote: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+ScreeningMatchSchema.index({ status: 1, createdAt: 1 })
+ScreeningMatchSchema.index({ "subject.key": 1, createdAt: -1 })
+
+module.exports = mongoose.model("ScreeningMatch", ScreeningMatchSchema)
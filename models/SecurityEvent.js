@@ -0,0 +1,31 @@
+const mongoose = require("mongoose")
+
+// Something security-relevant that happened to an account
+const SecurityEventSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+SecurityEventSchema.index({ userId: 1, createdAt: -1 })
+
+module.exports = mongoose.model("SecurityEvent", SecurityEventSchema)
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose")
+
+// A signed-in device. Access tokens carry the session id, so revoking the
+// session cuts off every token issued for it.
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true,
+  },
+  // Tokens this session has already rotated past. Seeing one again means the
+  // token was copied, so the whole session is revoked.
+  previousRefreshTokenHashes: {
+    type: [String],
+    default: [],
+  },
+  device: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: {
+    type: Date,
+  },
+  revokedReason: {
+    type: String,
+  },
+})
+
+SessionSchema.index({ userId: 1, revokedAt: 1 })
+// Drop sessions a while after they can no longer be refreshed
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 })
+
+SessionSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash
+    delete ret.previousRefreshTokenHashes
+    return ret
+  },
+})
+
+module.exports = mongoose.model("Session", SessionSchema)
@@ -1,4 +1,35 @@
 const mongoose = require("mongoose")
+const money = require("../utils/money")
+
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    actor: {
+      type: {
+        type: String,
+        enum: ["user", "admin", "system", "provider"],
+        required: true,
+      },
+      id: {
+        type: String,
+      },
+    },
+    reason: {
+      type: String,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
 
 const TransactionSchema = new mongoose.Schema({
   userId: {
@@ -8,22 +39,29 @@ const TransactionSchema = new mongoose.Schema({
   },
   transactionType: {
     type: String,
-    enum: ["send", "receive", "deposit", "withdraw", "wishlist"],
+    enum: ["send", "receive", "deposit", "withdraw", "wishlist", "adjustment"],
     required: true,
   },
-  amount: {
-    type: Number,
+  amount: money.moneyField({
     required: true,
-  },
-  fee: {
-    type: Number,
+  }),
+  fee: money.moneyField({
     default: 0,
-  },
+  }),
+  // Statutory levies charged on top of the fee
+  levy: money.moneyField({
+    default: 0,
+  }),
+  currency: money.currencyField(),
   status: {
     type: String,
-    enum: ["pending", "successful", "failed", "declined"],
+    enum: ["pending", "successful", "failed", "declined", "cancelled", "reversed"],
     default: "pending",
   },
+  statusHistory: {
+    type: [StatusChangeSchema],
+    default: [],
+  },
   recipientId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
@@ -40,9 +78,52 @@ const TransactionSchema = new mongoose.Schema({
   recipientAccount: {
     type: String,
   },
+  recipientDetails: {
+    bankName: {
+      type: String,
+    },
+    bankCode: {
+      type: String,
+    },
+    accountNumber: {
+      type: String,
+    },
+    accountName: {
+      type: String,
+    },
+  },
+  // Provider side of a bank payout, filled in when the payout is initiated
+  payout: {
+    provider: {
+      type: String,
+    },
+    recipientCode: {
+      type: String,
+    },
+    transferCode: {
+      type: String,
+    },
+    providerStatus: {
+      type: String,
+    },
+    initiatedAt: {
+      type: Date,
+    },
+    lastCheckedAt: {
+      type: Date,
+    },
+  },
+  // How the money moved (p2p, bank_transfer, withdrawal, card_deposit,
+  // bank_deposit). Older transactions don't have one.
+  channel: {
+    type: String,
+  },
   purpose: {
     type: String,
   },
+  notes: {
+    type: String,
+  },
   reference: {
     type: String,
     required: true,
@@ -54,4 +135,24 @@ const TransactionSchema = new mongoose.Schema({
   },
 })
 
+// Rolling-window totals for the limits engine
+TransactionSchema.index({ userId: 1, createdAt: -1 })
+
+// Record the initial status, and make sure later changes go through the state
+// machine in services/transactionStatus.js so they are validated and recorded
+TransactionSchema.pre("save", function (next) {
+  if (this.isNew) {
+    if (this.statusHistory.length === 0) {
+      this.statusHistory.push({ from: null, to: this.status, actor: { type: "system" }, at: this.createdAt })
+    }
+  } else if (this.isModified("status")) {
+    return next(new Error("Transaction status must be changed through the transaction status service"))
+  }
+  next()
+})
+
+TransactionSchema.set("toJSON", { transform: money.majorUnitsTransform(["amount", "fee", "levy"]) })
+
+TransactionSchema.plugin(money.minorUnitsMarker)
+
 module.exports = mongoose.model("Transaction", TransactionSchema)
@@ -20,14 +20,53 @@ const TransactionPinSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // Set when a forgotten PIN is reset; outgoing transfers are capped until
+  // coolingOffUntil
+  resetAt: {
+    type: Date,
+  },
+  coolingOffUntil: {
+    type: Date,
+  },
 })
 
+// PINs that are too easy to guess
+const COMMON_PINS = ["1212", "2580", "0852", "1122", "6969", "1004", "2000", "1010", "121212", "112233", "123123"]
+
+// Why a PIN is too weak, or null if it is acceptable
+const pinWeakness = (pin) => {
+  if (!/^\d{4,6}$/.test(pin)) {
+    return "PIN must be 4 to 6 digits"
+  }
+  if (/^(\d)\1+$/.test(pin)) {
+    return "PIN cannot be the same digit repeated"
+  }
+
+  const digits = pin.split("").map(Number)
+  const steps = digits.slice(1).map((digit, i) => digit - digits[i])
+  if (steps.every((step) => step === 1) || steps.every((step) => step === -1)) {
+    return "PIN cannot be a sequence of digits"
+  }
+
+  if (COMMON_PINS.includes(pin)) {
+    return "PIN is too common"
+  }
+  return null
+}
+
+TransactionPinSchema.statics.pinWeakness = pinWeakness
+
 // Hash PIN before saving
 TransactionPinSchema.pre("save", async function (next) {
   if (!this.isModified("pinHash")) {
     return next()
   }
 
+  const weakness = pinWeakness(String(this.pinHash))
+  if (weakness) {
+    return next(new Error(weakness))
+  }
+
   try {
     const salt = await bcrypt.genSalt(10)
     this.pinHash = await bcrypt.hash(this.pinHash, salt)
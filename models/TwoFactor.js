@@ -0,0 +1,47 @@
+const mongoose = require("mongoose")
+
+// A user's TOTP enrolment. The secret is stored encrypted and backup codes are
+// stored hashed.
+const TwoFactorSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    unique: true,
+  },
+  secretEncrypted: {
+    type: String,
+    required: true,
+  },
+  // False until the user proves their authenticator works
+  enabled: {
+    type: Boolean,
+    default: false,
+  },
+  enabledAt: {
+    type: Date,
+  },
+  backupCodes: [
+    {
+      hash: {
+        type: String,
+        required: true,
+      },
+      usedAt: {
+        type: Date,
+      },
+      _id: false,
+    },
+  ],
+  // Highest TOTP counter accepted so far; codes can't be replayed
+  lastUsedCounter: {
+    type: Number,
+    default: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+module.exports = mongoose.model("TwoFactor", TwoFactorSchema)
@@ -1,5 +1,39 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
+const money = require("../utils/money")
+const { ROLES } = require("../config/roles")
+const { ACCOUNT_STATUSES, STATUS_REASONS } = require("../config/accounts")
+const { TIERS, DEFAULT_TIER } = require("../config/kyc")
+const { PROFILES: LIMIT_PROFILES } = require("../config/limits")
+
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    reasonCode: {
+      type: String,
+      enum: Object.values(STATUS_REASONS),
+    },
+    note: {
+      type: String,
+    },
+    // Staff member who made the change, if it wasn't the user
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false },
+)
 
 const UserSchema = new mongoose.Schema({
   firstName: {
@@ -28,18 +62,104 @@ const UserSchema = new mongoose.Schema({
     type: String,
     unique: true,
   },
-  balance: {
-    type: Number,
+  balance: money.moneyField({
     default: 0, // Starting balance for testing
-  },
+  }),
+  // Part of the balance reserved by active holds and not available to spend
+  heldBalance: money.moneyField({
+    default: 0,
+  }),
+  currency: money.currencyField(),
   accountNumber: {
     type: String,
     unique: true,
   },
+  role: {
+    type: String,
+    enum: Object.values(ROLES),
+    default: ROLES.USER,
+  },
+  status: {
+    type: String,
+    enum: Object.values(ACCOUNT_STATUSES),
+    default: ACCOUNT_STATUSES.ACTIVE,
+  },
+  statusReasonCode: {
+    type: String,
+    enum: Object.values(STATUS_REASONS),
+  },
+  statusNote: {
+    type: String,
+  },
+  statusChangedAt: {
+    type: Date,
+  },
+  statusHistory: {
+    type: [StatusChangeSchema],
+    default: [],
+  },
+  // Filled in when the account is closed. The account and its records are kept
+  // until retainUntil for regulatory retention.
+  closure: {
+    closedAt: {
+      type: Date,
+    },
+    bankDetails: {
+      bankName: {
+        type: String,
+      },
+      bankCode: {
+        type: String,
+      },
+      accountNumber: {
+        type: String,
+      },
+      accountName: {
+        type: String,
+      },
+    },
+    // Staff member who entered bankDetails; empty when the customer nominated
+    // them. A staff-nominated payout needs a second staff member to approve it.
+    nominatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    sweepApprovedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    sweepReference: {
+      type: String,
+    },
+    retainUntil: {
+      type: Date,
+    },
+  },
+  // KYC tier (see config/kyc.js), raised when a reviewer approves a submission
+  kycTier: {
+    type: Number,
+    enum: Object.keys(TIERS).map(Number),
+    default: DEFAULT_TIER,
+  },
+  kycVerifiedAt: {
+    type: Date,
+  },
+  // A limit profile set by staff, overriding the one for the user's KYC tier
+  limitProfile: {
+    type: String,
+    enum: Object.keys(LIMIT_PROFILES),
+  },
+  // Set once both the email address and the phone number are verified
   isVerified: {
     type: Boolean,
     default: false,
   },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  phoneVerifiedAt: {
+    type: Date,
+  },
   paystackCustomerCode: {
     type: String,
   },
@@ -64,6 +184,23 @@ const UserSchema = new mongoose.Schema({
   },
 })
 
+// Funds the user can spend right now
+UserSchema.virtual("availableBalance").get(function () {
+  return this.balance - (this.heldBalance || 0)
+})
+
+const toMajorUnits = money.majorUnitsTransform(["balance", "heldBalance", "availableBalance", "ledgerBalance"])
+
+UserSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    if (typeof ret.balance === "number") {
+      ret.ledgerBalance = ret.balance
+      ret.availableBalance = ret.balance - (ret.heldBalance || 0)
+    }
+    return toMajorUnits(doc, ret)
+  },
+})
+
 // Hash password before saving
 UserSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
@@ -97,4 +234,6 @@ UserSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password)
 }
 
+UserSchema.plugin(money.minorUnitsMarker)
+
 module.exports = mongoose.model("User", UserSchema)
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose")
+
+// A person or organisation on a sanctions or watch list, loaded with
+// scripts/import-watchlist.js. `keys` holds the name keys from utils/names.js
+// for every name and alias, so candidates can be found by index.
+const WatchlistEntrySchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+  },
+  externalId: {
+    type: String,
+    required: true,
+  },
+  schema: {
+    type: String,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  aliases: {
+    type: [String],
+    default: [],
+  },
+  keys: {
+    type: [String],
+    default: [],
+  },
+  birthDate: {
+    type: String,
+  },
+  countries: {
+    type: [String],
+    default: [],
+  },
+  programs: {
+    type: [String],
+    default: [],
+  },
+  // Entries missing from the latest import of their source stay on record but
+  // are no longer screened against
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  importedAt: {
+    type: Date,
+    default: Date.now,
+  },
+})
+
+WatchlistEntrySchema.index({ source: 1, externalId: 1 }, { unique: true })
+WatchlistEntrySchema.index({ keys: 1, active: 1 })
+
+module.exports = mongoose.model("WatchlistEntry", WatchlistEntrySchema)
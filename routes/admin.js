@@ -0,0 +1,858 @@
+const express = require("express")
+const router = express.Router()
+const mongoose = require("mongoose")
+const { check, validationResult } = require("express-validator")
+const User = require("../models/User")
+const Card = require("../models/Card")
+const Beneficiary = require("../models/Beneficiary")
+const Transaction = require("../models/Transaction")
+const AuditLog = require("../models/AuditLog")
+const WatchlistEntry = require("../models/WatchlistEntry")
+const auth = require("../middleware/auth")
+const authorize = require("../middleware/authorize")
+const audit = require("../services/audit")
+const accounts = require("../services/accounts")
+const closure = require("../services/closure")
+const sessions = require("../services/sessions")
+const adjustments = require("../services/adjustments")
+const kyc = require("../services/kyc")
+const riskReviews = require("../services/riskReviews")
+const screening = require("../services/screening")
+const limits = require("../services/limits")
+const documentStorage = require("../services/documentStorage")
+const holds = require("../services/holds")
+const payouts = require("../services/payouts")
+const transfers = require("../services/transfers")
+const transactionStatus = require("../services/transactionStatus")
+const { paystackRequest } = require("../services/paystack")
+const money = require("../utils/money")
+const { AppError, sendError } = require("../utils/errors")
+const { ROLES, PERMISSIONS } = require("../config/roles")
+const { STATUS_REASONS } = require("../config/accounts")
+const { PROFILES: LIMIT_PROFILES } = require("../config/limits")
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const findUser = async (id) => {
+  const user = mongoose.isValidObjectId(id) ? await User.findById(id).select("-password") : null
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+  return user
+}
+
+const adminActor = (req) => ({ type: transactionStatus.ACTORS.ADMIN, id: req.user.id })
+
+// @route   GET api/admin/users/search
+// @desc    Find users by email, phone number, cecureTag or account number
+// @access  Private/Admin
+router.get("/users/search", auth, authorize(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const query = String(req.query.q || "").trim()
+    if (!query) {
+      return res.status(400).json({ message: "Search query is required" })
+    }
+
+    const exact = new RegExp(`^${escapeRegex(query)}$`, "i")
+    const tag = query.startsWith("@") ? query : `@${query}`
+    const users = await User.find({
+      $or: [
+        { email: exact },
+        { phoneNumber: query },
+        { cecureTag: new RegExp(`^${escapeRegex(tag)}$`, "i") },
+        { accountNumber: query },
+        { paystackVirtualAccountNumber: query },
+      ],
+    })
+      .select("-password")
+      .limit(20)
+
+    await audit.record({ req, action: audit.ACTIONS.USER_SEARCH, metadata: { query, results: users.length } })
+
+    res.json({ success: true, users })
+  } catch (err) {
+    sendError(res, err, "Admin user search error")
+  }
+})
+
+// @route   GET api/admin/users/:id
+// @desc    Get a user's profile and balances
+// @access  Private/Admin
+router.get("/users/:id", auth, authorize(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const user = await findUser(req.params.id)
+    const balances = await holds.getBalances(user._id)
+
+    await audit.record({ req, action: audit.ACTIONS.USER_VIEW, target: { type: "user", id: String(user._id) } })
+
+    res.json({
+      success: true,
+      user,
+      balances: {
+        currency: balances.currency,
+        ledgerBalance: money.toMajor(balances.ledgerBalance),
+        heldBalance: money.toMajor(balances.heldBalance),
+        availableBalance: money.toMajor(balances.availableBalance),
+      },
+    })
+  } catch (err) {
+    sendError(res, err, "Admin user lookup error")
+  }
+})
+
+// @route   GET api/admin/users/:id/transactions
+// @desc    Get a user's transactions, newest first
+// @access  Private/Admin
+router.get("/users/:id/transactions", auth, authorize(PERMISSIONS.TRANSACTIONS_READ), async (req, res) => {
+  try {
+    const user = await findUser(req.params.id)
+    const limit = Math.min(Number.parseInt(req.query.limit) || 50, 200)
+    const skip = Number.parseInt(req.query.skip) || 0
+
+    const filter = { userId: user._id }
+    if (req.query.status) filter.status = req.query.status
+    if (req.query.type) filter.transactionType = req.query.type
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Transaction.countDocuments(filter),
+    ])
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.USER_TRANSACTIONS_VIEW,
+      target: { type: "user", id: String(user._id) },
+    })
+
+    res.json({ success: true, total, transactions })
+  } catch (err) {
+    sendError(res, err, "Admin transactions lookup error")
+  }
+})
+
+// @route   GET api/admin/users/:id/cards
+// @desc    Get a user's saved cards
+// @access  Private/Admin
+router.get("/users/:id/cards", auth, authorize(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const user = await findUser(req.params.id)
+    const cards = await Card.find({ userId: user._id }).select("-paystackAuthCode").sort({ createdAt: -1 })
+
+    await audit.record({ req, action: audit.ACTIONS.USER_CARDS_VIEW, target: { type: "user", id: String(user._id) } })
+
+    res.json({ success: true, cards })
+  } catch (err) {
+    sendError(res, err, "Admin cards lookup error")
+  }
+})
+
+// @route   GET api/admin/users/:id/beneficiaries
+// @desc    Get a user's beneficiaries
+// @access  Private/Admin
+router.get("/users/:id/beneficiaries", auth, authorize(PERMISSIONS.USERS_READ), async (req, res) => {
+  try {
+    const user = await findUser(req.params.id)
+    const beneficiaries = await Beneficiary.find({ userId: user._id }).sort({ createdAt: -1 })
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.USER_BENEFICIARIES_VIEW,
+      target: { type: "user", id: String(user._id) },
+    })
+
+    res.json({ success: true, beneficiaries })
+  } catch (err) {
+    sendError(res, err, "Admin beneficiaries lookup error")
+  }
+})
+
+// @route   POST api/admin/users/:id/freeze
+// @desc    Freeze an account's debits (scope "debits") or everything (scope "all")
+// @access  Private/Admin
+router.post(
+  "/users/:id/freeze",
+  [
+    auth,
+    authorize(PERMISSIONS.USERS_MANAGE),
+    check("scope", "Scope must be debits or all").isIn(["debits", "all"]),
+    check("reasonCode", "A valid reason code is required").isIn(Object.values(STATUS_REASONS)),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const target = await findUser(req.params.id)
+      if (String(target._id) === req.user.id) {
+        return res.status(400).json({ success: false, message: "You cannot freeze your own account" })
+      }
+
+      const user = await accounts.freeze(target._id, {
+        scope: req.body.scope,
+        reasonCode: req.body.reasonCode,
+        note: req.body.note,
+        changedBy: req.user.id,
+      })
+      // Whoever holds the sessions now has to sign in again, if they still can
+      await sessions.revokeAllSessions(user._id, { reason: "Account frozen" })
+
+      await audit.record({
+        req,
+        action: audit.ACTIONS.USER_FREEZE,
+        target: { type: "user", id: String(user._id) },
+        metadata: { status: user.status, reasonCode: user.statusReasonCode, note: user.statusNote },
+      })
+
+      res.json({ success: true, user })
+    } catch (err) {
+      sendError(res, err, "Freeze account error")
+    }
+  },
+)
+
+// @route   POST api/admin/users/:id/unfreeze
+// @desc    Return a frozen account to active
+// @access  Private/Admin
+router.post(
+  "/users/:id/unfreeze",
+  [auth, authorize(PERMISSIONS.USERS_MANAGE), check("note", "A note is required").trim().not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const target = await findUser(req.params.id)
+      const user = await accounts.unfreeze(target._id, { note: req.body.note, changedBy: req.user.id })
+
+      await audit.record({
+        req,
+        action: audit.ACTIONS.USER_UNFREEZE,
+        target: { type: "user", id: String(user._id) },
+        metadata: { note: user.statusNote },
+      })
+
+      res.json({ success: true, user })
+    } catch (err) {
+      sendError(res, err, "Unfreeze account error")
+    }
+  },
+)
+
+// @route   POST api/admin/users/:id/close
+// @desc    Close an account; paying its balance out needs a second staff member's approval
+// @access  Private/Admin
+router.post(
+  "/users/:id/close",
+  [
+    auth,
+    authorize(PERMISSIONS.USERS_MANAGE),
+    check("reasonCode", "A valid reason code is required").isIn(Object.values(STATUS_REASONS)),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const target = await findUser(req.params.id)
+      if (String(target._id) === req.user.id) {
+        return res.status(400).json({ success: false, message: "You cannot close your own account here" })
+      }
+
+      const { user, sweep } = await closure.closeAccount(target._id, {
+        bankDetails: req.body.bankDetails,
+        reasonCode: req.body.reasonCode,
+        note: req.body.note,
+        changedBy: req.user.id,
+        actor: adminActor(req),
+      })
+
+      await audit.record({
+        req,
+        action: audit.ACTIONS.USER_CLOSE,
+        target: { type: "user", id: String(user._id) },
+        metadata: { reasonCode: user.statusReasonCode, note: user.statusNote, sweep },
+      })
+
+      res.json({
+        success: true,
+        user,
+        sweep: sweep && sweep.amount ? { ...sweep, amount: money.toMajor(sweep.amount) } : sweep,
+      })
+    } catch (err) {
+      sendError(res, err, "Close account error")
+    }
+  },
+)
+
+// @route   POST api/admin/users/:id/sweep
+// @desc    Approve or retry paying out a closed account's remaining balance
+// @access  Private/Admin
+router.post("/users/:id/sweep", auth, authorize(PERMISSIONS.BALANCES_APPROVE), async (req, res) => {
+  try {
+    const target = await findUser(req.params.id)
+    const result = await closure.sweepBalance(target._id, { actor: adminActor(req), approvedBy: req.user.id })
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.USER_SWEEP,
+      target: { type: "user", id: String(target._id) },
+      metadata: result ? { reference: result.reference, amount: result.amount } : { amount: 0 },
+    })
+
+    res.json({
+      success: true,
+      sweep: result ? { status: "pending", reference: result.reference, amount: money.toMajor(result.amount) } : null,
+    })
+  } catch (err) {
+    sendError(res, err, "Closure sweep error")
+  }
+})
+
+// @route   PUT api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private/Admin
+router.put(
+  "/users/:id/role",
+  [auth, authorize(PERMISSIONS.ROLES_MANAGE), check("role", "A valid role is required").isIn(Object.values(ROLES))],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const user = await findUser(req.params.id)
+      if (String(user._id) === req.user.id) {
+        return res.status(400).json({ success: false, message: "You cannot change your own role" })
+      }
+
+      const previousRole = user.role
+      user.role = req.body.role
+      await user.save()
+
+      await audit.record({
+        req,
+        action: audit.ACTIONS.USER_ROLE_CHANGE,
+        target: { type: "user", id: String(user._id) },
+        metadata: { from: previousRole, to: user.role },
+      })
+
+      res.json({ success: true, user })
+    } catch (err) {
+      sendError(res, err, "Role change error")
+    }
+  },
+)
+
+// @route   PUT api/admin/users/:id/limit-profile
+// @desc    Put a user on a limit profile, or send null to go back to their KYC tier's
+// @access  Private/Admin
+router.put(
+  "/users/:id/limit-profile",
+  [
+    auth,
+    authorize(PERMISSIONS.LIMITS_MANAGE),
+    check("limitProfile", "A valid limit profile is required").custom(
+      (value) => value === null || Object.keys(LIMIT_PROFILES).includes(value),
+    ),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const user = await findUser(req.params.id)
+      const previousProfile = limits.profileName(user)
+      user.limitProfile = req.body.limitProfile || undefined
+      await user.save()
+
+      await audit.record({
+        req,
+        action: audit.ACTIONS.USER_LIMIT_PROFILE_CHANGE,
+        target: { type: "user", id: String(user._id) },
+        metadata: { from: previousProfile, to: limits.profileName(user) },
+      })
+
+      res.json({ success: true, limits: await limits.summary(user._id) })
+    } catch (err) {
+      sendError(res, err, "Limit profile change error")
+    }
+  },
+)
+
+// @route   POST api/admin/adjustments
+// @desc    Request a manual credit or debit; applied once a second admin approves it
+// @access  Private/Admin
+router.post(
+  "/adjustments",
+  [
+    auth,
+    authorize(PERMISSIONS.BALANCES_ADJUST),
+    check("userId", "User ID is required").not().isEmpty(),
+    check("direction", "Direction must be credit or debit").isIn(adjustments.DIRECTIONS),
+    check("amount", "Amount must be a positive value with at most two decimal places").custom(money.isValidAmount),
+    check("reason", "A reason is required").trim().not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const user = await findUser(req.body.userId)
+      const adjustment = await adjustments.requestAdjustment({
+        userId: user._id,
+        direction: req.body.direction,
+        amount: money.parseAmount(req.body.amount),
+        reason: req.body.reason,
+        requestedBy: req.user.id,
+      })
+
+      await audit.record({
+        req,
+        action: audit.ACTIONS.ADJUSTMENT_REQUEST,
+        target: { type: "adjustment", id: String(adjustment._id) },
+        metadata: { userId: String(user._id), direction: adjustment.direction, amount: adjustment.amount },
+      })
+
+      res.status(201).json({ success: true, adjustment })
+    } catch (err) {
+      sendError(res, err, "Balance adjustment error")
+    }
+  },
+)
+
+// @route   GET api/admin/adjustments
+// @desc    List balance adjustments, optionally by status or user
+// @access  Private/Admin
+router.get("/adjustments", auth, authorize(PERMISSIONS.BALANCES_ADJUST), async (req, res) => {
+  try {
+    const { status, userId } = req.query
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" })
+    }
+
+    const list = await adjustments.listAdjustments({ status, userId })
+    res.json({ success: true, adjustments: list })
+  } catch (err) {
+    sendError(res, err, "Balance adjustment list error")
+  }
+})
+
+// @route   POST api/admin/adjustments/:id/approve
+// @desc    Approve a pending adjustment and post it; the requester can't approve their own
+// @access  Private/Admin
+router.post("/adjustments/:id/approve", auth, authorize(PERMISSIONS.BALANCES_APPROVE), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Adjustment not found" })
+    }
+
+    const adjustment = await adjustments.approveAdjustment(req.params.id, req.user.id, { note: req.body.note })
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.ADJUSTMENT_APPROVE,
+      target: { type: "adjustment", id: String(adjustment._id) },
+      metadata: { userId: String(adjustment.userId), reference: adjustment.reference },
+    })
+
+    res.json({ success: true, adjustment })
+  } catch (err) {
+    sendError(res, err, "Balance adjustment approval error")
+  }
+})
+
+// @route   POST api/admin/adjustments/:id/reject
+// @desc    Reject a pending adjustment
+// @access  Private/Admin
+router.post("/adjustments/:id/reject", auth, authorize(PERMISSIONS.BALANCES_APPROVE), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: "Adjustment not found" })
+    }
+
+    const adjustment = await adjustments.rejectAdjustment(req.params.id, req.user.id, { note: req.body.note })
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.ADJUSTMENT_REJECT,
+      target: { type: "adjustment", id: String(adjustment._id) },
+      metadata: { note: req.body.note },
+    })
+
+    res.json({ success: true, adjustment })
+  } catch (err) {
+    sendError(res, err, "Balance adjustment rejection error")
+  }
+})
+
+// Ask Paystack again about a reference whose webhook never arrived. A pending
+// payout is settled or refunded to match the provider; a successful charge we
+// never recorded is credited to the user named in its metadata.
+const reverifyWithPaystack = async (reference, actor) => {
+  const transaction = await Transaction.findOne({ reference })
+
+  if (transaction && transaction.payout && transaction.payout.initiatedAt) {
+    const updated = await payouts.checkStatus(reference, null, { force: true })
+    return { kind: "payout", changed: updated.status !== transaction.status, transaction: updated }
+  }
+  if (transaction) {
+    return { kind: transaction.transactionType, changed: false, transaction }
+  }
+
+  const response = await paystackRequest(`/transaction/verify/${encodeURIComponent(reference)}`)
+  const charge = response.data || {}
+  if (charge.status !== "success") {
+    return { kind: "charge", changed: false, providerStatus: charge.status || null }
+  }
+  if (!charge.metadata || !charge.metadata.userId) {
+    throw new AppError("Paystack charge has no user in its metadata", 422, "UNMATCHED_CHARGE")
+  }
+
+  const deposit = await transfers.recordDeposit({
+    userId: charge.metadata.userId,
+    amount: charge.amount,
+    reference,
+    actor,
+  })
+  return { kind: "charge", changed: true, providerStatus: charge.status, transaction: deposit.transaction }
+}
+
+// @route   POST api/admin/paystack/reverify
+// @desc    Re-run Paystack verification for a stuck deposit or payout
+// @access  Private/Admin
+router.post(
+  "/paystack/reverify",
+  [auth, authorize(PERMISSIONS.PAYMENTS_REVERIFY), check("reference", "Payment reference is required").not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const { reference } = req.body
+      const result = await reverifyWithPaystack(reference, adminActor(req))
+
+      await audit.record({
+        req,
+        action: audit.ACTIONS.PAYSTACK_REVERIFY,
+        target: { type: "transaction", id: reference },
+        metadata: {
+          kind: result.kind,
+          changed: result.changed,
+          status: result.transaction && result.transaction.status,
+        },
+      })
+
+      res.json({ success: true, ...result })
+    } catch (err) {
+      sendError(res, err, "Paystack reverification error")
+    }
+  },
+)
+
+// @route   GET api/admin/kyc/submissions
+// @desc    KYC review queue, oldest first (status defaults to in_review)
+// @access  Private/Admin
+router.get("/kyc/submissions", auth, authorize(PERMISSIONS.KYC_REVIEW), async (req, res) => {
+  try {
+    const submissions = await kyc.reviewQueue({
+      status: req.query.status,
+      limit: Math.min(Number.parseInt(req.query.limit) || 50, 200),
+    })
+    res.json({ success: true, submissions })
+  } catch (err) {
+    sendError(res, err, "KYC queue error")
+  }
+})
+
+// @route   GET api/admin/kyc/submissions/:id
+// @desc    Get a KYC submission with the applicant's profile
+// @access  Private/Admin
+router.get("/kyc/submissions/:id", auth, authorize(PERMISSIONS.KYC_REVIEW), async (req, res) => {
+  try {
+    const submission = await kyc.findSubmission(req.params.id)
+    const user = await User.findById(submission.userId).select("firstName lastName email phoneNumber kycTier createdAt")
+
+    await audit.record({ req, action: audit.ACTIONS.KYC_VIEW, target: { type: "kyc_submission", id: req.params.id } })
+
+    res.json({ success: true, submission, user })
+  } catch (err) {
+    sendError(res, err, "KYC submission lookup error")
+  }
+})
+
+// @route   GET api/admin/kyc/submissions/:id/documents/:index
+// @desc    Download one of a submission's documents
+// @access  Private/Admin
+router.get("/kyc/submissions/:id/documents/:index", auth, authorize(PERMISSIONS.KYC_REVIEW), async (req, res) => {
+  try {
+    const submission = await kyc.findSubmission(req.params.id)
+    const document = submission.documents[Number.parseInt(req.params.index)]
+    if (!document) {
+      return res.status(404).json({ success: false, message: "Document not found" })
+    }
+
+    const file = await documentStorage.read(document.storageKey)
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.KYC_DOCUMENT_VIEW,
+      target: { type: "kyc_submission", id: req.params.id },
+      metadata: { index: Number.parseInt(req.params.index), type: document.type },
+    })
+
+    res.set("Content-Type", document.mimeType)
+    res.set("Cache-Control", "no-store")
+    res.send(file)
+  } catch (err) {
+    sendError(res, err, "KYC document error")
+  }
+})
+
+// @route   POST api/admin/kyc/submissions/:id/approve
+// @desc    Approve a KYC submission and move the user to its tier
+// @access  Private/Admin
+router.post("/kyc/submissions/:id/approve", auth, authorize(PERMISSIONS.KYC_REVIEW), async (req, res) => {
+  try {
+    const submission = await kyc.approve(req.params.id, req.user.id, req.body.note)
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.KYC_APPROVE,
+      target: { type: "kyc_submission", id: String(submission._id) },
+      metadata: { userId: String(submission.userId), tier: submission.targetTier, note: submission.reviewNote },
+    })
+
+    res.json({ success: true, submission })
+  } catch (err) {
+    sendError(res, err, "KYC approval error")
+  }
+})
+
+// @route   POST api/admin/kyc/submissions/:id/reject
+// @desc    Reject a KYC submission; the note is shown to the user
+// @access  Private/Admin
+router.post("/kyc/submissions/:id/reject", auth, authorize(PERMISSIONS.KYC_REVIEW), async (req, res) => {
+  try {
+    const submission = await kyc.reject(req.params.id, req.user.id, req.body.note)
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.KYC_REJECT,
+      target: { type: "kyc_submission", id: String(submission._id) },
+      metadata: { userId: String(submission.userId), note: submission.reviewNote },
+    })
+
+    res.json({ success: true, submission })
+  } catch (err) {
+    sendError(res, err, "KYC rejection error")
+  }
+})
+
+// @route   GET api/admin/risk/reviews
+// @desc    Payments held by the risk engine, oldest first (status defaults to pending)
+// @access  Private/Admin
+router.get("/risk/reviews", auth, authorize(PERMISSIONS.RISK_REVIEW), async (req, res) => {
+  try {
+    const decisions = await riskReviews.reviewQueue({
+      status: req.query.status,
+      limit: Math.min(Number.parseInt(req.query.limit) || 50, 200),
+    })
+    res.json({ success: true, decisions })
+  } catch (err) {
+    sendError(res, err, "Risk review queue error")
+  }
+})
+
+// @route   GET api/admin/risk/decisions
+// @desc    Browse risk decisions, filtered by user or outcome, newest first
+// @access  Private/Admin
+router.get("/risk/decisions", auth, authorize(PERMISSIONS.TRANSACTIONS_READ), async (req, res) => {
+  try {
+    const { userId, outcome } = req.query
+    if (userId && !mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" })
+    }
+
+    const decisions = await riskReviews.listDecisions({
+      userId,
+      outcome,
+      limit: Math.min(Number.parseInt(req.query.limit) || 50, 200),
+    })
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.RISK_DECISIONS_VIEW,
+      target: userId ? { type: "user", id: userId } : undefined,
+      metadata: { outcome },
+    })
+
+    res.json({ success: true, decisions })
+  } catch (err) {
+    sendError(res, err, "Risk decisions error")
+  }
+})
+
+// @route   POST api/admin/risk/reviews/:id/release
+// @desc    Let a held payment go through
+// @access  Private/Admin
+router.post("/risk/reviews/:id/release", auth, authorize(PERMISSIONS.RISK_REVIEW), async (req, res) => {
+  try {
+    const { decision, transaction } = await riskReviews.release(req.params.id, req.user.id, {
+      note: req.body.note,
+      actor: adminActor(req),
+    })
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.RISK_RELEASE,
+      target: { type: "transaction", id: decision.reference },
+      metadata: { decisionId: String(decision._id), userId: String(decision.userId), note: decision.review.note },
+    })
+
+    res.json({ success: true, decision, transaction })
+  } catch (err) {
+    sendError(res, err, "Risk release error")
+  }
+})
+
+// @route   POST api/admin/risk/reviews/:id/reject
+// @desc    Stop a held payment and return the funds to the user
+// @access  Private/Admin
+router.post("/risk/reviews/:id/reject", auth, authorize(PERMISSIONS.RISK_REVIEW), async (req, res) => {
+  try {
+    const { decision, transaction } = await riskReviews.reject(req.params.id, req.user.id, {
+      note: req.body.note,
+      actor: adminActor(req),
+    })
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.RISK_REJECT,
+      target: { type: "transaction", id: decision.reference },
+      metadata: { decisionId: String(decision._id), userId: String(decision.userId), note: decision.review.note },
+    })
+
+    res.json({ success: true, decision, transaction })
+  } catch (err) {
+    sendError(res, err, "Risk rejection error")
+  }
+})
+
+// @route   GET api/admin/screening/matches
+// @desc    Watchlist screening review queue, oldest first (status defaults to pending)
+// @access  Private/Admin
+router.get("/screening/matches", auth, authorize(PERMISSIONS.SCREENING_REVIEW), async (req, res) => {
+  try {
+    const matches = await screening.reviewQueue({
+      status: req.query.status,
+      limit: Math.min(Number.parseInt(req.query.limit) || 50, 200),
+    })
+    res.json({ success: true, matches })
+  } catch (err) {
+    sendError(res, err, "Screening queue error")
+  }
+})
+
+// @route   GET api/admin/screening/matches/:id
+// @desc    Get a screening match with the watchlist entries it matched
+// @access  Private/Admin
+router.get("/screening/matches/:id", auth, authorize(PERMISSIONS.SCREENING_REVIEW), async (req, res) => {
+  try {
+    const match = await screening.findMatch(req.params.id)
+    const entries = await WatchlistEntry.find({ _id: { $in: match.matches.map((entry) => entry.entryId) } })
+    const user = match.userId
+      ? await User.findById(match.userId).select("firstName lastName email phoneNumber status createdAt")
+      : null
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.SCREENING_VIEW,
+      target: { type: "screening_match", id: req.params.id },
+    })
+
+    res.json({ success: true, match, entries, user })
+  } catch (err) {
+    sendError(res, err, "Screening match lookup error")
+  }
+})
+
+// @route   POST api/admin/screening/matches/:id/clear
+// @desc    Record a screening match as a false positive
+// @access  Private/Admin
+router.post("/screening/matches/:id/clear", auth, authorize(PERMISSIONS.SCREENING_REVIEW), async (req, res) => {
+  try {
+    const match = await screening.clear(req.params.id, req.user.id, req.body.note)
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.SCREENING_CLEAR,
+      target: { type: "screening_match", id: String(match._id) },
+      metadata: { subject: match.subject.key, note: match.decisionNote },
+    })
+
+    res.json({ success: true, match })
+  } catch (err) {
+    sendError(res, err, "Screening clear error")
+  }
+})
+
+// @route   POST api/admin/screening/matches/:id/confirm
+// @desc    Record a screening match as a true match; the customer or account stays blocked
+// @access  Private/Admin
+router.post("/screening/matches/:id/confirm", auth, authorize(PERMISSIONS.SCREENING_REVIEW), async (req, res) => {
+  try {
+    const match = await screening.confirm(req.params.id, req.user.id, req.body.note)
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.SCREENING_CONFIRM,
+      target: { type: "screening_match", id: String(match._id) },
+      metadata: { subject: match.subject.key, note: match.decisionNote },
+    })
+
+    res.json({ success: true, match })
+  } catch (err) {
+    sendError(res, err, "Screening confirm error")
+  }
+})
+
+// @route   GET api/admin/audit-logs
+// @desc    Browse the admin audit trail, filtered by actor, target or action
+// @access  Private/Admin
+router.get("/audit-logs", auth, authorize(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  try {
+    const { actorId, targetType, targetId, action } = req.query
+    const limit = Math.min(Number.parseInt(req.query.limit) || 50, 200)
+
+    const filter = {}
+    if (actorId) {
+      if (!mongoose.isValidObjectId(actorId)) {
+        return res.status(400).json({ message: "Invalid actor ID" })
+      }
+      filter.actorId = actorId
+    }
+    if (targetType) filter["target.type"] = targetType
+    if (targetId) filter["target.id"] = targetId
+    if (action) filter.action = action
+
+    const logs = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(limit)
+    res.json({ success: true, logs })
+  } catch (err) {
+    sendError(res, err, "Audit log error")
+  }
+})
+
+module.exports = router
@@ -1,9 +1,56 @@
 const express = require("express")
 const router = express.Router()
 const { check, validationResult } = require("express-validator")
-const jwt = require("jsonwebtoken")
+const bcrypt = require("bcryptjs")
 const User = require("../models/User")
 const auth = require("../middleware/auth")
+const holds = require("../services/holds")
+const sessions = require("../services/sessions")
+const verification = require("../services/verification")
+const passwords = require("../services/passwords")
+const twoFactor = require("../services/twoFactor")
+const throttle = require("../services/throttle")
+const securityEvents = require("../services/securityEvents")
+const devices = require("../services/devices")
+const screening = require("../services/screening")
+const { clientIp } = require("../utils/request")
+const { AppError, sendError } = require("../utils/errors")
+
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("not-a-real-password", 10)
+
+// Look up a user and check their password, with brute-force protection on both
+// the account identifier and the IP. Unknown accounts and wrong passwords fail
+// the same way, so responses don't reveal which accounts exist.
+const checkCredentials = async (req, target, findUser, password) => {
+  await throttle.reserveAttempt("login", target)
+
+  // Unknown accounts still pay for a hash comparison, so timing doesn't give them away
+  const user = await findUser()
+  const isMatch = user
+    ? await user.comparePassword(String(password || ""))
+    : await bcrypt.compare(String(password || ""), DUMMY_PASSWORD_HASH).then(() => false)
+  if (!isMatch) {
+    const locked = await throttle.recordFailure("login", target)
+    if (user) {
+      await securityEvents.record({ userId: user._id, type: securityEvents.TYPES.LOGIN_FAILED, req })
+    }
+    if (locked && user) {
+      await securityEvents.record({ userId: user._id, type: securityEvents.TYPES.LOGIN_LOCKED, req })
+    }
+    throw new AppError("Invalid credentials", 400, "INVALID_CREDENTIALS")
+  }
+
+  await throttle.recordSuccess("login", target)
+  return user
+}
+
+// Start a session: a short-lived access token plus a refresh token. The sign-in
+// is recorded, and the user is alerted if it's from a device we haven't seen.
+const startSession = async (user, req) => {
+  const tokens = await sessions.createSession(user, req)
+  await devices.recordSignIn(user._id, req)
+  return tokens
+}
 
 // @route   POST api/auth/register
 // @desc    Register user
@@ -44,26 +91,37 @@ router.post(
         email,
         password,
         phoneNumber,
-        isVerified: true, // For simplicity, auto-verify users
+        isVerified: false,
       })
 
       await user.save()
 
-      // Create JWT payload
-      const payload = {
-        user: {
-          id: user.id,
-        },
-      }
+      // A watchlist match freezes the new account until compliance has looked
+      const screeningMatch = await screening.screenUser(user, screening.CONTEXTS.REGISTRATION)
 
-      // Sign token
-      jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "7d" }, (err, token) => {
-        if (err) {
-          console.error("JWT Sign Error:", err)
-          throw err
+      // Send both verification codes. A delivery problem shouldn't fail the
+      // registration; the user can ask for the codes again.
+      for (const channel of Object.keys(verification.CHANNELS)) {
+        try {
+          await verification.sendCode(user, channel)
+        } catch (err) {
+          console.error(`Verification ${channel} send error:`, err.message)
         }
-        res.json({ success: true, token })
-      })
+      }
+
+      // Don't say why: telling them about a watchlist match could tip someone off
+      if (screeningMatch) {
+        return res.json({
+          success: true,
+          verificationRequired: true,
+          reviewRequired: true,
+          message: "We need to check a few details before you can use your account. We'll be in touch.",
+        })
+      }
+
+      const tokens = await startSession(user, req)
+
+      res.json({ success: true, ...tokens, verificationRequired: true })
     } catch (err) {
       console.error("Registration error:", err.message)
       res.status(500).json({ success: false, message: "Server error during registration", error: err.message })
@@ -86,43 +144,38 @@ router.post(
     const { email, password } = req.body
 
     try {
-      // Check if user exists
-      const user = await User.findOne({ email })
-      if (!user) {
-        return res.status(400).json({ success: false, message: "Invalid credentials" })
-      }
+      const user = await checkCredentials(
+        req,
+        { account: email, ip: clientIp(req) },
+        () => User.findOne({ email }),
+        password,
+      )
 
-      // Check password
-      const isMatch = await user.comparePassword(password)
-      if (!isMatch) {
-        return res.status(400).json({ success: false, message: "Invalid credentials" })
+      // With 2FA on, the password only earns a challenge for the second factor
+      if (await twoFactor.isEnabled(user._id)) {
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: twoFactor.createLoginChallenge(user._id),
+        })
       }
 
-      // Create JWT payload
-      const payload = {
+      const tokens = await startSession(user, req)
+
+      res.json({
+        success: true,
+        ...tokens,
         user: {
           id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
         },
-      }
-
-      // Sign token
-      jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "7d" }, (err, token) => {
-        if (err) {
-          console.error("JWT Sign Error:", err)
-          throw err
-        }
-        res.json({
-          success: true,
-          token,
-          user: {
-            id: user.id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-          },
-        })
       })
     } catch (err) {
+      if (err instanceof AppError) {
+        return sendError(res, err)
+      }
       console.error("Login error:", err.message)
       res.status(500).json({ success: false, message: "Server error during login", error: err.message })
     }
@@ -147,54 +200,92 @@ router.post(
     const { phoneNumber, password } = req.body
 
     try {
-      // Check if user exists
-      const user = await User.findOne({ phoneNumber })
-      if (!user) {
-        return res.status(400).json({ success: false, message: "User not found with this phone number" })
-      }
+      const user = await checkCredentials(
+        req,
+        { account: phoneNumber, ip: clientIp(req) },
+        () => User.findOne({ phoneNumber }),
+        password,
+      )
 
-      // Check password
-      const isMatch = await user.comparePassword(password)
-      if (!isMatch) {
-        return res.status(400).json({ success: false, message: "Invalid credentials" })
+      // With 2FA on, the password only earns a challenge for the second factor
+      if (await twoFactor.isEnabled(user._id)) {
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: twoFactor.createLoginChallenge(user._id),
+        })
       }
 
-      // Create JWT payload
-      const payload = {
+      const tokens = await startSession(user, req)
+
+      res.json({
+        success: true,
+        ...tokens,
         user: {
           id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
         },
-      }
-
-      // Sign token
-      jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: "7d" }, (err, token) => {
-        if (err) {
-          console.error("JWT Sign Error:", err)
-          throw err
-        }
-        res.json({
-          success: true,
-          token,
-          user: {
-            id: user.id,
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-          },
-        })
       })
     } catch (err) {
+      if (err instanceof AppError) {
+        return sendError(res, err)
+      }
       console.error("Login with phone error:", err.message)
       res.status(500).json({ success: false, message: "Server error during phone login", error: err.message })
     }
   },
 )
 
+// @route   POST api/auth/login/2fa
+// @desc    Complete a login with a two-factor or backup code
+// @access  Public
+router.post(
+  "/login/2fa",
+  [
+    check("challengeToken", "Challenge token is required").not().isEmpty(),
+    check("code", "Code is required").not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Validation error", errors: errors.array() })
+    }
+
+    try {
+      const userId = await twoFactor.completeLoginChallenge(req.body.challengeToken, req.body.code)
+      const user = await User.findById(userId)
+      if (!user) {
+        return res.status(400).json({ success: false, message: "Invalid credentials" })
+      }
+
+      const tokens = await startSession(user, req)
+
+      res.json({
+        success: true,
+        ...tokens,
+        user: {
+          id: user.id,
+          email: user.email,
+          firstName: user.firstName,
+          lastName: user.lastName,
+        },
+      })
+    } catch (err) {
+      sendError(res, err, "Two-factor login error")
+    }
+  },
+)
+
 // @route   GET api/auth/me
 // @desc    Get current user
 // @access  Private
 router.get("/me", auth, async (req, res) => {
   try {
+    // So availableBalance doesn't count holds that have lapsed
+    await holds.expireHolds({ userId: req.user.id })
+
     const user = await User.findById(req.user.id).select("-password")
     if (!user) {
       return res.status(404).json({ success: false, message: "User not found" })
@@ -206,4 +297,284 @@ router.get("/me", auth, async (req, res) => {
   }
 })
 
+// @route   POST api/auth/verify/send
+// @desc    Send (or resend) an email or SMS verification code
+// @access  Private
+router.post(
+  "/verify/send",
+  [auth, check("channel", "Channel must be email or sms").isIn(Object.keys(verification.CHANNELS))],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Validation error", errors: errors.array() })
+    }
+
+    try {
+      const user = await User.findById(req.user.id)
+      if (!user) {
+        return res.status(404).json({ success: false, message: "User not found" })
+      }
+
+      const { expiresAt } = await verification.sendCode(user, req.body.channel)
+      res.json({ success: true, message: "Verification code sent", expiresAt })
+    } catch (err) {
+      sendError(res, err, "Send verification code error")
+    }
+  },
+)
+
+// @route   POST api/auth/verify/confirm
+// @desc    Confirm an email or SMS verification code
+// @access  Private
+router.post(
+  "/verify/confirm",
+  [
+    auth,
+    check("channel", "Channel must be email or sms").isIn(Object.keys(verification.CHANNELS)),
+    check("code", "Code is required").not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Validation error", errors: errors.array() })
+    }
+
+    try {
+      const user = await User.findById(req.user.id)
+      if (!user) {
+        return res.status(404).json({ success: false, message: "User not found" })
+      }
+
+      const verified = await verification.confirmCode(user, req.body.channel, req.body.code)
+      res.json({
+        success: true,
+        emailVerified: !!verified.emailVerifiedAt,
+        phoneVerified: !!verified.phoneVerifiedAt,
+        isVerified: verified.isVerified,
+      })
+    } catch (err) {
+      sendError(res, err, "Confirm verification code error")
+    }
+  },
+)
+
+// @route   POST api/auth/forgot-password
+// @desc    Email a password reset token
+// @access  Public
+router.post("/forgot-password", [check("email", "Please include a valid email").isEmail()], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: "Validation error", errors: errors.array() })
+  }
+
+  try {
+    await passwords.requestReset(req.body.email, req)
+
+    // Same answer whether or not the account exists
+    res.json({ success: true, message: "If an account exists for that email, a reset token has been sent" })
+  } catch (err) {
+    sendError(res, err, "Forgot password error")
+  }
+})
+
+// @route   POST api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post(
+  "/reset-password",
+  [
+    check("token", "Reset token is required").not().isEmpty(),
+    check("password", `Password must be at least ${passwords.MIN_PASSWORD_LENGTH} characters`).isLength({
+      min: passwords.MIN_PASSWORD_LENGTH,
+    }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Validation error", errors: errors.array() })
+    }
+
+    try {
+      await passwords.resetPassword(req.body.token, req.body.password, req)
+      res.json({ success: true, message: "Password has been reset, please login again" })
+    } catch (err) {
+      sendError(res, err, "Reset password error")
+    }
+  },
+)
+
+// @route   PUT api/auth/password
+// @desc    Change the password of the signed-in user
+// @access  Private
+router.put(
+  "/password",
+  [
+    auth,
+    check("currentPassword", "Current password is required").not().isEmpty(),
+    check("newPassword", `Password must be at least ${passwords.MIN_PASSWORD_LENGTH} characters`).isLength({
+      min: passwords.MIN_PASSWORD_LENGTH,
+    }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Validation error", errors: errors.array() })
+    }
+
+    try {
+      await passwords.changePassword(req.user.id, req.body.currentPassword, req.body.newPassword, req)
+      res.json({ success: true, message: "Password changed. Other sessions have been signed out" })
+    } catch (err) {
+      sendError(res, err, "Change password error")
+    }
+  },
+)
+
+// @route   POST api/auth/2fa/setup
+// @desc    Start two-factor enrolment and get the authenticator secret
+// @access  Private
+router.post("/2fa/setup", auth, async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await twoFactor.startEnrolment(req.user.id)
+    res.json({ success: true, secret, otpauthUri })
+  } catch (err) {
+    sendError(res, err, "Two-factor setup error")
+  }
+})
+
+// @route   POST api/auth/2fa/confirm
+// @desc    Confirm enrolment with a code from the authenticator app
+// @access  Private
+router.post("/2fa/confirm", [auth, check("code", "Code is required").not().isEmpty()], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: "Validation error", errors: errors.array() })
+  }
+
+  try {
+    const backupCodes = await twoFactor.confirmEnrolment(req.user.id, req.body.code, req)
+    res.json({
+      success: true,
+      message: "Two-factor authentication enabled. Store these backup codes somewhere safe",
+      backupCodes,
+    })
+  } catch (err) {
+    sendError(res, err, "Two-factor confirm error")
+  }
+})
+
+// @route   POST api/auth/2fa/backup-codes
+// @desc    Replace the backup codes
+// @access  Private
+router.post("/2fa/backup-codes", [auth, check("code", "Code is required").not().isEmpty()], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: "Validation error", errors: errors.array() })
+  }
+
+  try {
+    const backupCodes = await twoFactor.regenerateBackupCodes(req.user.id, req.body.code)
+    res.json({ success: true, backupCodes })
+  } catch (err) {
+    sendError(res, err, "Backup codes error")
+  }
+})
+
+// @route   POST api/auth/2fa/disable
+// @desc    Turn two-factor authentication off
+// @access  Private
+router.post(
+  "/2fa/disable",
+  [
+    auth,
+    check("password", "Password is required").not().isEmpty(),
+    check("code", "Code is required").not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Validation error", errors: errors.array() })
+    }
+
+    try {
+      await twoFactor.disable(req.user.id, { password: req.body.password, code: req.body.code }, req)
+      res.json({ success: true, message: "Two-factor authentication disabled" })
+    } catch (err) {
+      sendError(res, err, "Two-factor disable error")
+    }
+  },
+)
+
+// @route   POST api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post("/refresh", [check("refreshToken", "Refresh token is required").not().isEmpty()], async (req, res) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, message: "Validation error", errors: errors.array() })
+  }
+
+  try {
+    const tokens = await sessions.refresh(req.body.refreshToken, req)
+    res.json({ success: true, ...tokens })
+  } catch (err) {
+    sendError(res, err, "Token refresh error")
+  }
+})
+
+// @route   POST api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post("/logout", auth, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.user.sessionId, req.user.id)
+    res.json({ success: true, message: "Logged out" })
+  } catch (err) {
+    sendError(res, err, "Logout error")
+  }
+})
+
+// @route   POST api/auth/logout-all
+// @desc    End every session for the user, including this one
+// @access  Private
+router.post("/logout-all", auth, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAllSessions(req.user.id)
+    res.json({ success: true, message: "Logged out of all sessions", revoked })
+  } catch (err) {
+    sendError(res, err, "Logout all error")
+  }
+})
+
+// @route   GET api/auth/sessions
+// @desc    List the user's active sessions
+// @access  Private
+router.get("/sessions", auth, async (req, res) => {
+  try {
+    const activeSessions = await sessions.listSessions(req.user.id)
+
+    res.json({
+      success: true,
+      sessions: activeSessions.map((session) => ({
+        ...session.toJSON(),
+        current: session.id === req.user.sessionId,
+      })),
+    })
+  } catch (err) {
+    sendError(res, err, "List sessions error")
+  }
+})
+
+// @route   DELETE api/auth/sessions/:id
+// @desc    Revoke one of the user's sessions
+// @access  Private
+router.delete("/sessions/:id", auth, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.params.id, req.user.id, "Revoked by user")
+    res.json({ success: true, message: "Session revoked" })
+  } catch (err) {
+    sendError(res, err, "Revoke session error")
+  }
+})
+
 module.exports = router
@@ -1,17 +1,29 @@
 const express = require("express")
 const router = express.Router()
 const auth = require("../middleware/auth")
+const idempotency = require("../middleware/idempotency")
+const requireVerified = require("../middleware/requireVerified")
+const authorize = require("../middleware/authorize")
 const User = require("../models/User")
 const Transaction = require("../models/Transaction")
+const transfers = require("../services/transfers")
+const transactionStatus = require("../services/transactionStatus")
+const audit = require("../services/audit")
+const accounts = require("../services/accounts")
+const kyc = require("../services/kyc")
+const money = require("../utils/money")
+const { sendError } = require("../utils/errors")
+const { PERMISSIONS } = require("../config/roles")
 
 // @route   POST api/payments/bank-transfer/initiate
 // @desc    Initiate a bank transfer deposit
 // @access  Private
-router.post("/bank-transfer/initiate", auth, async (req, res) => {
+router.post("/bank-transfer/initiate", auth, requireVerified, idempotency, async (req, res) => {
   try {
-    const { amount, reference } = req.body
+    const { reference } = req.body
+    const amount = money.parseAmount(req.body.amount)
 
-    if (!amount || amount <= 0) {
+    if (!amount) {
       return res.status(400).json({
         success: false,
         message: "Valid amount is required",
@@ -30,12 +42,16 @@ router.post("/bank-transfer/initiate", auth, async (req, res) => {
     if (!user) {
       return res.status(404).json({ success: false, message: "User not found" })
     }
+    accounts.assertAllows(user, "credit")
+    kyc.assertWithinTransactionLimit(user, amount)
+    kyc.assertCanHold(user, amount)
 
     // Create transaction record
     const transaction = new Transaction({
       userId: user._id,
       transactionType: "deposit",
-      amount: Number.parseFloat(amount),
+      channel: transfers.CHANNELS.BANK_DEPOSIT,
+      amount,
       fee: 0,
       status: "pending",
       purpose: "Bank Transfer Deposit",
@@ -50,13 +66,12 @@ router.post("/bank-transfer/initiate", auth, async (req, res) => {
       reference,
       transaction: {
         id: transaction._id,
-        amount,
+        amount: money.toMajor(amount),
         status: "pending",
       },
     })
   } catch (err) {
-    console.error("Bank transfer initiate error:", err.message)
-    res.status(500).json({ success: false, message: "Server error" })
+    sendError(res, err, "Bank transfer initiate error")
   }
 })
 
@@ -90,8 +105,10 @@ router.post("/bank-transfer/cancel", auth, async (req, res) => {
     }
 
     // Update transaction status
-    transaction.status = "cancelled"
-    await transaction.save()
+    await transactionStatus.transition(reference, transactionStatus.STATUSES.CANCELLED, {
+      actor: { type: transactionStatus.ACTORS.USER, id: req.user.id },
+      reason: "Cancelled by user",
+    })
 
     res.json({
       success: true,
@@ -102,15 +119,14 @@ router.post("/bank-transfer/cancel", auth, async (req, res) => {
       },
     })
   } catch (err) {
-    console.error("Bank transfer cancel error:", err.message)
-    res.status(500).json({ success: false, message: "Server error" })
+    sendError(res, err, "Bank transfer cancel error")
   }
 })
 
 // @route   POST api/payments/bank-transfer/confirm
 // @desc    Confirm a bank transfer deposit (admin only)
 // @access  Private/Admin
-router.post("/bank-transfer/confirm", auth, async (req, res) => {
+router.post("/bank-transfer/confirm", auth, authorize(PERMISSIONS.DEPOSITS_CONFIRM), idempotency, async (req, res) => {
   try {
     const { reference } = req.body
 
@@ -121,33 +137,18 @@ router.post("/bank-transfer/confirm", auth, async (req, res) => {
       })
     }
 
-    // Find the transaction
-    const transaction = await Transaction.findOne({
-      reference,
-      transactionType: "deposit",
-      status: "pending",
+    // Mark the deposit successful and credit the user against the funds
+    // received in our bank account
+    const transaction = await transfers.confirmPendingDeposit(reference, {
+      actor: { type: transactionStatus.ACTORS.ADMIN, id: req.user.id },
     })
 
-    if (!transaction) {
-      return res.status(404).json({
-        success: false,
-        message: "Transaction not found",
-      })
-    }
-
-    // Get user
-    const user = await User.findById(transaction.userId)
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" })
-    }
-
-    // Update transaction status
-    transaction.status = "successful"
-    await transaction.save()
-
-    // Update user's balance
-    user.balance += transaction.amount
-    await user.save()
+    await audit.record({
+      req,
+      action: audit.ACTIONS.DEPOSIT_CONFIRM,
+      target: { type: "transaction", id: reference },
+      metadata: { userId: String(transaction.userId), amount: transaction.amount },
+    })
 
     res.json({
       success: true,
@@ -158,8 +159,7 @@ router.post("/bank-transfer/confirm", auth, async (req, res) => {
       },
     })
   } catch (err) {
-    console.error("Bank transfer confirm error:", err.message)
-    res.status(500).json({ success: false, message: "Server error" })
+    sendError(res, err, "Bank transfer confirm error")
   }
 })
 
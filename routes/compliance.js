@@ -0,0 +1,296 @@
+const express = require("express")
+const router = express.Router()
+const mongoose = require("mongoose")
+const { check, validationResult } = require("express-validator")
+const auth = require("../middleware/auth")
+const authorize = require("../middleware/authorize")
+const audit = require("../services/audit")
+const complianceCases = require("../services/complianceCases")
+const { sendError } = require("../utils/errors")
+const { PERMISSIONS } = require("../config/roles")
+const { CASE_STATUSES, CASE_PRIORITIES } = require("../config/compliance")
+
+// Suspicious activity case management. Everything here is for compliance
+// staff and is recorded in the admin audit trail.
+
+const caseTarget = (found) => ({ type: "compliance_case", id: String(found._id) })
+
+// @route   GET api/compliance/cases
+// @desc    List cases, most urgent first, filtered by status, priority, assignee, user or overdue=true
+// @access  Private/Compliance
+router.get("/cases", auth, authorize(PERMISSIONS.CASES_READ), async (req, res) => {
+  try {
+    const { status, priority, assigneeId, userId } = req.query
+    for (const id of [assigneeId, userId]) {
+      if (id && !mongoose.isValidObjectId(id)) {
+        return res.status(400).json({ message: "Invalid user ID" })
+      }
+    }
+
+    const cases = await complianceCases.listCases({
+      status,
+      priority,
+      assigneeId,
+      userId,
+      overdue: req.query.overdue === "true",
+      limit: Math.min(Number.parseInt(req.query.limit) || 50, 200),
+    })
+    res.json({ success: true, cases })
+  } catch (err) {
+    sendError(res, err, "Compliance cases error")
+  }
+})
+
+// @route   POST api/compliance/cases
+// @desc    Open a case by hand, e.g. from a report by staff or another institution
+// @access  Private/Compliance
+router.post(
+  "/cases",
+  [
+    auth,
+    authorize(PERMISSIONS.CASES_MANAGE),
+    check("title", "A title is required").trim().not().isEmpty(),
+    check("priority", "Priority is not valid").optional().isIn(Object.keys(CASE_PRIORITIES)),
+    check("userIds", "userIds must be a list").optional().isArray(),
+    check("transactionReferences", "transactionReferences must be a list").optional().isArray(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const { title, description, priority, userIds, transactionReferences } = req.body
+      const opened = await complianceCases.openCase({
+        title,
+        description,
+        priority,
+        userIds,
+        transactionReferences,
+        openedBy: req.user.id,
+      })
+
+      await audit.record({ req, action: audit.ACTIONS.CASE_OPEN, target: caseTarget(opened) })
+
+      res.status(201).json({ success: true, case: opened })
+    } catch (err) {
+      sendError(res, err, "Open case error")
+    }
+  },
+)
+
+// @route   GET api/compliance/cases/:id
+// @desc    Get a case with its notes and history
+// @access  Private/Compliance
+router.get("/cases/:id", auth, authorize(PERMISSIONS.CASES_READ), async (req, res) => {
+  try {
+    const found = await complianceCases.findCase(req.params.id)
+
+    await audit.record({ req, action: audit.ACTIONS.CASE_VIEW, target: caseTarget(found) })
+
+    res.json({ success: true, case: found })
+  } catch (err) {
+    sendError(res, err, "Case lookup error")
+  }
+})
+
+// @route   PUT api/compliance/cases/:id/assignee
+// @desc    Assign a case to a member of compliance staff, or unassign it with null
+// @access  Private/Compliance
+router.put("/cases/:id/assignee", auth, authorize(PERMISSIONS.CASES_MANAGE), async (req, res) => {
+  try {
+    const updated = await complianceCases.assign(req.params.id, req.body.assigneeId, { by: req.user.id })
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.CASE_ASSIGN,
+      target: caseTarget(updated),
+      metadata: { assigneeId: req.body.assigneeId || null },
+    })
+
+    res.json({ success: true, case: updated })
+  } catch (err) {
+    sendError(res, err, "Case assignment error")
+  }
+})
+
+// @route   PUT api/compliance/cases/:id/status
+// @desc    Move a case through its workflow; reporting or closing needs a note
+// @access  Private/Compliance
+router.put(
+  "/cases/:id/status",
+  [
+    auth,
+    authorize(PERMISSIONS.CASES_MANAGE),
+    check("status", "A valid status is required").isIn(Object.values(CASE_STATUSES)),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const updated = await complianceCases.changeStatus(req.params.id, req.body.status, {
+        by: req.user.id,
+        note: req.body.note,
+      })
+
+      await audit.record({
+        req,
+        action: audit.ACTIONS.CASE_STATUS_CHANGE,
+        target: caseTarget(updated),
+        metadata: { status: updated.status, note: req.body.note },
+      })
+
+      res.json({ success: true, case: updated })
+    } catch (err) {
+      sendError(res, err, "Case status error")
+    }
+  },
+)
+
+// @route   PUT api/compliance/cases/:id/priority
+// @desc    Change a case's priority, which moves its SLA due date
+// @access  Private/Compliance
+router.put(
+  "/cases/:id/priority",
+  [
+    auth,
+    authorize(PERMISSIONS.CASES_MANAGE),
+    check("priority", "A valid priority is required").isIn(Object.keys(CASE_PRIORITIES)),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const updated = await complianceCases.changePriority(req.params.id, req.body.priority, { by: req.user.id })
+
+      await audit.record({
+        req,
+        action: audit.ACTIONS.CASE_PRIORITY_CHANGE,
+        target: caseTarget(updated),
+        metadata: { priority: updated.priority },
+      })
+
+      res.json({ success: true, case: updated })
+    } catch (err) {
+      sendError(res, err, "Case priority error")
+    }
+  },
+)
+
+// @route   POST api/compliance/cases/:id/notes
+// @desc    Add a note to a case
+// @access  Private/Compliance
+router.post(
+  "/cases/:id/notes",
+  [auth, authorize(PERMISSIONS.CASES_MANAGE), check("body", "A note is required").trim().not().isEmpty()],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const updated = await complianceCases.addNote(req.params.id, req.body.body, { by: req.user.id })
+
+      await audit.record({ req, action: audit.ACTIONS.CASE_NOTE, target: caseTarget(updated) })
+
+      res.status(201).json({ success: true, case: updated })
+    } catch (err) {
+      sendError(res, err, "Case note error")
+    }
+  },
+)
+
+// @route   POST api/compliance/cases/:id/links
+// @desc    Link more users and transactions (by reference) to a case
+// @access  Private/Compliance
+router.post(
+  "/cases/:id/links",
+  [
+    auth,
+    authorize(PERMISSIONS.CASES_MANAGE),
+    check("userIds", "userIds must be a list").optional().isArray(),
+    check("transactionReferences", "transactionReferences must be a list").optional().isArray(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const { userIds = [], transactionReferences = [] } = req.body
+      let updated = await complianceCases.findCase(req.params.id)
+      if (userIds.length > 0) {
+        updated = await complianceCases.linkUsers(updated._id, userIds)
+      }
+      if (transactionReferences.length > 0) {
+        updated = await complianceCases.linkTransactions(updated._id, transactionReferences)
+      }
+
+      await audit.record({
+        req,
+        action: audit.ACTIONS.CASE_LINK,
+        target: caseTarget(updated),
+        metadata: { userIds, transactionReferences },
+      })
+
+      res.json({ success: true, case: updated })
+    } catch (err) {
+      sendError(res, err, "Case link error")
+    }
+  },
+)
+
+// @route   GET api/compliance/cases/:id/report
+// @desc    Suspicious activity report bundle: the case, its subjects and transactions, with the transactions as CSV
+// @access  Private/Compliance
+router.get("/cases/:id/report", auth, authorize(PERMISSIONS.CASES_EXPORT), async (req, res) => {
+  try {
+    const { report, transactionsCsv } = await complianceCases.buildReport(req.params.id, { by: req.user.id })
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.CASE_EXPORT,
+      target: { type: "compliance_case", id: req.params.id },
+      metadata: { format: "json", transactions: report.transactions.length },
+    })
+
+    res.set("Cache-Control", "no-store")
+    res.json({ success: true, report, transactionsCsv })
+  } catch (err) {
+    sendError(res, err, "Case report error")
+  }
+})
+
+// @route   GET api/compliance/cases/:id/report/transactions.csv
+// @desc    Download the CSV of a case's transactions on its own
+// @access  Private/Compliance
+router.get("/cases/:id/report/transactions.csv", auth, authorize(PERMISSIONS.CASES_EXPORT), async (req, res) => {
+  try {
+    const { report, transactionsCsv } = await complianceCases.buildReport(req.params.id, { by: req.user.id })
+
+    await audit.record({
+      req,
+      action: audit.ACTIONS.CASE_EXPORT,
+      target: { type: "compliance_case", id: req.params.id },
+      metadata: { format: "csv", transactions: report.transactions.length },
+    })
+
+    res.set("Content-Type", "text/csv; charset=utf-8")
+    res.set("Content-Disposition", `attachment; filename="${report.case.reference}-transactions.csv"`)
+    res.set("Cache-Control", "no-store")
+    res.send(transactionsCsv)
+  } catch (err) {
+    sendError(res, err, "Case report error")
+  }
+})
+
+module.exports = router
@@ -0,0 +1,79 @@
+const express = require("express")
+const router = express.Router()
+const { check, validationResult } = require("express-validator")
+const User = require("../models/User")
+const KycSubmission = require("../models/KycSubmission")
+const auth = require("../middleware/auth")
+const kyc = require("../services/kyc")
+const { TIERS, DOCUMENTS } = require("../config/kyc")
+const { sendError } = require("../utils/errors")
+
+// What a user sees of their own submission
+const formatSubmission = (submission) =>
+  submission && {
+    id: submission._id,
+    targetTier: submission.targetTier,
+    status: submission.status,
+    verification: submission.verification && submission.verification.status,
+    reviewNote: submission.status === kyc.STATUSES.REJECTED ? submission.reviewNote : undefined,
+    createdAt: submission.createdAt,
+    reviewedAt: submission.reviewedAt,
+  }
+
+// @route   GET api/kyc
+// @desc    Get the user's KYC tier, its limits, and their latest submission
+// @access  Private
+router.get("/", auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select("kycTier kycVerifiedAt")
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" })
+    }
+
+    const latest = await KycSubmission.findOne({ userId: user._id }).sort({ createdAt: -1 })
+
+    res.json({
+      success: true,
+      current: kyc.describeTier(kyc.tierOf(user)),
+      verifiedAt: user.kycVerifiedAt,
+      tiers: Object.keys(TIERS).map(kyc.describeTier),
+      latestSubmission: formatSubmission(latest),
+    })
+  } catch (err) {
+    sendError(res, err, "KYC status error")
+  }
+})
+
+// @route   POST api/kyc/submissions
+// @desc    Submit BVN/NIN, a selfie and ID documents (base64) to move up a tier
+// @access  Private
+router.post(
+  "/submissions",
+  [
+    auth,
+    check("targetTier", "Target tier is required").isInt(),
+    check("bvn", "BVN must be 11 digits").optional().matches(/^\d{11}$/),
+    check("nin", "NIN must be 11 digits").optional().matches(/^\d{11}$/),
+    check("documents", "Documents must be a list").optional().isArray({ max: 5 }),
+    check("documents.*.type", "Unknown document type").isIn(DOCUMENTS.types),
+    check("documents.*.mimeType", "Document mimeType is required").not().isEmpty(),
+    check("documents.*.data", "Document data is required").not().isEmpty(),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const { targetTier, bvn, nin, documents } = req.body
+      const submission = await kyc.submit(req.user.id, { targetTier, bvn, nin, documents })
+
+      res.status(201).json({ success: true, submission: formatSubmission(submission) })
+    } catch (err) {
+      sendError(res, err, "KYC submission error")
+    }
+  },
+)
+
+module.exports = router
@@ -1,38 +1,24 @@
 const express = require("express")
 const router = express.Router()
-const axios = require("axios")
 const crypto = require("crypto")
 const auth = require("../middleware/auth")
+const idempotency = require("../middleware/idempotency")
+const requireVerified = require("../middleware/requireVerified")
+const stepUp = require("../middleware/stepUp")
+const { twoFactorCode } = require("../middleware/stepUp")
 const User = require("../models/User")
 const Card = require("../models/Card")
 const Transaction = require("../models/Transaction")
-
-// Paystack API base URL
-const PAYSTACK_BASE_URL = "https://api.paystack.co"
-
-// Helper function to make Paystack API requests
-const paystackRequest = async (endpoint, method = "GET", data = null) => {
-  try {
-    const config = {
-      method,
-      url: `${PAYSTACK_BASE_URL}${endpoint}`,
-      headers: {
-        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-        "Content-Type": "application/json",
-      },
-    }
-
-    if (data && (method === "POST" || method === "PUT")) {
-      config.data = data
-    }
-
-    const response = await axios(config)
-    return response.data
-  } catch (error) {
-    console.error("Paystack API error:", error.response ? error.response.data : error.message)
-    throw new Error(error.response ? error.response.data.message : error.message)
-  }
-}
+const { paystackRequest } = require("../services/paystack")
+const transfers = require("../services/transfers")
+const payouts = require("../services/payouts")
+const accounts = require("../services/accounts")
+const kyc = require("../services/kyc")
+const limits = require("../services/limits")
+const securityEvents = require("../services/securityEvents")
+const money = require("../utils/money")
+const { sendError } = require("../utils/errors")
+const { clientIp, deviceFingerprint } = require("../utils/request")
 
 // @route   GET api/payments/banks
 // @desc    Get list of banks
@@ -104,9 +90,10 @@ router.post("/verify-account", auth, async (req, res) => {
 // @route   POST api/payments/withdraw
 // @desc    Process withdrawal
 // @access  Private
-router.post("/withdraw", auth, async (req, res) => {
+router.post("/withdraw", auth, requireVerified, idempotency, async (req, res) => {
   try {
-    const { amount, bank_code, account_number, account_name, narration } = req.body
+    const { bank_code, account_number, account_name, narration, pin } = req.body
+    const amount = money.parseAmount(req.body.amount)
 
     if (!amount || !bank_code || !account_number || !account_name) {
       return res.status(400).json({
@@ -115,91 +102,37 @@ router.post("/withdraw", auth, async (req, res) => {
       })
     }
 
-    // Get user
-    const user = await User.findById(req.user.id)
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" })
-    }
-
-    // Check if user has enough balance
-    if (user.balance < amount) {
-      return res.status(400).json({
-        success: false,
-        message: "Insufficient balance",
-      })
-    }
-
-    // Create a transfer recipient
-    const recipientData = {
-      type: "nuban",
-      name: account_name,
-      account_number: account_number,
-      bank_code: bank_code,
-      currency: "NGN",
-    }
-
-    const recipientResponse = await paystackRequest("/transferrecipient", "POST", recipientData)
-
-    if (!recipientResponse.status) {
-      return res.status(400).json({
-        success: false,
-        message: "Failed to create transfer recipient",
-      })
-    }
-
-    // Create a transfer
-    const transferData = {
-      source: "balance",
-      amount: amount * 100, // Convert to kobo
-      recipient: recipientResponse.data.recipient_code,
-      reason: narration || "Withdrawal",
-    }
-
-    const transferResponse = await paystackRequest("/transfer", "POST", transferData)
-
-    if (!transferResponse.status) {
-      return res.status(400).json({
-        success: false,
-        message: "Failed to initiate transfer",
-      })
-    }
-
-    // Update user's balance
-    user.balance -= amount
-    await user.save()
-
-    // Create transaction record
-    const transaction = new Transaction({
-      userId: user._id,
-      transactionType: "withdrawal",
-      amount: amount,
-      fee: 0,
-      status: "pending",
-      purpose: narration || "Withdrawal",
-      reference: transferResponse.data.transfer_code,
-      recipientName: account_name,
-      recipientDetails: {
-        bankName: bank_code,
-        accountNumber: account_number,
-        accountName: account_name,
-      },
+    const prepared = await transfers.prepareTransfer({
+      userId: req.user.id,
+      channel: transfers.CHANNELS.WITHDRAWAL,
+      amount,
+      pin,
+      twoFactorCode: twoFactorCode(req),
+      ip: clientIp(req),
+      deviceFingerprint: deviceFingerprint(req),
+      bankDetails: { bankCode: bank_code, accountNumber: account_number, accountName: account_name },
+      purpose: narration,
     })
 
-    await transaction.save()
+    // Debit the user and initiate the payout; the webhook settles it
+    const { reference, transaction, fee, levy, transferCode, heldForReview } = await payouts.payout(prepared)
 
     res.json({
       success: true,
-      message: "Withdrawal initiated successfully",
-      reference: transferResponse.data.transfer_code,
+      message: heldForReview ? "Withdrawal is being reviewed" : "Withdrawal initiated successfully",
+      reference,
+      transferCode,
+      heldForReview,
       transaction: {
         id: transaction._id,
-        amount,
-        status: "pending",
+        amount: money.toMajor(amount),
+        fee: money.toMajor(fee),
+        levy: money.toMajor(levy),
+        status: transaction.status,
       },
     })
   } catch (err) {
-    console.error("Withdrawal error:", err.message)
-    res.status(500).json({ success: false, message: "Server error processing withdrawal" })
+    sendError(res, err, "Withdrawal error")
   }
 })
 
@@ -208,9 +141,10 @@ router.post("/withdraw", auth, async (req, res) => {
 // @access  Private
 router.post("/initialize", auth, async (req, res) => {
   try {
-    const { amount, email, metadata = {} } = req.body
+    const { email, metadata = {} } = req.body
+    const amount = money.parseAmount(req.body.amount)
 
-    if (!amount || amount <= 0) {
+    if (!amount) {
       return res.status(400).json({ message: "Valid amount is required" })
     }
 
@@ -218,6 +152,10 @@ router.post("/initialize", auth, async (req, res) => {
       return res.status(400).json({ message: "Email is required" })
     }
 
+    await accounts.assertUserAllows(req.user.id, "credit")
+    await kyc.assertCanReceive(req.user.id, amount)
+    await limits.assertUserWithinLimits(req.user.id, transfers.CHANNELS.CARD_DEPOSIT, amount)
+
     // Add user ID to metadata
     const enhancedMetadata = {
       ...metadata,
@@ -226,7 +164,7 @@ router.post("/initialize", auth, async (req, res) => {
 
     // Initialize transaction with Paystack
     const paymentData = {
-      amount,
+      amount, // Already in kobo
       email,
       metadata: enhancedMetadata,
       callback_url: `${process.env.API_BASE_URL}/api/payments/callback`, // Use our API endpoint
@@ -236,8 +174,7 @@ router.post("/initialize", auth, async (req, res) => {
 
     res.json(response)
   } catch (err) {
-    console.error("Payment initialization error:", err.message)
-    res.status(500).json({ message: "Server error" })
+    sendError(res, err, "Payment initialization error")
   }
 })
 
@@ -292,7 +229,7 @@ router.post("/initialize-card-tokenization", auth, async (req, res) => {
 // @route   POST api/payments/verify-card-tokenization
 // @desc    Verify and save a tokenized card
 // @access  Private
-router.post("/verify-card-tokenization", auth, async (req, res) => {
+router.post("/verify-card-tokenization", auth, stepUp("add_card"), async (req, res) => {
   try {
     const { reference, isPrimary = false } = req.body
 
@@ -300,13 +237,10 @@ router.post("/verify-card-tokenization", auth, async (req, res) => {
       return res.status(400).json({ success: false, message: "Reference is required" })
     }
 
-    console.log(`Verifying card tokenization for reference: ${reference}`)
-
     // Verify the transaction with Paystack
     let verifyResponse
     try {
       verifyResponse = await paystackRequest(`/transaction/verify/${reference}`)
-      console.log("Paystack verification response:", JSON.stringify(verifyResponse))
     } catch (paystackError) {
       console.error("Paystack verification error:", paystackError)
       return res.status(400).json({
@@ -402,7 +336,12 @@ router.post("/verify-card-tokenization", auth, async (req, res) => {
       })
 
       await card.save()
-      console.log("Card saved successfully:", card._id)
+      await securityEvents.record({
+        userId: req.user.id,
+        type: securityEvents.TYPES.CARD_ADDED,
+        req,
+        metadata: { cardId: String(card._id), last4: card.last4, cardType: card.cardType },
+      })
 
       // Refund the charge
       try {
@@ -444,11 +383,12 @@ router.post("/verify-card-tokenization", auth, async (req, res) => {
 // @route   POST api/payments/charge-card
 // @desc    Charge a saved card
 // @access  Private
-router.post("/charge-card", auth, async (req, res) => {
+router.post("/charge-card", auth, requireVerified, idempotency, async (req, res) => {
   try {
-    const { amount, email, cardId } = req.body
+    const { email, cardId } = req.body
+    const amount = money.parseAmount(req.body.amount)
 
-    if (!amount || amount <= 0) {
+    if (!amount) {
       return res.status(400).json({ success: false, message: "Valid amount is required" })
     }
 
@@ -460,6 +400,11 @@ router.post("/charge-card", auth, async (req, res) => {
       return res.status(400).json({ success: false, message: "Card ID is required" })
     }
 
+    // Check before charging the card, not when crediting the wallet afterwards
+    await accounts.assertUserAllows(req.user.id, "credit")
+    await kyc.assertCanReceive(req.user.id, amount)
+    await limits.assertUserWithinLimits(req.user.id, transfers.CHANNELS.CARD_DEPOSIT, amount)
+
     // Find the card
     const card = await Card.findOne({ _id: cardId, userId: req.user.id, isActive: true })
     if (!card) {
@@ -470,7 +415,7 @@ router.post("/charge-card", auth, async (req, res) => {
     const chargeData = {
       authorization_code: card.paystackAuthCode,
       email,
-      amount: amount * 100, // Convert to kobo
+      amount, // Already in kobo
       metadata: {
         userId: req.user.id,
         cardId: card._id.toString(),
@@ -483,37 +428,22 @@ router.post("/charge-card", auth, async (req, res) => {
       return res.status(400).json({ success: false, message: "Payment failed" })
     }
 
-    // Get user
-    const user = await User.findById(req.user.id)
-    if (!user) {
-      return res.status(404).json({ success: false, message: "User not found" })
-    }
-
-    // Update user's balance
-    user.balance += Number.parseFloat(amount)
-    await user.save()
-
-    // Create transaction record
-    const transaction = new Transaction({
-      userId: user._id,
-      transactionType: "deposit",
-      amount: Number.parseFloat(amount),
-      fee: 0,
-      status: "successful",
-      purpose: "Deposit via saved card",
+    // Credit the user against the funds Paystack collected
+    await transfers.recordDeposit({
+      userId: req.user.id,
+      amount,
       reference: chargeResponse.data.reference,
+      channel: transfers.CHANNELS.CARD_DEPOSIT,
+      purpose: "Deposit via saved card",
     })
 
-    await transaction.save()
-
     res.json({
       success: true,
       reference: chargeResponse.data.reference,
       status: chargeResponse.data.status,
     })
   } catch (err) {
-    console.error("Charge card error:", err.message)
-    res.status(500).json({ success: false, message: "Server error" })
+    sendError(res, err, "Charge card error")
   }
 })
 
@@ -534,38 +464,16 @@ router.get("/callback", async (req, res) => {
     if (paystackResponse.data.status === "success") {
       // Extract data from Paystack response
       const { amount, metadata } = paystackResponse.data
-      const userId = metadata.userId
-      const amountInNaira = amount / 100 // Convert from kobo to Naira
-
-      // Find the user
-      const user = await User.findById(userId)
-      if (!user) {
-        return res.status(404).json({ message: "User not found" })
-      }
 
       // Check if transaction already exists
       const existingTransaction = await Transaction.findOne({ reference })
       if (!existingTransaction) {
-        // Update user's balance
-        user.balance += amountInNaira
-        await user.save()
-
-        // Create transaction record
-        const transaction = new Transaction({
-          userId,
-          transactionType: "deposit",
-          amount: amountInNaira,
-          fee: 0,
-          status: "successful",
-          purpose: "Deposit via Paystack",
-          reference,
-        })
-
-        await transaction.save()
+        // Credit the user against the funds Paystack collected
+        await transfers.recordDeposit({ userId: metadata.userId, amount, reference })
       }
 
       // Redirect to success page in the app
-      return res.redirect(`${process.env.APP_URL}/deposit-success?reference=${reference}&amount=${amountInNaira}`)
+      return res.redirect(`${process.env.APP_URL}/deposit-success?reference=${reference}&amount=${money.toMajor(amount)}`)
     } else {
       // Redirect to failure page in the app
       return res.redirect(`${process.env.APP_URL}/deposit-failed?reference=${reference}`)
@@ -629,7 +537,8 @@ router.post("/webhook", express.raw({ type: "application/json" }), async (req, r
         await handleReversedTransfer(event.data)
         break
       default:
-        console.log(`Unhandled event type: ${event.event}`)
+        // Other events aren't used
+        break
     }
 
     res.status(200).send("Webhook received")
@@ -649,40 +558,14 @@ const handleSuccessfulPayment = async (data) => {
       return
     }
 
-    const userId = metadata.userId
-    const amountInNaira = amount / 100 // Convert from kobo to Naira
-
-    // Find the user
-    const user = await User.findById(userId)
-    if (!user) {
-      console.error("User not found:", userId)
-      return
-    }
-
     // Check if transaction already exists
     const existingTransaction = await Transaction.findOne({ reference })
     if (existingTransaction) {
-      console.log("Transaction already processed:", reference)
       return
     }
 
-    // Update user's balance
-    user.balance += amountInNaira
-    await user.save()
-
-    // Create transaction record
-    const transaction = new Transaction({
-      userId,
-      transactionType: "deposit",
-      amount: amountInNaira,
-      fee: 0,
-      status: "successful",
-      purpose: "Deposit via Paystack",
-      reference,
-    })
-
-    await transaction.save()
-    console.log("Payment processed successfully:", reference)
+    // Credit the user against the funds Paystack collected
+    await transfers.recordDeposit({ userId: metadata.userId, amount, reference })
   } catch (error) {
     console.error("Error handling successful payment:", error)
   }
@@ -691,17 +574,10 @@ const handleSuccessfulPayment = async (data) => {
 // Helper function to handle successful transfers
 const handleSuccessfulTransfer = async (data) => {
   try {
-    const { reference, metadata } = data
+    const { reference } = data
 
-    if (!metadata || !metadata.userId) {
-      console.error("No user ID in metadata")
-      return
-    }
-
-    // Update the withdrawal transaction status
-    await Transaction.findOneAndUpdate({ reference: metadata.originalReference }, { status: "successful" })
-
-    console.log("Transfer processed successfully:", reference)
+    // Settle the pending payout; repeated webhooks are no-ops
+    await payouts.applyProviderStatus(reference, "success", data.transfer_code)
   } catch (error) {
     console.error("Error handling successful transfer:", error)
   }
@@ -859,128 +735,43 @@ router.post("/create-virtual-account", auth, async (req, res) => {
 // @route   POST api/payments/transfer
 // @desc    Transfer funds between users
 // @access  Private
-router.post("/transfer", auth, async (req, res) => {
+router.post("/transfer", auth, requireVerified, idempotency, async (req, res) => {
   try {
-    const { recipientId, amount, reason } = req.body
+    const { recipientId, reason, pin } = req.body
+    const amount = money.parseAmount(req.body.amount)
 
-    if (!recipientId || !amount || amount <= 0) {
+    if (!recipientId || !amount) {
       return res.status(400).json({
         success: false,
         message: "Recipient ID and valid amount are required",
       })
     }
 
-    // Get sender
-    const sender = await User.findById(req.user.id)
-    if (!sender) {
-      return res.status(404).json({ success: false, message: "Sender not found" })
-    }
-
-    // Check if sender has enough balance
-    if (sender.balance < amount) {
-      return res.status(400).json({
-        success: false,
-        message: "Insufficient balance",
-      })
-    }
-
-    // Get recipient
-    const recipient = await User.findById(recipientId)
-    if (!recipient) {
-      return res.status(404).json({ success: false, message: "Recipient not found" })
-    }
-
-    // Create a transfer recipient if not exists
-    let recipientCode = recipient.paystackTransferRecipientCode
-    if (!recipientCode) {
-      const recipientData = {
-        type: "nuban",
-        name: `${recipient.firstName} ${recipient.lastName}`,
-        account_number: recipient.paystackVirtualAccountNumber || "0000000000",
-        bank_code: "044", // Access Bank code, replace with actual bank code
-        currency: "NGN",
-      }
-
-      const recipientResponse = await paystackRequest("/transferrecipient", "POST", recipientData)
-      recipientCode = recipientResponse.data.recipient_code
-
-      // Save recipient code to user
-      recipient.paystackTransferRecipientCode = recipientCode
-
-      // Make sure we're properly saving it:
-      if (!recipient.paystackTransferRecipientCode) {
-        recipient.paystackTransferRecipientCode = recipientCode
-      }
-      await recipient.save()
-    }
-
-    // Create a transfer
-    const transferData = {
-      source: "balance",
-      amount: amount * 100, // Convert to kobo
-      recipient: recipientCode,
-      reason: reason || "Transfer",
-    }
-
-    const transferResponse = await paystackRequest("/transfer", "POST", transferData)
-
-    if (!transferResponse.status) {
-      return res.status(400).json({
-        success: false,
-        message: "Failed to initiate transfer",
-      })
-    }
-
-    // Update balances
-    sender.balance -= amount
-    recipient.balance += amount
-    await sender.save()
-    await recipient.save()
-
-    // Create transaction records
-    const reference = transferResponse.data.transfer_code
-
-    const senderTransaction = new Transaction({
-      userId: sender._id,
-      transactionType: "send",
-      amount: amount,
-      fee: 0,
-      status: "successful",
-      recipientId: recipient._id,
-      recipientName: `${recipient.firstName} ${recipient.lastName}`,
-      purpose: reason || "Transfer",
-      reference,
-    })
-
-    const recipientTransaction = new Transaction({
-      userId: recipient._id,
-      transactionType: "receive",
-      amount: amount,
-      fee: 0,
-      status: "successful",
-      recipientId: sender._id,
-      recipientName: `${sender.firstName} ${sender.lastName}`,
-      purpose: reason || "Transfer",
-      reference: `${reference}-RCV`,
+    const prepared = await transfers.prepareTransfer({
+      userId: req.user.id,
+      channel: transfers.CHANNELS.P2P,
+      amount,
+      pin,
+      twoFactorCode: twoFactorCode(req),
+      ip: clientIp(req),
+      deviceFingerprint: deviceFingerprint(req),
+      recipientId,
+      purpose: reason,
     })
 
-    await senderTransaction.save()
-    await recipientTransaction.save()
+    // A wallet-to-wallet transfer only moves money inside the ledger; nothing
+    // goes out through the provider
+    const { reference, heldForReview } = await transfers.executeTransfer(prepared)
 
-    res.json({
-      success: true,
-      reference,
-      transferCode: transferResponse.data.transfer_code,
-    })
+    res.json({ success: true, reference, heldForReview })
   } catch (err) {
-    console.error("Transfer error:", err.message)
-    res.status(500).json({ success: false, message: "Server error" })
+    sendError(res, err, "Transfer error")
   }
 })
 
 const handleFailedTransfer = async (data) => {
   try {
-    const { reference, recipient, reason } = data
+    const { reference } = data
 
     // Find the transaction
     const transaction = await Transaction.findOne({ reference })
@@ -989,19 +780,8 @@ const handleFailedTransfer = async (data) => {
       return
     }
 
-    // Update transaction status
-    transaction.status = "failed"
-    transaction.notes = reason || "Transfer failed"
-    await transaction.save()
-
-    // Refund the sender
-    const sender = await User.findById(transaction.userId)
-    if (sender) {
-      sender.balance += transaction.amount
-      await sender.save()
-    }
-
-    console.log("Failed transfer handled:", reference)
+    // Refund the sender by reversing the original debit
+    await payouts.applyProviderStatus(reference, "failed", data.transfer_code)
   } catch (error) {
     console.error("Error handling failed transfer:", error)
   }
@@ -1009,7 +789,7 @@ const handleFailedTransfer = async (data) => {
 
 const handleReversedTransfer = async (data) => {
   try {
-    const { reference, recipient } = data
+    const { reference } = data
 
     // Find the transaction
     const transaction = await Transaction.findOne({ reference })
@@ -1018,27 +798,9 @@ const handleReversedTransfer = async (data) => {
       return
     }
 
-    // Update transaction status
-    transaction.status = "reversed"
-    await transaction.save()
-
-    // Refund the sender
-    const sender = await User.findById(transaction.userId)
-    if (sender) {
-      sender.balance += transaction.amount
-      await sender.save()
-    }
-
-    // Deduct from recipient
-    if (transaction.recipientId) {
-      const recipient = await User.findById(transaction.recipientId)
-      if (recipient) {
-        recipient.balance -= transaction.amount
-        await recipient.save()
-      }
-    }
-
-    console.log("Reversed transfer handled:", reference)
+    // Reverse the original entry: refunds the sender and, for wallet
+    // transfers, takes the funds back from the recipient
+    await payouts.applyProviderStatus(reference, "reversed", data.transfer_code)
   } catch (error) {
     console.error("Error handling reversed transfer:", error)
   }
@@ -1,13 +1,19 @@
 const express = require("express")
 const router = express.Router()
 const { check, validationResult } = require("express-validator")
-const mongoose = require("mongoose")
 const User = require("../models/User")
 const Transaction = require("../models/Transaction")
-const TransactionPin = require("../models/TransactionPin")
-const Beneficiary = require("../models/Beneficiary")
 const auth = require("../middleware/auth")
-const { v4: uuidv4 } = require("uuid")
+const idempotency = require("../middleware/idempotency")
+const requireVerified = require("../middleware/requireVerified")
+const { twoFactorCode } = require("../middleware/stepUp")
+const transfers = require("../services/transfers")
+const fees = require("../services/fees")
+const quotes = require("../services/quotes")
+const payouts = require("../services/payouts")
+const money = require("../utils/money")
+const { sendError } = require("../utils/errors")
+const { clientIp, deviceFingerprint } = require("../utils/request")
 
 // @route   GET api/transactions
 // @desc    Get user's transactions
@@ -69,11 +75,11 @@ router.get("/search", auth, async (req, res) => {
     // Apply amount range filter
     if (amountRange && amountRange !== "all") {
       if (amountRange === "small") {
-        filter.amount = { $lt: 1000 }
+        filter.amount = { $lt: money.toMinor(1000) }
       } else if (amountRange === "medium") {
-        filter.amount = { $gte: 1000, $lt: 5000 }
+        filter.amount = { $gte: money.toMinor(1000), $lt: money.toMinor(5000) }
       } else if (amountRange === "large") {
-        filter.amount = { $gte: 5000 }
+        filter.amount = { $gte: money.toMinor(5000) }
       }
     }
 
@@ -86,134 +92,39 @@ router.get("/search", auth, async (req, res) => {
   }
 })
 
-// @route   POST api/transactions/transfer
-// @desc    Transfer money to another user
+// @route   GET api/transactions/fees/quote
+// @desc    Quote the fee and levies for a payment before committing to it
 // @access  Private
-router.post(
-  "/transfer",
-  [
-    auth,
-    check("recipientId", "Recipient ID is required").not().isEmpty(),
-    check("amount", "Amount is required").isNumeric(),
-    check("pin", "Transaction PIN is required").not().isEmpty(),
-    check("purpose", "Purpose is required").not().isEmpty(),
-  ],
-  async (req, res) => {
-    const errors = validationResult(req)
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() })
-    }
-
-    const session = await mongoose.startSession()
-    session.startTransaction()
-
-    try {
-      const { recipientId, amount, purpose, pin } = req.body
-      const fee = 25 // Fixed fee for transfers
-
-      // Verify transaction PIN
-      const transactionPin = await TransactionPin.findOne({ userId: req.user.id })
-      if (!transactionPin) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(400).json({ message: "Transaction PIN not set" })
-      }
-
-      const isPinValid = await transactionPin.comparePin(pin)
-      if (!isPinValid) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(400).json({ message: "Invalid transaction PIN" })
-      }
-
-      // Get sender's profile
-      const sender = await User.findById(req.user.id)
-      if (!sender) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(404).json({ message: "Sender not found" })
-      }
-
-      // Check if sender has enough balance
-      if (sender.balance < Number.parseFloat(amount) + fee) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(400).json({ message: "Insufficient balance" })
-      }
-
-      // Get recipient's profile
-      const recipient = await User.findById(recipientId)
-      if (!recipient) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(404).json({ message: "Recipient not found" })
-      }
-
-      // Create a unique reference
-      const reference = `TRX-${uuidv4().substring(0, 8)}`
-
-      // Update sender's balance
-      sender.balance -= Number.parseFloat(amount) + fee
-      await sender.save({ session })
-
-      // Update recipient's balance
-      recipient.balance += Number.parseFloat(amount)
-      await recipient.save({ session })
-
-      // Create transaction record for sender
-      const senderTransaction = new Transaction({
-        userId: sender._id,
-        transactionType: "send",
-        amount: Number.parseFloat(amount),
-        fee,
-        status: "successful",
-        recipientId: recipient._id,
-        recipientName: `${recipient.firstName} ${recipient.lastName}`,
-        recipientCecureTag: recipient.cecureTag,
-        purpose,
-        reference,
-      })
+router.get("/fees/quote", auth, async (req, res) => {
+  try {
+    const { channel } = req.query
+    const amount = money.parseAmount(req.query.amount)
 
-      await senderTransaction.save({ session })
-
-      // Create transaction record for recipient
-      const recipientTransaction = new Transaction({
-        userId: recipient._id,
-        transactionType: "receive",
-        amount: Number.parseFloat(amount),
-        fee: 0,
-        status: "successful",
-        recipientId: sender._id,
-        recipientName: `${sender.firstName} ${sender.lastName}`,
-        purpose,
-        reference: `${reference}-RCV`,
+    if (!amount || !fees.CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: `A valid amount and a channel (${fees.CHANNELS.join(", ")}) are required`,
       })
+    }
 
-      await recipientTransaction.save({ session })
-
-      await session.commitTransaction()
-      session.endSession()
+    const user = await User.findById(req.user.id)
+    const quote = await fees.quoteFee({ channel, amount, user })
 
-      res.json({ success: true, reference })
-    } catch (err) {
-      await session.abortTransaction()
-      session.endSession()
-      console.error(err.message)
-      res.status(500).send("Server error")
-    }
-  },
-)
+    res.json({ success: true, quote: fees.formatQuote(quote) })
+  } catch (err) {
+    sendError(res, err, "Fee quote error")
+  }
+})
 
-// @route   POST api/transactions/bank-transfer
-// @desc    Transfer money to a bank account
+// @route   POST api/transactions/quote
+// @desc    Preview a transfer: recipient name, fee, total debit and balance after
 // @access  Private
 router.post(
-  "/bank-transfer",
+  "/quote",
   [
     auth,
-    check("bankDetails", "Bank details are required").not().isEmpty(),
-    check("amount", "Amount is required").isNumeric(),
-    check("pin", "Transaction PIN is required").not().isEmpty(),
+    check("recipient", "A recipient cecureTag, user ID or bank account is required").isObject(),
+    check("amount", "Amount must be a positive value with at most two decimal places").custom(money.isValidAmount),
   ],
   async (req, res) => {
     const errors = validationResult(req)
@@ -221,102 +132,72 @@ router.post(
       return res.status(400).json({ errors: errors.array() })
     }
 
-    const session = await mongoose.startSession()
-    session.startTransaction()
-
     try {
-      const { bankDetails, amount, pin } = req.body
-      const fee = 25 // Fixed fee for bank transfers
-
-      // Verify transaction PIN
-      const transactionPin = await TransactionPin.findOne({ userId: req.user.id })
-      if (!transactionPin) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(400).json({ message: "Transaction PIN not set" })
-      }
-
-      const isPinValid = await transactionPin.comparePin(pin)
-      if (!isPinValid) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(400).json({ message: "Invalid transaction PIN" })
-      }
-
-      // Get user's profile
-      const user = await User.findById(req.user.id)
-      if (!user) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(404).json({ message: "User not found" })
-      }
-
-      // Check if user has enough balance
-      if (user.balance < Number.parseFloat(amount) + fee) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(400).json({ message: "Insufficient balance" })
-      }
-
-      // Create a unique reference
-      const reference = `BNK-${uuidv4().substring(0, 8)}`
-
-      // Update user's balance
-      user.balance -= Number.parseFloat(amount) + fee
-      await user.save({ session })
-
-      // Create transaction record
-      const transaction = new Transaction({
-        userId: user._id,
-        transactionType: "send",
-        amount: Number.parseFloat(amount),
-        fee,
-        status: "successful",
-        recipientName: bankDetails.accountName,
-        recipientBank: bankDetails.bankName,
-        recipientAccount: bankDetails.accountNumber,
-        purpose: "Bank Transfer",
-        reference,
+      const result = await quotes.createQuote({
+        userId: req.user.id,
+        amount: money.parseAmount(req.body.amount),
+        recipient: req.body.recipient,
       })
 
-      await transaction.save({ session })
-
-      // Save beneficiary if requested
-      if (bankDetails.saveBeneficiary) {
-        const beneficiary = new Beneficiary({
-          userId: user._id,
-          recipientName: bankDetails.accountName,
-          bankName: bankDetails.bankName,
-          accountNumber: bankDetails.accountNumber,
-          transferType: "bank",
-        })
-
-        await beneficiary.save({ session })
-      }
-
-      await session.commitTransaction()
-      session.endSession()
-
-      res.json({ success: true, reference })
+      res.json({ success: true, quote: quotes.formatQuote(result) })
     } catch (err) {
-      await session.abortTransaction()
-      session.endSession()
-      console.error(err.message)
-      res.status(500).send("Server error")
+      sendError(res, err, "Transfer quote error")
     }
   },
 )
 
-// @route   POST api/transactions/withdraw
-// @desc    Withdraw money to a bank account
+// @route   GET api/transactions/:reference
+// @desc    Get one of the user's transactions with its status history
+// @access  Private
+router.get("/:reference", auth, async (req, res) => {
+  try {
+    const transaction = await Transaction.findOne({ reference: req.params.reference, userId: req.user.id })
+    if (!transaction) {
+      return res.status(404).json({ success: false, message: "Transaction not found" })
+    }
+
+    res.json({ success: true, transaction })
+  } catch (err) {
+    sendError(res, err, "Get transaction error")
+  }
+})
+
+// @route   GET api/transactions/:reference/status
+// @desc    Poll the status of a transaction, checking pending payouts with the provider
+// @access  Private
+router.get("/:reference/status", auth, async (req, res) => {
+  try {
+    const transaction = await payouts.checkStatus(req.params.reference, req.user.id)
+
+    res.json({
+      success: true,
+      reference: transaction.reference,
+      status: transaction.status,
+      providerStatus: transaction.payout ? transaction.payout.providerStatus : undefined,
+      updatedAt: transaction.statusHistory.length
+        ? transaction.statusHistory[transaction.statusHistory.length - 1].at
+        : transaction.createdAt,
+    })
+  } catch (err) {
+    sendError(res, err, "Transaction status error")
+  }
+})
+
+// @route   POST api/transactions/transfer
+// @desc    Transfer money to another user
 // @access  Private
 router.post(
-  "/withdraw",
+  "/transfer",
   [
     auth,
-    check("bankDetails", "Bank details are required").not().isEmpty(),
-    check("amount", "Amount is required").isNumeric(),
+    requireVerified,
+    idempotency,
+    check("recipientId", "Recipient ID is required").if(check("quoteId").not().exists()).not().isEmpty(),
+    check("amount", "Amount must be a positive value with at most two decimal places")
+      .if(check("quoteId").not().exists())
+      .custom(money.isValidAmount),
     check("pin", "Transaction PIN is required").not().isEmpty(),
+    check("purpose", "Purpose is required").not().isEmpty(),
   ],
   async (req, res) => {
     const errors = validationResult(req)
@@ -324,101 +205,43 @@ router.post(
       return res.status(400).json({ errors: errors.array() })
     }
 
-    const session = await mongoose.startSession()
-    session.startTransaction()
-
     try {
-      const { bankDetails, amount, pin } = req.body
-      const fee = 25 // Fixed fee for withdrawals
-
-      // Verify transaction PIN
-      const transactionPin = await TransactionPin.findOne({ userId: req.user.id })
-      if (!transactionPin) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(400).json({ message: "Transaction PIN not set" })
-      }
-
-      const isPinValid = await transactionPin.comparePin(pin)
-      if (!isPinValid) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(400).json({ message: "Invalid transaction PIN" })
-      }
-
-      // Get user's profile
-      const user = await User.findById(req.user.id)
-      if (!user) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(404).json({ message: "User not found" })
-      }
-
-      // Check if user has enough balance
-      if (user.balance < Number.parseFloat(amount) + fee) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(400).json({ message: "Insufficient balance" })
-      }
-
-      // Create a unique reference
-      const reference = `WTH-${uuidv4().substring(0, 8)}`
-
-      // Update user's balance
-      user.balance -= Number.parseFloat(amount) + fee
-      await user.save({ session })
-
-      // Create transaction record
-      const transaction = new Transaction({
-        userId: user._id,
-        transactionType: "withdraw",
-        amount: Number.parseFloat(amount),
-        fee,
-        status: "successful",
-        recipientName: bankDetails.accountName,
-        recipientBank: bankDetails.bankName,
-        recipientAccount: bankDetails.accountNumber,
-        purpose: "Withdrawal",
-        reference,
+      const { recipientId, purpose, pin, quoteId } = req.body
+
+      const { reference, heldForReview } = await transfers.transfer({
+        userId: req.user.id,
+        channel: transfers.CHANNELS.P2P,
+        amount: req.body.amount != null ? money.parseAmount(req.body.amount) : undefined,
+        pin,
+        twoFactorCode: twoFactorCode(req),
+        ip: clientIp(req),
+        deviceFingerprint: deviceFingerprint(req),
+        recipientId,
+        purpose,
+        quoteId,
       })
 
-      await transaction.save({ session })
-
-      // Save beneficiary if requested
-      if (bankDetails.saveBeneficiary) {
-        const beneficiary = new Beneficiary({
-          userId: user._id,
-          recipientName: bankDetails.accountName,
-          bankName: bankDetails.bankName,
-          accountNumber: bankDetails.accountNumber,
-          transferType: "bank",
-        })
-
-        await beneficiary.save({ session })
-      }
-
-      await session.commitTransaction()
-      session.endSession()
-
-      res.json({ success: true, reference })
+      res.json({ success: true, reference, heldForReview })
     } catch (err) {
-      await session.abortTransaction()
-      session.endSession()
-      console.error(err.message)
-      res.status(500).send("Server error")
+      sendError(res, err, "Transfer error")
     }
   },
 )
 
-// @route   POST api/transactions/deposit
-// @desc    Deposit money
+// @route   POST api/transactions/bank-transfer
+// @desc    Transfer money to a bank account
 // @access  Private
 router.post(
-  "/deposit",
+  "/bank-transfer",
   [
     auth,
-    check("amount", "Amount is required").isNumeric(),
-    check("method", "Payment method is required").not().isEmpty(),
+    requireVerified,
+    idempotency,
+    check("bankDetails", "Bank details are required").if(check("quoteId").not().exists()).not().isEmpty(),
+    check("amount", "Amount must be a positive value with at most two decimal places")
+      .if(check("quoteId").not().exists())
+      .custom(money.isValidAmount),
+    check("pin", "Transaction PIN is required").not().isEmpty(),
   ],
   async (req, res) => {
     const errors = validationResult(req)
@@ -426,62 +249,43 @@ router.post(
       return res.status(400).json({ errors: errors.array() })
     }
 
-    const session = await mongoose.startSession()
-    session.startTransaction()
-
     try {
-      const { amount, method } = req.body
-
-      // Get user's profile
-      const user = await User.findById(req.user.id)
-      if (!user) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(404).json({ message: "User not found" })
-      }
-
-      // Create a unique reference
-      const reference = `DEP-${uuidv4().substring(0, 8)}`
-
-      // Update user's balance
-      user.balance += Number.parseFloat(amount)
-      await user.save({ session })
-
-      // Create transaction record
-      const transaction = new Transaction({
-        userId: user._id,
-        transactionType: "deposit",
-        amount: Number.parseFloat(amount),
-        fee: 0,
-        status: "successful",
-        purpose: `Deposit via ${method}`,
-        reference,
+      const { bankDetails, pin, quoteId } = req.body
+
+      const prepared = await transfers.prepareTransfer({
+        userId: req.user.id,
+        channel: transfers.CHANNELS.BANK_TRANSFER,
+        amount: req.body.amount != null ? money.parseAmount(req.body.amount) : undefined,
+        pin,
+        twoFactorCode: twoFactorCode(req),
+        ip: clientIp(req),
+        deviceFingerprint: deviceFingerprint(req),
+        bankDetails,
+        quoteId,
       })
 
-      await transaction.save({ session })
+      // The transfer stays pending until the provider confirms the payout
+      const { reference, transaction, heldForReview } = await payouts.payout(prepared)
 
-      await session.commitTransaction()
-      session.endSession()
-
-      res.json({ success: true, reference })
+      res.json({ success: true, reference, status: transaction.status, heldForReview })
     } catch (err) {
-      await session.abortTransaction()
-      session.endSession()
-      console.error(err.message)
-      res.status(500).send("Server error")
+      sendError(res, err, "Bank transfer error")
     }
   },
 )
 
-// @route   POST api/transactions/confirm-deposit
-// @desc    Confirm a deposit after Paystack payment
+// @route   POST api/transactions/withdraw
+// @desc    Withdraw money to a bank account
 // @access  Private
 router.post(
-  "/confirm-deposit",
+  "/withdraw",
   [
     auth,
-    check("reference", "Payment reference is required").not().isEmpty(),
-    check("amount", "Amount is required").isNumeric(),
+    requireVerified,
+    idempotency,
+    check("bankDetails", "Bank details are required").not().isEmpty(),
+    check("amount", "Amount must be a positive value with at most two decimal places").custom(money.isValidAmount),
+    check("pin", "Transaction PIN is required").not().isEmpty(),
   ],
   async (req, res) => {
     const errors = validationResult(req)
@@ -489,54 +293,25 @@ router.post(
       return res.status(400).json({ errors: errors.array() })
     }
 
-    const session = await mongoose.startSession()
-    session.startTransaction()
-
     try {
-      const { reference, amount } = req.body
-
-      // Get user's profile
-      const user = await User.findById(req.user.id)
-      if (!user) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(404).json({ message: "User not found" })
-      }
-
-      // Check if transaction already exists
-      const existingTransaction = await Transaction.findOne({ reference })
-      if (existingTransaction) {
-        await session.abortTransaction()
-        session.endSession()
-        return res.status(400).json({ message: "Transaction already processed" })
-      }
-
-      // Update user's balance
-      user.balance += Number.parseFloat(amount)
-      await user.save({ session })
-
-      // Create transaction record
-      const transaction = new Transaction({
-        userId: user._id,
-        transactionType: "deposit",
-        amount: Number.parseFloat(amount),
-        fee: 0,
-        status: "successful",
-        purpose: "Deposit via Paystack",
-        reference,
+      const { bankDetails, pin } = req.body
+
+      const prepared = await transfers.prepareTransfer({
+        userId: req.user.id,
+        channel: transfers.CHANNELS.WITHDRAWAL,
+        amount: money.parseAmount(req.body.amount),
+        pin,
+        twoFactorCode: twoFactorCode(req),
+        ip: clientIp(req),
+        deviceFingerprint: deviceFingerprint(req),
+        bankDetails,
       })
 
-      await transaction.save({ session })
-
-      await session.commitTransaction()
-      session.endSession()
+      const { reference, transaction, heldForReview } = await payouts.payout(prepared)
 
-      res.json({ success: true, reference })
+      res.json({ success: true, reference, status: transaction.status, heldForReview })
     } catch (err) {
-      await session.abortTransaction()
-      session.endSession()
-      console.error(err.message)
-      res.status(500).send("Server error")
+      sendError(res, err, "Withdrawal error")
     }
   },
 )
@@ -2,38 +2,21 @@ const express = require("express")
 const router = express.Router()
 const { check, validationResult } = require("express-validator")
 const User = require("../models/User")
-const TransactionPin = require("../models/TransactionPin")
 const Card = require("../models/Card")
 const Beneficiary = require("../models/Beneficiary")
 const auth = require("../middleware/auth")
-const axios = require("axios")
-
-// Paystack API base URL
-const PAYSTACK_BASE_URL = "https://api.paystack.co"
-
-// Helper function to make Paystack API requests
-const paystackRequest = async (endpoint, method = "GET", data = null) => {
-  try {
-    const config = {
-      method,
-      url: `${PAYSTACK_BASE_URL}${endpoint}`,
-      headers: {
-        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-        "Content-Type": "application/json",
-      },
-    }
-
-    if (data && (method === "POST" || method === "PUT")) {
-      config.data = data
-    }
-
-    const response = await axios(config)
-    return response.data
-  } catch (error) {
-    console.error("Paystack API error:", error.response ? error.response.data : error.message)
-    throw new Error(error.response ? error.response.data.message : error.message)
-  }
-}
+const stepUp = require("../middleware/stepUp")
+const holds = require("../services/holds")
+const money = require("../utils/money")
+const { sendError } = require("../utils/errors")
+const { clientIp } = require("../utils/request")
+const pin = require("../services/pin")
+const accounts = require("../services/accounts")
+const closure = require("../services/closure")
+const transactionStatus = require("../services/transactionStatus")
+const securityEvents = require("../services/securityEvents")
+const limits = require("../services/limits")
+const { paystackRequest } = require("../services/paystack")
 
 // @route   GET api/users/search
 // @desc    Search users by cecureTag or name
@@ -70,8 +53,57 @@ router.get("/search", auth, async (req, res) => {
   }
 })
 
+// @route   GET api/users/balance
+// @desc    Get the user's available and ledger balances
+// @access  Private
+router.get("/balance", auth, async (req, res) => {
+  try {
+    const balances = await holds.getBalances(req.user.id)
+
+    res.json({
+      success: true,
+      currency: balances.currency,
+      availableBalance: money.toMajor(balances.availableBalance),
+      ledgerBalance: money.toMajor(balances.ledgerBalance),
+      heldBalance: money.toMajor(balances.heldBalance),
+    })
+  } catch (err) {
+    sendError(res, err, "Get balance error")
+  }
+})
+
+// @route   GET api/users/security-events
+// @desc    Get the user's sign-ins, failed attempts and security changes, newest first
+// @access  Private
+router.get("/security-events", auth, async (req, res) => {
+  try {
+    const limit = Math.min(Number.parseInt(req.query.limit) || 50, 100)
+    const before = req.query.before ? new Date(req.query.before) : undefined
+    if (before && Number.isNaN(before.getTime())) {
+      return res.status(400).json({ message: "before must be a date" })
+    }
+
+    const events = await securityEvents.list(req.user.id, { limit, before })
+    res.json({ success: true, events })
+  } catch (err) {
+    sendError(res, err, "Security events error")
+  }
+})
+
+// @route   GET api/users/limits
+// @desc    Get the user's transaction limits per channel and how much of each is left
+// @access  Private
+router.get("/limits", auth, async (req, res) => {
+  try {
+    const summary = await limits.summary(req.user.id)
+    res.json({ success: true, ...summary })
+  } catch (err) {
+    sendError(res, err, "Limits error")
+  }
+})
+
 // @route   POST api/users/transaction-pin
-// @desc    Set transaction PIN
+// @desc    Set the transaction PIN, or change it by also sending currentPin
 // @access  Private
 router.post(
   "/transaction-pin",
@@ -83,28 +115,70 @@ router.post(
     }
 
     try {
-      const { pin } = req.body
-
-      // Check if PIN already exists
-      let transactionPin = await TransactionPin.findOne({ userId: req.user.id })
-
-      if (transactionPin) {
-        // Update existing PIN
-        transactionPin.pinHash = pin
-        transactionPin.updatedAt = Date.now()
-      } else {
-        // Create new PIN
-        transactionPin = new TransactionPin({
-          userId: req.user.id,
-          pinHash: pin,
-        })
+      const { pin: newPin, currentPin } = req.body
+
+      if (currentPin) {
+        await pin.changePin(req.user.id, currentPin, newPin, req)
+        return res.json({ success: true, message: "Transaction PIN changed successfully" })
       }
 
-      await transactionPin.save()
-      res.json({ message: "Transaction PIN set successfully" })
+      await pin.setPin(req.user.id, newPin, req)
+      res.json({ success: true, message: "Transaction PIN set successfully" })
     } catch (err) {
-      console.error(err.message)
-      res.status(500).send("Server error")
+      sendError(res, err, "Set PIN error")
+    }
+  },
+)
+
+// @route   POST api/users/transaction-pin/reset/request
+// @desc    Send a code for resetting a forgotten transaction PIN
+// @access  Private
+router.post(
+  "/transaction-pin/reset/request",
+  [auth, check("channel", "Channel must be email or sms").optional().isIn(["email", "sms"])],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const { expiresAt } = await pin.requestPinReset(req.user.id, req.body.channel)
+      res.json({ success: true, message: "PIN reset code sent", expiresAt })
+    } catch (err) {
+      sendError(res, err, "PIN reset request error")
+    }
+  },
+)
+
+// @route   POST api/users/transaction-pin/reset
+// @desc    Reset a forgotten transaction PIN with the code and account password
+// @access  Private
+router.post(
+  "/transaction-pin/reset",
+  [
+    auth,
+    check("code", "Code is required").not().isEmpty(),
+    check("password", "Password is required").not().isEmpty(),
+    check("pin", "PIN is required").isLength({ min: 4, max: 6 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      const { code, password } = req.body
+      const { coolingOffUntil } = await pin.resetPin(req.user.id, { code, password, newPin: req.body.pin }, req)
+
+      res.json({
+        success: true,
+        message: "Transaction PIN reset. Outgoing transfers are limited for a while",
+        coolingOffUntil,
+      })
+    } catch (err) {
+      sendError(res, err, "PIN reset error")
     }
   },
 )
@@ -119,20 +193,17 @@ router.post("/verify-pin", [auth, check("pin", "PIN is required").isLength({ min
   }
 
   try {
-    const { pin } = req.body
-
-    // Find PIN
-    const transactionPin = await TransactionPin.findOne({ userId: req.user.id })
-    if (!transactionPin) {
-      return res.status(404).json({ message: "Transaction PIN not set" })
-    }
-
-    // Verify PIN
-    const isMatch = await transactionPin.comparePin(pin)
-    res.json({ success: isMatch })
+    // Shares the PIN lockout with every transfer route
+    await pin.verifyPin(req.user.id, req.body.pin, { ip: clientIp(req) })
+    res.json({ success: true })
   } catch (err) {
-    console.error(err.message)
-    res.status(500).send("Server error")
+    if (err.code === "INVALID_PIN") {
+      return res.json({ success: false, message: err.message })
+    }
+    if (err.code === "PIN_NOT_SET") {
+      return res.status(404).json({ success: false, message: err.message })
+    }
+    sendError(res, err, "Verify PIN error")
   }
 })
 
@@ -167,7 +238,12 @@ router.get("/cards", auth, async (req, res) => {
 // @access  Private
 router.post(
   "/cards",
-  [auth, check("token", "Paystack token is required").not().isEmpty(), check("email", "Email is required").isEmail()],
+  [
+    auth,
+    check("token", "Paystack token is required").not().isEmpty(),
+    check("email", "Email is required").isEmail(),
+    stepUp("add_card"),
+  ],
   async (req, res) => {
     const errors = validationResult(req)
     if (!errors.isEmpty()) {
@@ -254,6 +330,12 @@ router.post(
       })
 
       await card.save()
+      await securityEvents.record({
+        userId: req.user.id,
+        type: securityEvents.TYPES.CARD_ADDED,
+        req,
+        metadata: { cardId: String(card._id), last4: card.last4, cardType: card.cardType },
+      })
 
       // Refund the charge
       const refundData = {
@@ -315,4 +397,45 @@ router.get("/beneficiaries", auth, async (req, res) => {
   }
 })
 
+// @route   POST api/users/close
+// @desc    Close the account and pay the remaining balance to a bank account
+// @access  Private
+router.post(
+  "/close",
+  [
+    auth,
+    stepUp("close_account"),
+    check("pin", "PIN is required").isLength({ min: 4, max: 6 }),
+    check("bankDetails.accountNumber", "Account number is required").optional().isLength({ min: 10, max: 10 }),
+  ],
+  async (req, res) => {
+    const errors = validationResult(req)
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() })
+    }
+
+    try {
+      // A frozen account can't use closure to move its money out
+      await accounts.assertUserAllows(req.user.id, "debit")
+      await pin.verifyPin(req.user.id, req.body.pin, { ip: clientIp(req) })
+      // Someone who just took over the PIN mustn't be able to cash out this way
+      await pin.assertNotCoolingOff(req.user.id)
+
+      const { sweep } = await closure.closeAccount(req.user.id, {
+        bankDetails: req.body.bankDetails,
+        note: req.body.reason,
+        actor: { type: transactionStatus.ACTORS.USER, id: req.user.id },
+      })
+
+      res.json({
+        success: true,
+        message: "Your account has been closed",
+        sweep: sweep && sweep.amount ? { ...sweep, amount: money.toMajor(sweep.amount) } : sweep,
+      })
+    } catch (err) {
+      sendError(res, err, "Close account error")
+    }
+  },
+)
+
 module.exports = router
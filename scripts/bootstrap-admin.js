@@ -0,0 +1,48 @@
+// Makes an existing user the first super-admin. Refuses if a super-admin
+// already exists, so it can't be used to quietly add more; further role
+// changes go through the admin API. Pass --force to override.
+//
+// Usage:
+//   node scripts/bootstrap-admin.js <email> [--force]
+require("dotenv").config()
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const { ROLES } = require("../config/roles")
+
+const [email] = process.argv.slice(2).filter((arg) => !arg.startsWith("--"))
+const force = process.argv.includes("--force")
+
+const run = async () => {
+  if (!email) {
+    console.error("Usage: node scripts/bootstrap-admin.js <email> [--force]")
+    process.exitCode = 1
+    return
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  try {
+    const existing = await User.findOne({ role: ROLES.SUPER_ADMIN }).select("email")
+    if (existing && !force) {
+      console.error(`A super-admin already exists (${existing.email}); use --force to add another`)
+      process.exitCode = 1
+      return
+    }
+
+    const user = await User.findOneAndUpdate({ email }, { $set: { role: ROLES.SUPER_ADMIN } }, { new: true })
+    if (!user) {
+      console.error(`No user with email ${email}; register the account first`)
+      process.exitCode = 1
+      return
+    }
+
+    console.log(`${user.email} is now a ${ROLES.SUPER_ADMIN}`)
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+run().catch((err) => {
+  console.error("Bootstrap error:", err)
+  process.exit(1)
+})
@@ -0,0 +1,87 @@
+// Fires many concurrent debits at a single wallet and checks that it can never
+// be overdrawn. Needs MONGODB_URI pointing at a replica set (transactions are
+// not available on a standalone server). Use a scratch database: the harness
+// creates and removes its own user and journal entries.
+//
+// Usage:
+//   node scripts/concurrency-harness.js [debits=50] [balanceNaira=1000] [debitNaira=75]
+require("dotenv").config()
+const mongoose = require("mongoose")
+const { v4: uuidv4 } = require("uuid")
+const User = require("../models/User")
+const JournalEntry = require("../models/JournalEntry")
+const ledger = require("../services/ledger")
+const money = require("../utils/money")
+const { InsufficientFundsError } = require("../utils/errors")
+
+const [debitCount = 50, balanceNaira = 1000, debitNaira = 75] = process.argv.slice(2).map(Number)
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const runId = uuidv4().substring(0, 8)
+  const startingBalance = money.toMinor(balanceNaira)
+  const debitAmount = money.toMinor(debitNaira)
+
+  const user = await User.create({
+    firstName: "Harness",
+    lastName: runId,
+    email: `harness-${runId}@example.com`,
+    password: uuidv4(),
+    phoneNumber: `harness-${runId}`,
+  })
+  const account = ledger.userAccount(user._id)
+
+  try {
+    await ledger.postEntry({
+      reference: `HARNESS-${runId}-FUND`,
+      description: "Harness funding",
+      postings: [ledger.debit(ledger.ACCOUNTS.SUSPENSE, startingBalance), ledger.credit(account, startingBalance)],
+    })
+
+    const results = await Promise.allSettled(
+      Array.from({ length: debitCount }, (_, i) =>
+        ledger.postEntry({
+          reference: `HARNESS-${runId}-${i}`,
+          description: "Harness debit",
+          postings: [ledger.debit(account, debitAmount), ledger.credit(ledger.ACCOUNTS.SUSPENSE, debitAmount)],
+        }),
+      ),
+    )
+
+    const succeeded = results.filter((result) => result.status === "fulfilled").length
+    const rejected = results.filter((result) => result.reason instanceof InsufficientFundsError).length
+    const errored = results.length - succeeded - rejected
+
+    const { balance } = await User.findById(user._id).select("balance")
+    const { ledgerBalance } = await ledger.reconcileUser(user._id)
+    const expectedSuccesses = Math.min(debitCount, Math.floor(startingBalance / debitAmount))
+
+    console.log(`Debits attempted: ${debitCount}`)
+    console.log(`Succeeded: ${succeeded}  Insufficient funds: ${rejected}  Other errors: ${errored}`)
+    console.log(`Final balance: ${money.format(balance)}  Ledger balance: ${money.format(ledgerBalance)}`)
+
+    const failures = []
+    if (balance < 0) failures.push("balance went negative")
+    if (balance !== ledgerBalance) failures.push("balance does not match the ledger")
+    if (balance !== startingBalance - succeeded * debitAmount) failures.push("balance does not match successful debits")
+    if (succeeded > expectedSuccesses) failures.push(`more than ${expectedSuccesses} debits succeeded`)
+    if (errored > 0) failures.push(`${errored} debit(s) failed with unexpected errors`)
+
+    if (failures.length) {
+      console.error(`FAIL: ${failures.join("; ")}`)
+      process.exitCode = 1
+    } else {
+      console.log("PASS: the wallet was never overdrawn")
+    }
+  } finally {
+    await JournalEntry.deleteMany({ reference: { $regex: `^HARNESS-${runId}-` } })
+    await User.deleteOne({ _id: user._id })
+    await mongoose.disconnect()
+  }
+}
+
+run().catch((err) => {
+  console.error("Harness error:", err)
+  process.exit(1)
+})
@@ -0,0 +1,22 @@
+// Releases every active hold that has passed its expiry, giving the reserved
+// funds back to the users' available balances. Safe to run on a schedule.
+//
+// Usage:
+//   node scripts/expire-holds.js
+require("dotenv").config()
+const mongoose = require("mongoose")
+const holds = require("../services/holds")
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const expired = await holds.expireHolds()
+  console.log(`Expired ${expired} hold(s)`)
+
+  await mongoose.disconnect()
+}
+
+run().catch((err) => {
+  console.error("Hold expiry error:", err)
+  process.exit(1)
+})
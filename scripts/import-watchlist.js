@@ -0,0 +1,127 @@
+// Loads a sanctions or watch list into the watchlistentries collection for
+// screening (see services/screening.js). Takes the OpenSanctions "simple"
+// format, as CSV or as a JSON array of objects with the same fields:
+//
+//   id, schema, name, aliases, birth_date, countries, sanctions, dataset
+//
+// Multiple aliases, countries and sanctions are separated by semicolons (or
+// given as arrays in JSON). Entries are matched on --source and id, so running
+// an import again updates the list in place; entries of that source missing
+// from the file are deactivated. --rescreen screens every customer against the
+// updated list afterwards.
+//
+// Usage:
+//   node scripts/import-watchlist.js <file.csv|file.json> --source <name> [--rescreen]
+require("dotenv").config()
+const fs = require("fs")
+const path = require("path")
+const mongoose = require("mongoose")
+const WatchlistEntry = require("../models/WatchlistEntry")
+const screening = require("../services/screening")
+const csv = require("../utils/csv")
+
+const args = process.argv.slice(2)
+const option = (name) => {
+  const index = args.indexOf(name)
+  return index >= 0 ? args[index + 1] : undefined
+}
+const [file] = args.filter((arg, index) => !arg.startsWith("--") && args[index - 1] !== "--source")
+const source = option("--source")
+const rescreen = args.includes("--rescreen")
+
+const BATCH_SIZE = 1000
+
+const list = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(";")).map((item) => String(item).trim()).filter(Boolean)
+
+const readRecords = (filePath) => {
+  const text = fs.readFileSync(filePath, "utf8")
+  if (path.extname(filePath).toLowerCase() === ".json") {
+    const parsed = JSON.parse(text)
+    return Array.isArray(parsed) ? parsed : parsed.entries || []
+  }
+  return csv.parse(text)
+}
+
+const toEntry = (record, importedAt) => {
+  const aliases = list(record.aliases)
+  return {
+    source,
+    externalId: String(record.id).trim(),
+    schema: record.schema || undefined,
+    name: String(record.name).trim(),
+    aliases,
+    keys: screening.entryKeys([record.name, ...aliases]),
+    birthDate: record.birth_date || undefined,
+    countries: list(record.countries),
+    programs: list(record.sanctions),
+    active: true,
+    importedAt,
+  }
+}
+
+const run = async () => {
+  if (!file || !source) {
+    console.error("Usage: node scripts/import-watchlist.js <file.csv|file.json> --source <name> [--rescreen]")
+    process.exitCode = 1
+    return
+  }
+
+  const records = readRecords(file)
+  const importedAt = new Date()
+  const entries = []
+  let skipped = 0
+  for (const record of records) {
+    if (!record.id || !record.name) {
+      skipped++
+      continue
+    }
+    entries.push(toEntry(record, importedAt))
+  }
+
+  // An empty or unreadable file would otherwise deactivate the whole source
+  if (entries.length === 0) {
+    console.error(`No entries with an id and a name in ${file}`)
+    process.exitCode = 1
+    return
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  try {
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+      await WatchlistEntry.bulkWrite(
+        entries.slice(i, i + BATCH_SIZE).map((entry) => ({
+          updateOne: {
+            filter: { source: entry.source, externalId: entry.externalId },
+            update: { $set: entry },
+            upsert: true,
+          },
+        })),
+        { ordered: false },
+      )
+    }
+
+    const removed = await WatchlistEntry.updateMany(
+      { source, importedAt: { $lt: importedAt }, active: true },
+      { $set: { active: false } },
+    )
+
+    console.log(
+      `Imported ${entries.length} ${source} entries, skipped ${skipped} without an id or name, ` +
+        `deactivated ${removed.modifiedCount} no longer listed`,
+    )
+
+    if (rescreen) {
+      const flagged = await screening.rescreenUsers()
+      console.log(`Rescreened customers: ${flagged} flagged for review`)
+    }
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+run().catch((err) => {
+  console.error("Watchlist import error:", err)
+  process.exit(1)
+})
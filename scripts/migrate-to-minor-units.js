@@ -0,0 +1,58 @@
+// One-off migration from floating-point naira amounts to integer kobo.
+//
+// Usage:
+//   node scripts/migrate-to-minor-units.js
+//
+// Documents are converted only while they lack the amountsInMinorUnits marker
+// (see money.minorUnitsMarker), which the migration sets, so running it twice
+// is safe. Documents the app creates carry the marker already. Run it before
+// the new code takes traffic: a wallet credited in kobo while its balance is
+// still in naira can't be told apart afterwards.
+require("dotenv").config()
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const Transaction = require("../models/Transaction")
+const JournalEntry = require("../models/JournalEntry")
+const money = require("../utils/money")
+
+const toKobo = (field) => ({ $round: [{ $multiply: [{ $ifNull: [field, 0] }, 100] }, 0] })
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  const notMigrated = { amountsInMinorUnits: { $ne: true } }
+  const migrated = { currency: { $ifNull: ["$currency", money.DEFAULT_CURRENCY] }, amountsInMinorUnits: true }
+
+  const users = await User.updateMany(notMigrated, [
+    { $set: { balance: toKobo("$balance"), ...migrated } },
+  ])
+  console.log(`Users converted: ${users.modifiedCount}`)
+
+  const transactions = await Transaction.updateMany(notMigrated, [
+    { $set: { amount: toKobo("$amount"), fee: toKobo("$fee"), ...migrated } },
+  ])
+  console.log(`Transactions converted: ${transactions.modifiedCount}`)
+
+  const entries = await JournalEntry.updateMany(notMigrated, [
+    {
+      $set: {
+        postings: {
+          $map: {
+            input: "$postings",
+            as: "posting",
+            in: { $mergeObjects: ["$$posting", { amount: toKobo("$$posting.amount") }] },
+          },
+        },
+        ...migrated,
+      },
+    },
+  ])
+  console.log(`Journal entries converted: ${entries.modifiedCount}`)
+
+  await mongoose.disconnect()
+}
+
+run().catch((err) => {
+  console.error("Migration error:", err)
+  process.exit(1)
+})
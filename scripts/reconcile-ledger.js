@@ -0,0 +1,73 @@
+// Prints the ledger trial balance and any user whose cached balance has drifted
+// from the ledger.
+//
+// Usage:
+//   node scripts/reconcile-ledger.js
+//   node scripts/reconcile-ledger.js --post-opening-balances
+//
+// --post-opening-balances posts one OPENING-<userId> entry (suspense -> user) for
+// every user that holds a balance from before the ledger existed.
+require("dotenv").config()
+const mongoose = require("mongoose")
+const User = require("../models/User")
+const JournalEntry = require("../models/JournalEntry")
+const ledger = require("../services/ledger")
+
+const postOpeningBalances = async () => {
+  const users = await User.find({ balance: { $ne: 0 } }).select("_id balance")
+  let posted = 0
+
+  for (const user of users) {
+    const hasEntries = await JournalEntry.exists({ "postings.account": ledger.userAccount(user._id) })
+    if (hasEntries) continue
+
+    // postEntry adds the amount to User.balance, so back it out first
+    await User.updateOne({ _id: user._id }, { $inc: { balance: -user.balance } })
+    await ledger.postEntry({
+      reference: `OPENING-${user._id}`,
+      description: "Opening balance",
+      postings:
+        user.balance > 0
+          ? [ledger.debit(ledger.ACCOUNTS.SUSPENSE, user.balance), ledger.credit(ledger.userAccount(user._id), user.balance)]
+          : [ledger.debit(ledger.userAccount(user._id), -user.balance), ledger.credit(ledger.ACCOUNTS.SUSPENSE, -user.balance)],
+    })
+    posted++
+  }
+
+  console.log(`Posted ${posted} opening balance entries`)
+}
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  if (process.argv.includes("--post-opening-balances")) {
+    await postOpeningBalances()
+  }
+
+  const { accounts, totals } = await ledger.trialBalance()
+  console.log("Trial balance")
+  console.table(accounts.map((account) => ({ account: account._id, debits: account.debits, credits: account.credits })))
+  console.log(`Total debits: ${totals.debits}  Total credits: ${totals.credits}`)
+
+  const users = await User.find().select("_id")
+  const drifted = []
+  for (const user of users) {
+    const result = await ledger.reconcileUser(user._id)
+    if (!result.inSync) drifted.push(result)
+  }
+
+  if (drifted.length) {
+    console.log(`${drifted.length} user balance(s) out of sync with the ledger`)
+    console.table(drifted)
+    process.exitCode = 1
+  } else {
+    console.log("All user balances match the ledger")
+  }
+
+  await mongoose.disconnect()
+}
+
+run().catch((err) => {
+  console.error("Reconciliation error:", err)
+  process.exit(1)
+})
@@ -0,0 +1,37 @@
+// Copies the built-in fee schedules and levies from config/fees.js into the
+// feeschedules collection so they can be edited without a deploy. Channels that
+// already have an active default schedule (or levy of the same name) are left
+// alone.
+//
+// Usage:
+//   node scripts/seed-fee-schedules.js
+require("dotenv").config()
+const mongoose = require("mongoose")
+const FeeSchedule = require("../models/FeeSchedule")
+const { DEFAULT_FEE_SCHEDULES, DEFAULT_LEVIES } = require("../config/fees")
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI)
+
+  let created = 0
+  for (const schedule of [...DEFAULT_FEE_SCHEDULES, ...DEFAULT_LEVIES]) {
+    const kind = schedule.kind || "fee"
+    const filter = { channel: schedule.channel, kind, scope: "default", active: true }
+    if (kind === "levy") {
+      filter.name = schedule.name
+    }
+
+    if (await FeeSchedule.exists(filter)) continue
+
+    await FeeSchedule.create({ ...schedule, kind, scope: "default" })
+    created++
+  }
+
+  console.log(`Created ${created} fee schedule(s)`)
+  await mongoose.disconnect()
+}
+
+run().catch((err) => {
+  console.error("Seed error:", err)
+  process.exit(1)
+})
@@ -6,11 +6,25 @@ const authRoutes = require("./routes/auth")
 const userRoutes = require("./routes/users")
 const transactionRoutes = require("./routes/transactions")
 const paymentRoutes = require("./routes/payments")
+const bankTransferRoutes = require("./routes/bank-transfer")
+const adminRoutes = require("./routes/admin")
+const kycRoutes = require("./routes/kyc")
+const complianceRoutes = require("./routes/compliance")
 
 const app = express()
 
+// req.ip is read from X-Forwarded-For only through the proxies we trust. Set
+// TRUST_PROXY to the number of proxy hops in front of the app, or to their
+// addresses or subnets (e.g. "loopback, 10.0.0.0/8"). Unset, the header is ignored.
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY.trim()
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy)
+}
+
 // Middleware
 app.use(cors())
+// KYC submissions carry base64 documents, so they get a bigger body limit
+app.use("/api/kyc", express.json({ limit: "30mb" }))
 app.use(express.json())
 
 // Connect to MongoDB
@@ -29,6 +43,10 @@ app.use("/api/auth", authRoutes)
 app.use("/api/users", userRoutes)
 app.use("/api/transactions", transactionRoutes)
 app.use("/api/payments", paymentRoutes)
+app.use("/api/payments", bankTransferRoutes)
+app.use("/api/admin", adminRoutes)
+app.use("/api/kyc", kycRoutes)
+app.use("/api/compliance", complianceRoutes)
 
 // Health check route
 app.get("/health", (req, res) => {
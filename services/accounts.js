@@ -0,0 +1,94 @@
+const User = require("../models/User")
+const { ACCOUNT_STATUSES, STATUS_RULES, STATUS_REASONS } = require("../config/accounts")
+const { AppError } = require("../utils/errors")
+
+const OPERATIONS = ["signIn", "debit", "credit"]
+
+// Accounts created before statuses existed have none and count as active
+const statusOf = (user) => (user && user.status) || ACCOUNT_STATUSES.ACTIVE
+
+const allows = (user, operation) => STATUS_RULES[statusOf(user)][operation]
+
+const blockedError = (status, operation) => {
+  if (status === ACCOUNT_STATUSES.CLOSED) {
+    return new AppError("This account has been closed", 403, "ACCOUNT_CLOSED")
+  }
+  const message = {
+    signIn: "This account is frozen, please contact support",
+    debit: "This account can't send money right now, please contact support",
+    credit: "This account can't receive money right now, please contact support",
+  }[operation]
+  return new AppError(message, 403, "ACCOUNT_FROZEN")
+}
+
+// Throw unless the account's status allows `operation` (one of OPERATIONS).
+// `user` needs at least its status loaded.
+const assertAllows = (user, operation) => {
+  if (!allows(user, operation)) {
+    throw blockedError(statusOf(user), operation)
+  }
+}
+
+// assertAllows() for a user that hasn't been loaded yet
+const assertUserAllows = async (userId, operation) => {
+  const user = await User.findById(userId).select("status")
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+  assertAllows(user, operation)
+  return user
+}
+
+// Move an account from one of `from` to `to`, recording why and who did it.
+// `extra` is merged into the update (used by closure).
+const changeStatus = async (userId, { from, to, reasonCode, note, changedBy, extra = {} }) => {
+  if (reasonCode && !Object.values(STATUS_REASONS).includes(reasonCode)) {
+    throw new AppError("Unknown reason code", 400, "INVALID_REASON_CODE")
+  }
+
+  const now = new Date()
+  const current = await User.findById(userId).select("status")
+  if (!current) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+
+  const previous = statusOf(current)
+  if (!from.includes(previous)) {
+    if (previous === ACCOUNT_STATUSES.CLOSED) {
+      throw new AppError("This account has been closed", 409, "ACCOUNT_CLOSED")
+    }
+    throw new AppError(`Account can't go from ${previous} to ${to}`, 409, "INVALID_ACCOUNT_STATUS")
+  }
+
+  // Conditional on the status we read, so two staff changing it at once can't
+  // both win
+  const user = await User.findOneAndUpdate(
+    { _id: userId, status: previous === ACCOUNT_STATUSES.ACTIVE ? { $in: [previous, null] } : previous },
+    {
+      $set: { status: to, statusReasonCode: reasonCode, statusNote: note, statusChangedAt: now, ...extra },
+      $push: { statusHistory: { from: previous, to, reasonCode, note, changedBy, at: now } },
+    },
+    { new: true },
+  ).select("-password")
+  if (!user) {
+    throw new AppError("Account status changed meanwhile, please try again", 409, "ACCOUNT_STATUS_CONFLICT")
+  }
+  return user
+}
+
+// Freeze debits only ("debits") or everything including sign-in ("all")
+const freeze = (userId, { scope, reasonCode, note, changedBy }) => {
+  const to = scope === "all" ? ACCOUNT_STATUSES.FROZEN_ALL : ACCOUNT_STATUSES.FROZEN_DEBITS
+  const from = [ACCOUNT_STATUSES.ACTIVE, ACCOUNT_STATUSES.FROZEN_DEBITS, ACCOUNT_STATUSES.FROZEN_ALL].filter((s) => s !== to)
+  return changeStatus(userId, { from, to, reasonCode, note, changedBy })
+}
+
+const unfreeze = (userId, { note, changedBy }) =>
+  changeStatus(userId, {
+    from: [ACCOUNT_STATUSES.FROZEN_DEBITS, ACCOUNT_STATUSES.FROZEN_ALL],
+    to: ACCOUNT_STATUSES.ACTIVE,
+    note,
+    changedBy,
+  })
+
+module.exports = { OPERATIONS, statusOf, allows, assertAllows, assertUserAllows, changeStatus, freeze, unfreeze }
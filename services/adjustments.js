@@ -0,0 +1,135 @@
+const { v4: uuidv4 } = require("uuid")
+const BalanceAdjustment = require("../models/BalanceAdjustment")
+const Transaction = require("../models/Transaction")
+const User = require("../models/User")
+const ledger = require("./ledger")
+const transactionStatus = require("./transactionStatus")
+const { withTransaction } = require("../utils/db")
+const { AppError } = require("../utils/errors")
+
+const STATUSES = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+}
+
+const DIRECTIONS = ["credit", "debit"]
+
+// Ask for a manual credit or debit of `amount` kobo. Nothing moves until a
+// second staff member approves it. Staff can't adjust their own wallet.
+const requestAdjustment = async ({ userId, direction, amount, reason, requestedBy }) => {
+  if (String(userId) === String(requestedBy)) {
+    throw new AppError("You can't request an adjustment to your own balance", 403, "SELF_ADJUSTMENT")
+  }
+  if (!DIRECTIONS.includes(direction)) {
+    throw new AppError("Direction must be credit or debit", 400, "INVALID_DIRECTION")
+  }
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    throw new AppError("Valid amount is required", 400, "INVALID_AMOUNT")
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new AppError("A reason is required", 400, "REASON_REQUIRED")
+  }
+
+  const user = await User.findById(userId).select("currency")
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+
+  return BalanceAdjustment.create({
+    userId: user._id,
+    direction,
+    amount,
+    currency: user.currency,
+    reason: String(reason).trim(),
+    requestedBy,
+    reference: `ADJ-${uuidv4().substring(0, 8)}`,
+  })
+}
+
+// Explain why a pending adjustment couldn't be claimed by `reviewerId`
+const notClaimable = async (id, reviewerId, { allowRequester }) => {
+  const adjustment = await BalanceAdjustment.findById(id).select("status userId requestedBy")
+  if (!adjustment) {
+    return new AppError("Adjustment not found", 404, "ADJUSTMENT_NOT_FOUND")
+  }
+  if (adjustment.status !== STATUSES.PENDING) {
+    return new AppError(`Adjustment is already ${adjustment.status}`, 409, "ADJUSTMENT_NOT_PENDING")
+  }
+  if (!allowRequester && String(adjustment.userId) === String(reviewerId)) {
+    return new AppError("You can't approve an adjustment to your own balance", 403, "SELF_ADJUSTMENT")
+  }
+  if (!allowRequester && String(adjustment.requestedBy) === String(reviewerId)) {
+    return new AppError("An adjustment must be approved by someone other than the requester", 403, "SAME_APPROVER")
+  }
+  return new AppError("Adjustment could not be updated", 409, "ADJUSTMENT_NOT_PENDING")
+}
+
+// Approve and post an adjustment. Neither the requester nor the account holder
+// can claim it. The claim, the ledger entry and the transaction record commit
+// together, so a debit the wallet can't cover leaves the adjustment pending.
+const approveAdjustment = async (id, reviewerId, { note } = {}) =>
+  withTransaction(async (session) => {
+    const adjustment = await BalanceAdjustment.findOneAndUpdate(
+      { _id: id, status: STATUSES.PENDING, requestedBy: { $ne: reviewerId }, userId: { $ne: reviewerId } },
+      { $set: { status: STATUSES.APPROVED, reviewedBy: reviewerId, reviewedAt: new Date(), reviewNote: note } },
+      { new: true, session },
+    )
+    if (!adjustment) {
+      throw await notClaimable(id, reviewerId, { allowRequester: false })
+    }
+
+    const wallet = ledger.userAccount(adjustment.userId)
+    const other = ledger.ACCOUNTS.MANUAL_ADJUSTMENTS
+    const postings =
+      adjustment.direction === "credit"
+        ? [ledger.debit(other, adjustment.amount), ledger.credit(wallet, adjustment.amount)]
+        : [ledger.debit(wallet, adjustment.amount), ledger.credit(other, adjustment.amount)]
+
+    await ledger.postEntry({
+      reference: adjustment.reference,
+      description: `Manual ${adjustment.direction}: ${adjustment.reason}`,
+      postings,
+      session,
+    })
+
+    const actor = { type: transactionStatus.ACTORS.ADMIN, id: String(reviewerId) }
+    await Transaction.create(
+      [
+        {
+          userId: adjustment.userId,
+          transactionType: "adjustment",
+          amount: adjustment.amount,
+          currency: adjustment.currency,
+          status: transactionStatus.STATUSES.SUCCESSFUL,
+          statusHistory: [{ from: null, to: transactionStatus.STATUSES.SUCCESSFUL, actor, reason: adjustment.reason }],
+          purpose: adjustment.reason,
+          notes: `Manual ${adjustment.direction}`,
+          reference: adjustment.reference,
+        },
+      ],
+      { session },
+    )
+
+    return adjustment
+  })
+
+// Turn down a pending adjustment. The requester may withdraw their own.
+const rejectAdjustment = async (id, reviewerId, { note } = {}) => {
+  const adjustment = await BalanceAdjustment.findOneAndUpdate(
+    { _id: id, status: STATUSES.PENDING },
+    { $set: { status: STATUSES.REJECTED, reviewedBy: reviewerId, reviewedAt: new Date(), reviewNote: note } },
+    { new: true },
+  )
+  if (!adjustment) {
+    throw await notClaimable(id, reviewerId, { allowRequester: true })
+  }
+  return adjustment
+}
+
+const listAdjustments = ({ status, userId, limit = 50 } = {}) =>
+  BalanceAdjustment.find({ ...(status ? { status } : {}), ...(userId ? { userId } : {}) })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+
+module.exports = { STATUSES, DIRECTIONS, requestAdjustment, approveAdjustment, rejectAdjustment, listAdjustments }
@@ -0,0 +1,60 @@
+const AuditLog = require("../models/AuditLog")
+const request = require("../utils/request")
+
+const ACTIONS = {
+  USER_SEARCH: "user.search",
+  USER_VIEW: "user.view",
+  USER_TRANSACTIONS_VIEW: "user.transactions.view",
+  USER_CARDS_VIEW: "user.cards.view",
+  USER_BENEFICIARIES_VIEW: "user.beneficiaries.view",
+  USER_FREEZE: "user.freeze",
+  USER_UNFREEZE: "user.unfreeze",
+  USER_CLOSE: "user.close",
+  USER_SWEEP: "user.sweep",
+  USER_ROLE_CHANGE: "user.role.change",
+  USER_LIMIT_PROFILE_CHANGE: "user.limit_profile.change",
+  DEPOSIT_CONFIRM: "deposit.confirm",
+  ADJUSTMENT_REQUEST: "adjustment.request",
+  ADJUSTMENT_APPROVE: "adjustment.approve",
+  ADJUSTMENT_REJECT: "adjustment.reject",
+  PAYSTACK_REVERIFY: "paystack.reverify",
+  KYC_VIEW: "kyc.view",
+  KYC_DOCUMENT_VIEW: "kyc.document.view",
+  KYC_APPROVE: "kyc.approve",
+  KYC_REJECT: "kyc.reject",
+  RISK_DECISIONS_VIEW: "risk.decisions.view",
+  RISK_RELEASE: "risk.release",
+  RISK_REJECT: "risk.reject",
+  SCREENING_VIEW: "screening.view",
+  SCREENING_CLEAR: "screening.clear",
+  SCREENING_CONFIRM: "screening.confirm",
+  CASE_OPEN: "case.open",
+  CASE_VIEW: "case.view",
+  CASE_ASSIGN: "case.assign",
+  CASE_STATUS_CHANGE: "case.status.change",
+  CASE_PRIORITY_CHANGE: "case.priority.change",
+  CASE_NOTE: "case.note",
+  CASE_LINK: "case.link",
+  CASE_EXPORT: "case.export",
+}
+
+// Record an admin action. The actor comes from `req.user` (set by auth and
+// authorize), along with the IP and user agent. Like security events, a failed
+// write is logged but never fails the action itself.
+const record = async ({ req, action, target, metadata }) => {
+  try {
+    return await AuditLog.create({
+      actorId: req.user.id,
+      actorRole: req.user.role,
+      action,
+      target,
+      metadata,
+      ...request.clientInfo(req),
+    })
+  } catch (err) {
+    console.error("Audit log error:", err.message)
+    return null
+  }
+}
+
+module.exports = { ACTIONS, record }
@@ -0,0 +1,169 @@
+const User = require("../models/User")
+const Transaction = require("../models/Transaction")
+const accounts = require("./accounts")
+const sessions = require("./sessions")
+const holds = require("./holds")
+const payouts = require("./payouts")
+const transfers = require("./transfers")
+const screening = require("./screening")
+const { resolveAccount } = require("./paystack")
+const { ACCOUNT_STATUSES, STATUS_REASONS, RECORD_RETENTION_YEARS } = require("../config/accounts")
+const { AppError } = require("../utils/errors")
+
+// Check the nominated account with the bank and use the name it reports
+const resolveBankDetails = async (bankDetails) => {
+  if (!bankDetails || !bankDetails.accountNumber || !bankDetails.bankCode) {
+    throw new AppError("A bank account to send the remaining balance to is required", 400, "INVALID_BANK_DETAILS")
+  }
+
+  const account = await resolveAccount(bankDetails.accountNumber, bankDetails.bankCode)
+  if (!account) {
+    throw new AppError("Could not verify the bank account", 400, "INVALID_BANK_DETAILS")
+  }
+
+  return {
+    bankName: bankDetails.bankName,
+    bankCode: bankDetails.bankCode,
+    accountNumber: bankDetails.accountNumber,
+    accountName: account.account_name,
+  }
+}
+
+// Pay a closed account's remaining balance out to its nominated bank account.
+// This is the one debit a closed account allows, so it builds the payout itself
+// instead of going through prepareTransfer(). Free of fees. Spending limits,
+// KYC caps and risk scoring are deliberately skipped: they would leave part of
+// a customer's money stuck in an account they can no longer use. The guards
+// are on the way in instead: the customer closes with their PIN, a step-up
+// code (closing needs 2FA set up, see STEP_UP.enrolmentRequiredFor) and no PIN
+// reset cooling-off running, the bank account is verified and screened, and if
+// staff entered it, `approvedBy` must be a different staff member, so nobody
+// can both choose where the money goes and send it there.
+const sweepBalance = async (userId, { actor, approvedBy } = {}) => {
+  const user = await User.findById(userId)
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+  if (accounts.statusOf(user) !== ACCOUNT_STATUSES.CLOSED) {
+    throw new AppError("Only a closed account's balance can be swept", 409, "ACCOUNT_NOT_CLOSED")
+  }
+
+  const amount = user.availableBalance
+  if (amount <= 0) {
+    return null
+  }
+
+  const { bankDetails, nominatedBy } = user.closure
+  if (!bankDetails || !bankDetails.accountNumber) {
+    throw new AppError("No bank account was nominated for this account", 400, "INVALID_BANK_DETAILS")
+  }
+  if (nominatedBy) {
+    if (!approvedBy) {
+      throw new AppError("This payout needs a second staff member's approval", 403, "SWEEP_APPROVAL_REQUIRED")
+    }
+    if (String(approvedBy) === String(nominatedBy)) {
+      throw new AppError(
+        "The payout must be approved by someone other than the staff member who entered the bank account",
+        403,
+        "SAME_APPROVER",
+      )
+    }
+  }
+
+  const result = await payouts.payout(
+    {
+      channel: transfers.CHANNELS.WITHDRAWAL,
+      sender: user,
+      recipient: null,
+      bankDetails: bankDetails.toObject ? bankDetails.toObject() : bankDetails,
+      amount,
+      fee: 0,
+      levy: 0,
+      total: amount,
+      purpose: "Account closure",
+      quoteId: null,
+    },
+    { actor },
+  )
+
+  const recorded = { "closure.sweepReference": result.reference }
+  if (approvedBy) {
+    recorded["closure.sweepApprovedBy"] = approvedBy
+  }
+  await User.updateOne({ _id: user._id }, { $set: recorded })
+  return result
+}
+
+// Close an account: no more sign-ins or money movement, every session revoked,
+// and whatever is left paid out to the nominated bank account. The user and
+// all their records are kept until closure.retainUntil. Pending transactions
+// must finish first so nothing lands after the sweep. When staff close the
+// account (`changedBy` is set) the bank account counts as theirs, and the
+// payout waits for another staff member's approval (see sweepBalance()).
+const closeAccount = async (
+  userId,
+  { bankDetails, reasonCode = STATUS_REASONS.CUSTOMER_REQUEST, note, changedBy, actor },
+) => {
+  const user = await User.findById(userId).select("balance heldBalance status")
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+  if (accounts.statusOf(user) === ACCOUNT_STATUSES.CLOSED) {
+    throw new AppError("This account has already been closed", 409, "ACCOUNT_CLOSED")
+  }
+
+  await holds.expireHolds({ userId: user._id })
+  const pending = await Transaction.exists({ userId: user._id, status: "pending" })
+  if (pending || (await User.exists({ _id: user._id, heldBalance: { $gt: 0 } }))) {
+    throw new AppError("Wait for pending transactions to finish before closing the account", 409, "ACCOUNT_HAS_PENDING")
+  }
+
+  const closedAt = new Date()
+  const retainUntil = new Date(closedAt)
+  retainUntil.setFullYear(retainUntil.getFullYear() + RECORD_RETENTION_YEARS)
+
+  const closure = { "closure.closedAt": closedAt, "closure.retainUntil": retainUntil }
+  if (user.balance > 0 || bankDetails) {
+    closure["closure.bankDetails"] = await resolveBankDetails(bankDetails)
+    if (changedBy) {
+      closure["closure.nominatedBy"] = changedBy
+    }
+    await screening.assertAccountClear({
+      userId: user._id,
+      bankDetails: closure["closure.bankDetails"],
+      context: screening.CONTEXTS.ACCOUNT_CLOSURE,
+    })
+  }
+
+  const closed = await accounts.changeStatus(user._id, {
+    from: [ACCOUNT_STATUSES.ACTIVE, ACCOUNT_STATUSES.FROZEN_DEBITS, ACCOUNT_STATUSES.FROZEN_ALL],
+    to: ACCOUNT_STATUSES.CLOSED,
+    reasonCode,
+    note,
+    changedBy,
+    extra: closure,
+  })
+  await sessions.revokeAllSessions(closed._id, { reason: "Account closed" })
+
+  if (changedBy && closed.balance > 0) {
+    return { user: closed, sweep: { status: "awaiting_approval", amount: closed.balance } }
+  }
+
+  // The account stays closed even if the payout can't start; the sweep can be
+  // retried with sweepBalance()
+  let sweep = null
+  try {
+    sweep = await sweepBalance(closed._id, { actor })
+  } catch (err) {
+    console.error("Closure sweep error:", err.message)
+    const message = err instanceof AppError ? err.message : "Payout failed"
+    return { user: closed, sweep: { status: "failed", message } }
+  }
+
+  return {
+    user: await User.findById(closed._id).select("-password"),
+    sweep: sweep ? { status: "pending", reference: sweep.reference, amount: sweep.amount } : null,
+  }
+}
+
+module.exports = { closeAccount, sweepBalance }
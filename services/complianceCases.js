@@ -0,0 +1,307 @@
+const mongoose = require("mongoose")
+const { v4: uuidv4 } = require("uuid")
+const ComplianceCase = require("../models/ComplianceCase")
+const Transaction = require("../models/Transaction")
+const User = require("../models/User")
+const csv = require("../utils/csv")
+const money = require("../utils/money")
+const { PERMISSIONS, can } = require("../config/roles")
+const {
+  CASE_STATUSES,
+  CASE_TRANSITIONS,
+  RESOLVED_STATUSES,
+  CASE_SOURCES,
+  CASE_PRIORITIES,
+} = require("../config/compliance")
+const { AppError } = require("../utils/errors")
+
+const dueFrom = (openedAt, priority) =>
+  new Date(openedAt.getTime() + CASE_PRIORITIES[priority].slaHours * 60 * 60 * 1000)
+
+const assertPriority = (priority) => {
+  if (!CASE_PRIORITIES[priority]) {
+    throw new AppError(`Priority must be one of: ${Object.keys(CASE_PRIORITIES).join(", ")}`, 400, "INVALID_PRIORITY")
+  }
+}
+
+// Check that every user ID names a user, and return them de-duplicated
+const existingUserIds = async (userIds = []) => {
+  const ids = [...new Set(userIds.map(String))]
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) {
+    throw new AppError("Invalid user ID", 400, "INVALID_USER_ID")
+  }
+  const found = await User.find({ _id: { $in: ids } }).select("_id")
+  if (found.length !== ids.length) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+  return ids
+}
+
+// Check that every reference names a transaction, and return them de-duplicated
+const existingReferences = async (references = []) => {
+  const unique = [...new Set(references.map(String))]
+  const found = await Transaction.find({ reference: { $in: unique } }).select("reference")
+  if (found.length !== unique.length) {
+    const known = new Set(found.map((transaction) => transaction.reference))
+    throw new AppError("Transaction not found", 404, "TRANSACTION_NOT_FOUND", {
+      missing: unique.filter((reference) => !known.has(reference)),
+    })
+  }
+  return unique
+}
+
+// Open a case. `openedBy` is unset for cases raised automatically.
+const openCase = async ({
+  title,
+  description,
+  source = { type: CASE_SOURCES.MANUAL },
+  priority = "medium",
+  userIds = [],
+  transactionReferences = [],
+  openedBy,
+}) => {
+  if (!title || !String(title).trim()) {
+    throw new AppError("A title is required", 400, "TITLE_REQUIRED")
+  }
+  assertPriority(priority)
+
+  const createdAt = new Date()
+  return ComplianceCase.create({
+    reference: `CASE-${uuidv4().substring(0, 8).toUpperCase()}`,
+    title: String(title).trim(),
+    description,
+    source,
+    priority,
+    userIds: await existingUserIds(userIds),
+    transactionReferences: await existingReferences(transactionReferences),
+    openedBy,
+    dueAt: dueFrom(createdAt, priority),
+    history: [{ field: "status", from: null, to: CASE_STATUSES.OPEN, by: openedBy, at: createdAt }],
+    createdAt,
+  })
+}
+
+// Open a case for something the risk engine or screening flagged, at most once
+// per flag. Never throws: a failure here mustn't undo the flag itself, which
+// has its own review queue.
+const openFromFlag = async ({ source, title, priority, userIds, transactionReferences }) => {
+  try {
+    if (await ComplianceCase.exists({ "source.type": source.type, "source.id": source.id })) {
+      return null
+    }
+    return await openCase({ source, title, priority, userIds, transactionReferences })
+  } catch (err) {
+    console.error("Compliance case error:", err.message)
+    return null
+  }
+}
+
+const findCase = async (id) => {
+  const found = mongoose.isValidObjectId(id) ? await ComplianceCase.findById(id) : null
+  if (!found) {
+    throw new AppError("Case not found", 404, "CASE_NOT_FOUND")
+  }
+  return found
+}
+
+// Cases, most urgent first. `overdue` limits them to unresolved cases past
+// their SLA.
+const listCases = ({ status, priority, assigneeId, userId, overdue, limit = 50 } = {}) => {
+  const filter = {}
+  if (status) filter.status = status
+  if (priority) filter.priority = priority
+  if (assigneeId) filter.assigneeId = assigneeId
+  if (userId) filter.userIds = userId
+  if (overdue) {
+    filter.status = { $nin: RESOLVED_STATUSES }
+    filter.dueAt = { $lt: new Date() }
+  }
+  return ComplianceCase.find(filter).sort({ dueAt: 1 }).limit(limit)
+}
+
+// Apply an update to a case, recording what changed in its history
+const updateCase = async (id, { set = {}, push = {}, event }) => {
+  const updated = await ComplianceCase.findOneAndUpdate(
+    { _id: id },
+    { $set: set, $push: { ...push, ...(event ? { history: event } : {}) } },
+    { new: true },
+  )
+  if (!updated) {
+    throw new AppError("Case not found", 404, "CASE_NOT_FOUND")
+  }
+  return updated
+}
+
+// Hand a case to a staff member who can work it, or unassign it with null
+const assign = async (id, assigneeId, { by }) => {
+  const found = await findCase(id)
+
+  if (assigneeId) {
+    const assignee = mongoose.isValidObjectId(assigneeId) ? await User.findById(assigneeId).select("role") : null
+    if (!assignee || !can(assignee.role, PERMISSIONS.CASES_MANAGE)) {
+      throw new AppError("Cases can only be assigned to compliance staff", 400, "INVALID_ASSIGNEE")
+    }
+  }
+
+  return updateCase(found._id, {
+    set: { assigneeId: assigneeId || null },
+    event: { field: "assignee", from: found.assigneeId && String(found.assigneeId), to: assigneeId || null, by },
+  })
+}
+
+// Move a case along its workflow. Closing or reporting needs a note, and stops
+// the SLA clock; reopening restarts it from now.
+const changeStatus = async (id, status, { by, note }) => {
+  const found = await findCase(id)
+  if (!(CASE_TRANSITIONS[found.status] || []).includes(status)) {
+    throw new AppError(`A ${found.status} case can't be moved to ${status}`, 409, "INVALID_CASE_TRANSITION")
+  }
+  if (RESOLVED_STATUSES.includes(status) && !note) {
+    throw new AppError("A note is required to resolve a case", 400, "NOTE_REQUIRED")
+  }
+
+  const now = new Date()
+  const set = { status }
+  if (RESOLVED_STATUSES.includes(status)) {
+    set.resolvedAt = found.resolvedAt || now
+  } else if (found.status === CASE_STATUSES.CLOSED) {
+    set.resolvedAt = null
+    set.dueAt = dueFrom(now, found.priority)
+  }
+
+  return updateCase(found._id, {
+    set,
+    event: { field: "status", from: found.status, to: status, by, note, at: now },
+  })
+}
+
+// A new priority moves the due date, counted from when the case was opened
+const changePriority = async (id, priority, { by }) => {
+  assertPriority(priority)
+  const found = await findCase(id)
+
+  return updateCase(found._id, {
+    set: { priority, dueAt: dueFrom(found.createdAt, priority) },
+    event: { field: "priority", from: found.priority, to: priority, by },
+  })
+}
+
+const addNote = async (id, body, { by }) => {
+  if (!body || !String(body).trim()) {
+    throw new AppError("A note can't be empty", 400, "NOTE_REQUIRED")
+  }
+  const found = await findCase(id)
+  return updateCase(found._id, { push: { notes: { authorId: by, body: String(body).trim() } } })
+}
+
+const linkUsers = async (id, userIds) => {
+  const found = await findCase(id)
+  const ids = await existingUserIds(userIds)
+  return ComplianceCase.findByIdAndUpdate(found._id, { $addToSet: { userIds: { $each: ids } } }, { new: true })
+}
+
+const linkTransactions = async (id, references) => {
+  const found = await findCase(id)
+  const unique = await existingReferences(references)
+  return ComplianceCase.findByIdAndUpdate(
+    found._id,
+    { $addToSet: { transactionReferences: { $each: unique } } },
+    { new: true },
+  )
+}
+
+const TRANSACTION_COLUMNS = [
+  "reference",
+  "createdAt",
+  "userId",
+  "customerName",
+  "transactionType",
+  "channel",
+  "status",
+  "currency",
+  "amount",
+  "fee",
+  "levy",
+  "recipientName",
+  "recipientCecureTag",
+  "recipientBank",
+  "recipientAccount",
+  "purpose",
+]
+
+// The suspicious activity report bundle for a case: the case with its notes
+// and history, the customers involved, and their transactions both in the JSON
+// and as CSV. Amounts are in major units.
+const buildReport = async (id, { by }) => {
+  const found = await findCase(id)
+  const [users, transactions] = await Promise.all([
+    User.find({ _id: { $in: found.userIds } }).select(
+      "firstName lastName email phoneNumber cecureTag status statusReasonCode kycTier createdAt",
+    ),
+    Transaction.find({ reference: { $in: found.transactionReferences } }).sort({ createdAt: 1 }),
+  ])
+
+  const namesById = new Map(users.map((user) => [String(user._id), `${user.firstName} ${user.lastName}`]))
+  const rows = transactions.map((transaction) => ({
+    reference: transaction.reference,
+    createdAt: transaction.createdAt,
+    userId: String(transaction.userId),
+    customerName: namesById.get(String(transaction.userId)),
+    transactionType: transaction.transactionType,
+    channel: transaction.channel,
+    status: transaction.status,
+    currency: transaction.currency,
+    amount: money.toMajor(transaction.amount),
+    fee: money.toMajor(transaction.fee),
+    levy: money.toMajor(transaction.levy),
+    recipientName: transaction.recipientName,
+    recipientCecureTag: transaction.recipientCecureTag,
+    recipientBank: transaction.recipientBank,
+    recipientAccount: transaction.recipientAccount,
+    purpose: transaction.purpose,
+  }))
+
+  const generatedAt = new Date()
+  await ComplianceCase.updateOne({ _id: found._id }, { $set: { lastExportedAt: generatedAt } })
+
+  return {
+    report: {
+      generatedAt,
+      generatedBy: by,
+      case: found.toJSON(),
+      subjects: users.map((user) => ({
+        id: user._id,
+        name: `${user.firstName} ${user.lastName}`,
+        email: user.email,
+        phoneNumber: user.phoneNumber,
+        cecureTag: user.cecureTag,
+        accountStatus: user.status,
+        statusReasonCode: user.statusReasonCode,
+        kycTier: user.kycTier,
+        customerSince: user.createdAt,
+      })),
+      transactions: rows,
+      totals: {
+        count: rows.length,
+        amount: money.toMajor(transactions.reduce((sum, transaction) => sum + transaction.amount, 0)),
+      },
+    },
+    transactionsCsv: csv.stringify(rows, TRANSACTION_COLUMNS),
+  }
+}
+
+module.exports = {
+  CASE_STATUSES,
+  CASE_SOURCES,
+  openCase,
+  openFromFlag,
+  findCase,
+  listCases,
+  assign,
+  changeStatus,
+  changePriority,
+  addNote,
+  linkUsers,
+  linkTransactions,
+  buildReport,
+}
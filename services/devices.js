@@ -0,0 +1,79 @@
+const Device = require("../models/Device")
+const SecurityEvent = require("../models/SecurityEvent")
+const User = require("../models/User")
+const notifications = require("./notifications")
+const securityEvents = require("./securityEvents")
+const request = require("../utils/request")
+
+// Remember the device behind `req` for this user. Returns true the first time
+// the device is seen.
+const remember = async (userId, req) => {
+  const { ip, userAgent } = request.clientInfo(req)
+  const now = new Date()
+  const result = await Device.updateOne(
+    { userId, fingerprint: request.deviceFingerprint(req) },
+    { $set: { lastSeenAt: now, lastIp: ip, userAgent }, $setOnInsert: { firstSeenAt: now } },
+    { upsert: true },
+  )
+  return result.upsertedCount > 0
+}
+
+const alertNewDevice = async (user, req) => {
+  const { ip, userAgent } = request.clientInfo(req)
+  await notifications.sendEmail(
+    user.email,
+    "New sign-in to your account",
+    `Your account was just signed in to from a device we haven't seen before ` +
+      `(${userAgent || "unknown device"}, IP ${ip || "unknown"}) at ${new Date().toUTCString()}. ` +
+      "If this was you, there's nothing to do. If not, change your password and contact support immediately.",
+  )
+}
+
+// Record a successful sign-in. A sign-in from a new device is flagged and the
+// user is told about it, except for the very first device on an account.
+const recordSignIn = async (userId, req) => {
+  let isNewDevice = false
+  try {
+    isNewDevice = (await remember(userId, req)) && (await Device.countDocuments({ userId })) > 1
+  } catch (err) {
+    console.error("Device tracking error:", err.message)
+  }
+
+  await securityEvents.record({
+    userId,
+    type: securityEvents.TYPES.LOGIN,
+    req,
+    metadata: { newDevice: isNewDevice },
+  })
+
+  if (!isNewDevice) {
+    return false
+  }
+
+  await securityEvents.record({ userId, type: securityEvents.TYPES.NEW_DEVICE_LOGIN, req })
+  try {
+    const user = await User.findById(userId).select("email")
+    if (user) {
+      await alertNewDevice(user, req)
+    }
+  } catch (err) {
+    console.error("New device alert error:", err.message)
+  }
+  return true
+}
+
+// Whether a device fingerprint and an IP address were already known for this
+// user before `before`. An account with nothing from before then has nothing to
+// compare against, so both count as known.
+const isKnown = async (userId, { fingerprint, ip, before }) => {
+  const [establishedDevice, knownDevice, establishedIp, knownIp] = await Promise.all([
+    Device.exists({ userId, firstSeenAt: { $lt: before } }),
+    fingerprint ? Device.exists({ userId, fingerprint, firstSeenAt: { $lt: before } }) : true,
+    SecurityEvent.exists({ userId, type: securityEvents.TYPES.LOGIN, createdAt: { $lt: before } }),
+    ip ? SecurityEvent.exists({ userId, type: securityEvents.TYPES.LOGIN, ip, createdAt: { $lt: before } }) : true,
+  ])
+
+  return { device: !establishedDevice || !!knownDevice, ip: !establishedIp || !!knownIp }
+}
+
+module.exports = { recordSignIn, isKnown }
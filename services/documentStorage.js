@@ -0,0 +1,64 @@
+const crypto = require("crypto")
+const fs = require("fs")
+const path = require("path")
+const { DOCUMENTS } = require("../config/kyc")
+const { AppError } = require("../utils/errors")
+
+// Identity documents on local disk, under DOCUMENTS.storageDir. Keys are
+// relative paths ("<userId>/<random>.<ext>") so the directory can move.
+
+const EXTENSIONS = { "image/jpeg": "jpg", "image/png": "png", "application/pdf": "pdf" }
+
+// The first bytes each accepted type must start with, so a file can't claim
+// to be something it isn't
+const SIGNATURES = {
+  "image/jpeg": Buffer.from([0xff, 0xd8, 0xff]),
+  "image/png": Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+  "application/pdf": Buffer.from("%PDF"),
+}
+
+const root = () => path.resolve(DOCUMENTS.storageDir)
+
+// Decode a base64 upload (a bare string or a data: URL) and check its type and size
+const decode = (data, mimeType) => {
+  if (!DOCUMENTS.mimeTypes.includes(mimeType)) {
+    throw new AppError(`Documents must be one of: ${DOCUMENTS.mimeTypes.join(", ")}`, 400, "INVALID_DOCUMENT_TYPE")
+  }
+
+  const base64 = String(data || "").replace(/^data:[^;]+;base64,/, "")
+  const buffer = Buffer.from(base64, "base64")
+  if (buffer.length === 0) {
+    throw new AppError("Document is empty", 400, "INVALID_DOCUMENT")
+  }
+  if (buffer.length > DOCUMENTS.maxBytes) {
+    throw new AppError(`Documents can be at most ${DOCUMENTS.maxBytes / 1024 / 1024}MB`, 400, "DOCUMENT_TOO_LARGE")
+  }
+  if (!buffer.subarray(0, SIGNATURES[mimeType].length).equals(SIGNATURES[mimeType])) {
+    throw new AppError(`Document is not a valid ${mimeType} file`, 400, "INVALID_DOCUMENT")
+  }
+  return buffer
+}
+
+const save = async (userId, buffer, mimeType) => {
+  const fileName = `${crypto.randomBytes(16).toString("hex")}.${EXTENSIONS[mimeType]}`
+  const storageKey = path.posix.join(String(userId), fileName)
+  const file = path.join(root(), storageKey)
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true })
+  await fs.promises.writeFile(file, buffer, { flag: "wx", mode: 0o600 })
+
+  return { storageKey, size: buffer.length, sha256: crypto.createHash("sha256").update(buffer).digest("hex") }
+}
+
+// Full path of a stored document, refusing keys that point outside the store
+const resolve = (storageKey) => {
+  const file = path.resolve(root(), storageKey)
+  if (!file.startsWith(root() + path.sep)) {
+    throw new AppError("Document not found", 404, "DOCUMENT_NOT_FOUND")
+  }
+  return file
+}
+
+const read = (storageKey) => fs.promises.readFile(resolve(storageKey))
+
+module.exports = { decode, save, read }
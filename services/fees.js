@@ -0,0 +1,114 @@
+const FeeSchedule = require("../models/FeeSchedule")
+const { DEFAULT_FEE_SCHEDULES, DEFAULT_LEVIES } = require("../config/fees")
+const money = require("../utils/money")
+const { AppError } = require("../utils/errors")
+
+const CHANNELS = ["p2p", "bank_transfer", "withdrawal", "card_deposit"]
+
+// A user override beats a promotion, which beats the default schedule
+const SCOPE_PRECEDENCE = ["user", "promotion", "default"]
+
+const percentageOf = (amount, bps) => Math.round((amount * (bps || 0)) / 10000)
+
+// Fee for one schedule, in kobo
+const applySchedule = (schedule, amount) => {
+  if (schedule.waive) {
+    return 0
+  }
+
+  let fee = 0
+  if (schedule.type === "flat") {
+    fee = schedule.flatAmount || 0
+  } else if (schedule.type === "percentage") {
+    fee = (schedule.flatAmount || 0) + percentageOf(amount, schedule.percentageBps)
+  } else if (schedule.type === "tiered") {
+    const tiers = [...(schedule.tiers || [])].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+    const tier = tiers.find((candidate) => candidate.upTo == null || amount <= candidate.upTo)
+    if (tier) {
+      fee = (tier.flatAmount || 0) + percentageOf(amount, tier.percentageBps)
+    }
+  }
+
+  if (schedule.minFee != null) {
+    fee = Math.max(fee, schedule.minFee)
+  }
+  if (schedule.capFee != null) {
+    fee = Math.min(fee, schedule.capFee)
+  }
+
+  return fee
+}
+
+const activeSchedules = (channel, kind, userId) => {
+  const now = new Date()
+  return FeeSchedule.find({
+    channel,
+    kind,
+    active: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: now } }] },
+      { $or: [{ scope: { $ne: "user" } }, { userId }] },
+    ],
+  })
+    .sort({ createdAt: -1 })
+    .lean()
+}
+
+// Work out what a payment of `amount` kobo on `channel` costs `user`.
+// Returns { fee, levy, levies, total, schedule } with every amount in kobo.
+const quoteFee = async ({ channel, amount, user }) => {
+  if (!CHANNELS.includes(channel)) {
+    throw new AppError(`Unsupported fee channel: ${channel}`, 400, "UNSUPPORTED_CHANNEL")
+  }
+
+  const userId = user ? user._id : null
+  const eligible = (schedule) => amount >= (schedule.minAmount || 0)
+
+  const stored = (await activeSchedules(channel, "fee", userId)).filter(eligible)
+  let schedule = null
+  for (const scope of SCOPE_PRECEDENCE) {
+    schedule = stored.find((candidate) => candidate.scope === scope)
+    if (schedule) break
+  }
+  if (!schedule) {
+    schedule = DEFAULT_FEE_SCHEDULES.find((candidate) => candidate.channel === channel) || null
+  }
+
+  let levySchedules = await activeSchedules(channel, "levy", userId)
+  if (levySchedules.length === 0) {
+    levySchedules = DEFAULT_LEVIES.filter((levy) => levy.channel === channel)
+  }
+
+  const levies = levySchedules
+    .filter(eligible)
+    .map((levy) => ({ name: levy.name, amount: applySchedule({ ...levy, waive: false }, amount) }))
+    .filter((levy) => levy.amount > 0)
+
+  const fee = schedule ? applySchedule(schedule, amount) : 0
+  const levy = levies.reduce((sum, item) => sum + item.amount, 0)
+
+  return {
+    channel,
+    amount,
+    fee,
+    levy,
+    levies,
+    total: amount + fee + levy,
+    schedule: schedule
+      ? { id: schedule._id, name: schedule.name, scope: schedule.scope || "default", waived: !!schedule.waive }
+      : null,
+  }
+}
+
+// A quote with amounts in major units, for API responses
+const formatQuote = (quote) => ({
+  ...quote,
+  amount: money.toMajor(quote.amount),
+  fee: money.toMajor(quote.fee),
+  levy: money.toMajor(quote.levy),
+  levies: quote.levies.map((levy) => ({ name: levy.name, amount: money.toMajor(levy.amount) })),
+  total: money.toMajor(quote.total),
+})
+
+module.exports = { CHANNELS, applySchedule, quoteFee, formatQuote }
@@ -0,0 +1,140 @@
+const Hold = require("../models/Hold")
+const User = require("../models/User")
+const ledger = require("./ledger")
+const { withTransaction } = require("../utils/db")
+const { AppError, InsufficientFundsError } = require("../utils/errors")
+
+const STATUSES = {
+  ACTIVE: "active",
+  CAPTURED: "captured",
+  RELEASED: "released",
+  EXPIRED: "expired",
+}
+
+// Reserve `amount` kobo of a user's available balance. The funds stay in the
+// wallet (and in the ledger) but can't be spent until the hold is released.
+// `postings` are the ledger postings to make if the hold is captured.
+const createHold = async ({ userId, amount, reference, reason, description, postings = [], expiresAt, session }) => {
+  if (!session) {
+    return withTransaction((ownSession) =>
+      createHold({ userId, amount, reference, reason, description, postings, expiresAt, session: ownSession }),
+    )
+  }
+
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    throw new AppError("Valid amount is required", 400, "INVALID_AMOUNT")
+  }
+
+  const result = await User.updateOne(
+    { _id: userId, ...ledger.availableAtLeast(amount) },
+    { $inc: { heldBalance: amount } },
+    { session },
+  )
+  if (result.matchedCount === 0) {
+    throw new InsufficientFundsError()
+  }
+
+  const [hold] = await Hold.create(
+    [{ userId, amount, reference, reason, description, postings: postings.filter((p) => p.amount > 0), expiresAt }],
+    { session },
+  )
+  return hold
+}
+
+// Move an active hold to a final status and give the reserved funds back to
+// the available balance. Conditional on the hold still being active, so a hold
+// is only ever settled once.
+const closeHold = async (reference, status, session) => {
+  const now = new Date()
+  const hold = await Hold.findOneAndUpdate(
+    { reference, status: STATUSES.ACTIVE },
+    { $set: { status, ...(status === STATUSES.CAPTURED ? { capturedAt: now } : { releasedAt: now }) } },
+    { new: true, session },
+  )
+  if (!hold) {
+    const existing = await Hold.findOne({ reference }).session(session)
+    if (!existing) {
+      throw new AppError("Hold not found", 404, "HOLD_NOT_FOUND")
+    }
+    throw new AppError(`Hold is already ${existing.status}`, 409, "HOLD_NOT_ACTIVE", { status: existing.status })
+  }
+
+  await User.updateOne({ _id: hold.userId }, { $inc: { heldBalance: -hold.amount } }, { session })
+  return hold
+}
+
+// Turn a hold into a real debit: post its ledger entry under the hold's
+// reference. The held funds are freed and spent in the same transaction.
+const captureHold = async (reference, { session } = {}) => {
+  if (!session) {
+    return withTransaction((ownSession) => captureHold(reference, { session: ownSession }))
+  }
+
+  const hold = await closeHold(reference, STATUSES.CAPTURED, session)
+  await ledger.postEntry({
+    reference: hold.reference,
+    description: hold.description || hold.reason,
+    postings: hold.postings.map((posting) => ({
+      account: posting.account,
+      direction: posting.direction,
+      amount: posting.amount,
+    })),
+    session,
+  })
+  return hold
+}
+
+// Cancel a hold without moving any money
+const releaseHold = async (reference, { session } = {}) => {
+  if (!session) {
+    return withTransaction((ownSession) => releaseHold(reference, { session: ownSession }))
+  }
+  return closeHold(reference, STATUSES.RELEASED, session)
+}
+
+// Whether a hold is still reserving funds
+const isActive = async (reference, { session } = {}) =>
+  !!(await Hold.exists({ reference, status: STATUSES.ACTIVE }).session(session || null))
+
+// Release every active hold past its expiry, optionally for one user only.
+// Returns the number of holds expired.
+const expireHolds = async ({ userId } = {}) => {
+  const overdue = await Hold.find({
+    status: STATUSES.ACTIVE,
+    expiresAt: { $lte: new Date() },
+    ...(userId ? { userId } : {}),
+  }).select("reference")
+
+  let expired = 0
+  for (const { reference } of overdue) {
+    try {
+      await withTransaction((session) => closeHold(reference, STATUSES.EXPIRED, session))
+      expired++
+    } catch (err) {
+      // Captured or released while we were looking; nothing to do
+      if (err.code !== "HOLD_NOT_ACTIVE") throw err
+    }
+  }
+  return expired
+}
+
+// Ledger and available balance for a user, in kobo. Overdue holds are expired
+// first so they never count against the available balance.
+const getBalances = async (userId) => {
+  await expireHolds({ userId })
+
+  const user = await User.findById(userId).select("balance heldBalance currency")
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+
+  const heldBalance = user.heldBalance || 0
+  return {
+    currency: user.currency,
+    ledgerBalance: user.balance,
+    heldBalance,
+    availableBalance: user.balance - heldBalance,
+  }
+}
+
+module.exports = { STATUSES, createHold, captureHold, releaseHold, isActive, expireHolds, getBalances }
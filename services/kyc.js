@@ -0,0 +1,273 @@
+const crypto = require("crypto")
+const mongoose = require("mongoose")
+const KycSubmission = require("../models/KycSubmission")
+const User = require("../models/User")
+const documentStorage = require("./documentStorage")
+const kycProviders = require("./kycProviders")
+const notifications = require("./notifications")
+const money = require("../utils/money")
+const { TIERS, DEFAULT_TIER } = require("../config/kyc")
+const { AppError } = require("../utils/errors")
+
+const STATUSES = {
+  IN_REVIEW: "in_review",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+}
+
+const IDENTITY_NUMBER = /^\d{11}$/
+
+// Keyed so a leaked hash can't be reversed by trying every 11-digit number
+const hashIdentity = (value) =>
+  crypto
+    .createHmac("sha256", process.env.KYC_HASH_KEY || process.env.JWT_SECRET)
+    .update(String(value))
+    .digest("hex")
+
+const tierOf = (user) => (user && user.kycTier) || DEFAULT_TIER
+
+const limitsFor = (user) => TIERS[tierOf(user)]
+
+// Limits in major units, as shown to users
+const describeTier = (tier) => ({
+  tier: Number(tier),
+  name: TIERS[tier].name,
+  maxBalance: TIERS[tier].maxBalance === null ? null : money.toMajor(TIERS[tier].maxBalance),
+  perTransaction: money.toMajor(TIERS[tier].perTransaction),
+  requirements: TIERS[tier].requirements,
+})
+
+// Throw if a single transaction of `amount` kobo is over the user's tier limit
+const assertWithinTransactionLimit = (user, amount) => {
+  const limits = limitsFor(user)
+  if (amount > limits.perTransaction) {
+    throw new AppError(
+      `${limits.name} accounts can move at most ${money.format(limits.perTransaction)} per transaction`,
+      403,
+      "KYC_LIMIT_EXCEEDED",
+      { tier: tierOf(user), perTransaction: money.toMajor(limits.perTransaction) },
+    )
+  }
+}
+
+// Whether crediting `amount` kobo keeps the user within their tier's balance cap
+const canHold = (user, amount) => {
+  const { maxBalance } = limitsFor(user)
+  return maxBalance === null || user.balance + amount <= maxBalance
+}
+
+const assertCanHold = (user, amount) => {
+  if (!canHold(user, amount)) {
+    const limits = limitsFor(user)
+    throw new AppError(
+      `${limits.name} accounts can hold at most ${money.format(limits.maxBalance)}`,
+      403,
+      "KYC_BALANCE_CAP",
+      {
+        tier: tierOf(user),
+        maxBalance: money.toMajor(limits.maxBalance),
+        headroom: money.toMajor(Math.max(limits.maxBalance - user.balance, 0)),
+      },
+    )
+  }
+}
+
+// Both checks for an incoming payment, before any money is collected
+const assertCanReceive = async (userId, amount) => {
+  const user = await User.findById(userId).select("balance kycTier")
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+  assertWithinTransactionLimit(user, amount)
+  assertCanHold(user, amount)
+}
+
+// What's missing from a submission for `tier`
+const missingRequirements = (tier, { bvn, nin, documents }) =>
+  TIERS[tier].requirements.filter((requirement) => {
+    if (requirement === "bvn") return !bvn
+    if (requirement === "nin") return !nin
+    return !documents.some((document) => document.type === requirement)
+  })
+
+// Submit identity details and documents for a tier upgrade. The provider checks
+// them straight away; the result goes to the review queue either way.
+const submit = async (userId, { targetTier, bvn, nin, documents = [] }) => {
+  const user = await User.findById(userId).select("firstName lastName email kycTier")
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+
+  const currentTier = tierOf(user)
+  targetTier = Number(targetTier)
+  if (!TIERS[targetTier] || targetTier <= currentTier) {
+    throw new AppError(`You can only apply for a tier above ${TIERS[currentTier].name}`, 400, "INVALID_TARGET_TIER")
+  }
+  if (await KycSubmission.exists({ userId: user._id, status: STATUSES.IN_REVIEW })) {
+    throw new AppError("You already have a submission under review", 409, "KYC_SUBMISSION_OPEN")
+  }
+
+  for (const [label, value] of [["BVN", bvn], ["NIN", nin]]) {
+    if (value && !IDENTITY_NUMBER.test(String(value))) {
+      throw new AppError(`${label} must be 11 digits`, 400, "INVALID_IDENTITY_NUMBER")
+    }
+  }
+
+  const missing = missingRequirements(targetTier, { bvn, nin, documents })
+  if (missing.length > 0) {
+    throw new AppError(`${TIERS[targetTier].name} also needs: ${missing.join(", ")}`, 400, "KYC_REQUIREMENTS_MISSING", {
+      missing,
+    })
+  }
+
+  // Check every upload before storing any of them
+  const decoded = documents.map((document) => {
+    if (document.type === "id_document" && !document.idType) {
+      throw new AppError("ID documents need an idType", 400, "INVALID_DOCUMENT")
+    }
+    return { ...document, buffer: documentStorage.decode(document.data, document.mimeType) }
+  })
+
+  const stored = []
+  for (const document of decoded) {
+    const file = await documentStorage.save(user._id, document.buffer, document.mimeType)
+    stored.push({ type: document.type, idType: document.idType, mimeType: document.mimeType, ...file })
+  }
+
+  const provider = kycProviders.getProvider()
+  let verification
+  try {
+    const result = await provider.verify({
+      user,
+      bvn: bvn && String(bvn),
+      nin: nin && String(nin),
+      documents: decoded.map(({ type, idType, mimeType, buffer }) => ({ type, idType, mimeType, buffer })),
+    })
+    verification = {
+      provider: provider.name,
+      status: result.status,
+      reference: result.reference,
+      checks: result.checks,
+    }
+  } catch (err) {
+    console.error("KYC provider error:", err.message)
+    verification = { provider: provider.name, status: "error", checks: { error: err.message } }
+  }
+
+  const bvnHash = bvn ? hashIdentity(bvn) : undefined
+  const ninHash = nin ? hashIdentity(nin) : undefined
+
+  // The same BVN or NIN already approved on another account is worth a look
+  const identityClauses = [bvnHash && { bvnHash }, ninHash && { ninHash }].filter(Boolean)
+  if (identityClauses.length > 0) {
+    const duplicate = await KycSubmission.exists({
+      userId: { $ne: user._id },
+      status: STATUSES.APPROVED,
+      $or: identityClauses,
+    })
+    if (duplicate) {
+      verification.checks = { ...verification.checks, duplicateIdentity: true }
+    }
+  }
+
+  return KycSubmission.create({
+    userId: user._id,
+    currentTier,
+    targetTier,
+    bvnHash,
+    bvnLast4: bvn ? String(bvn).slice(-4) : undefined,
+    ninHash,
+    ninLast4: nin ? String(nin).slice(-4) : undefined,
+    documents: stored,
+    verification: { ...verification, checkedAt: new Date() },
+  })
+}
+
+const reviewQueue = ({ status = STATUSES.IN_REVIEW, limit = 50 } = {}) =>
+  KycSubmission.find({ status }).sort({ createdAt: 1 }).limit(limit)
+
+const findSubmission = async (id) => {
+  const submission = mongoose.isValidObjectId(id) ? await KycSubmission.findById(id) : null
+  if (!submission) {
+    throw new AppError("Submission not found", 404, "KYC_SUBMISSION_NOT_FOUND")
+  }
+  return submission
+}
+
+// Close a submission in review. Only one reviewer can win.
+const closeReview = async (id, reviewerId, status, note) => {
+  const submission = await findSubmission(id)
+  if (String(submission.userId) === String(reviewerId)) {
+    throw new AppError("You cannot review your own submission", 403, "SELF_REVIEW")
+  }
+
+  const closed = await KycSubmission.findOneAndUpdate(
+    { _id: submission._id, status: STATUSES.IN_REVIEW },
+    { $set: { status, reviewedBy: reviewerId, reviewedAt: new Date(), reviewNote: note } },
+    { new: true },
+  )
+  if (!closed) {
+    throw new AppError(`Submission is already ${submission.status}`, 409, "KYC_SUBMISSION_CLOSED")
+  }
+  return closed
+}
+
+const notify = async (userId, subject, text) => {
+  try {
+    const user = await User.findById(userId).select("email")
+    if (user) {
+      await notifications.sendEmail(user.email, subject, text)
+    }
+  } catch (err) {
+    console.error("KYC notice error:", err.message)
+  }
+}
+
+// Approve a submission and move the user to its tier. Approving against a
+// provider check that didn't pass needs a note saying why.
+const approve = async (id, reviewerId, note) => {
+  const submission = await findSubmission(id)
+  if (submission.verification.status !== "passed" && !note) {
+    throw new AppError("Add a note to approve a submission that didn't pass verification", 400, "NOTE_REQUIRED")
+  }
+
+  const approved = await closeReview(id, reviewerId, STATUSES.APPROVED, note)
+  await User.updateOne({ _id: approved.userId }, { $set: { kycTier: approved.targetTier, kycVerifiedAt: new Date() } })
+
+  await notify(
+    approved.userId,
+    "Your account has been upgraded",
+    `Your account is now ${TIERS[approved.targetTier].name}. Your new limits apply straight away.`,
+  )
+  return approved
+}
+
+const reject = async (id, reviewerId, note) => {
+  if (!note) {
+    throw new AppError("A note explaining the rejection is required", 400, "NOTE_REQUIRED")
+  }
+
+  const rejected = await closeReview(id, reviewerId, STATUSES.REJECTED, note)
+  await notify(
+    rejected.userId,
+    "We couldn't verify your details",
+    `Your application for ${TIERS[rejected.targetTier].name} was not approved: ${note}. You can submit again.`,
+  )
+  return rejected
+}
+
+module.exports = {
+  STATUSES,
+  tierOf,
+  limitsFor,
+  describeTier,
+  assertWithinTransactionLimit,
+  canHold,
+  assertCanHold,
+  assertCanReceive,
+  submit,
+  reviewQueue,
+  findSubmission,
+  approve,
+  reject,
+}
@@ -0,0 +1,172 @@
+const mongoose = require("mongoose")
+const JournalEntry = require("../models/JournalEntry")
+const User = require("../models/User")
+const { AppError, InsufficientFundsError } = require("../utils/errors")
+const { withTransaction } = require("../utils/db")
+
+// System accounts. User wallets are liabilities and use the "user:<id>" code.
+// Levies payable holds statutory levies owed to the government. Manual
+// adjustments is the other side of balance corrections made by staff.
+const ACCOUNTS = {
+  FEE_INCOME: "fee_income",
+  LEVIES_PAYABLE: "levies_payable",
+  PROVIDER_FLOAT: "provider_float",
+  SUSPENSE: "suspense",
+  MANUAL_ADJUSTMENTS: "manual_adjustments",
+}
+
+// Accounts whose balance grows with debits; everything else grows with credits
+const DEBIT_NORMAL_ACCOUNTS = [ACCOUNTS.PROVIDER_FLOAT, ACCOUNTS.SUSPENSE, ACCOUNTS.MANUAL_ADJUSTMENTS]
+
+const userAccount = (userId) => `user:${userId}`
+
+const debit = (account, amount) => ({ account, direction: "debit", amount })
+
+const credit = (account, amount) => ({ account, direction: "credit", amount })
+
+// Filter matching a user whose available balance is at least `amount`
+const availableAtLeast = (amount) => ({
+  $expr: { $gte: [{ $subtract: ["$balance", { $ifNull: ["$heldBalance", 0] }] }, amount] },
+})
+
+// Attach userId to user postings so they can be queried and synced to User.balance
+const normalizePosting = (posting) => {
+  if (posting.account.startsWith("user:")) {
+    return { ...posting, userId: new mongoose.Types.ObjectId(posting.account.slice(5)) }
+  }
+  return posting
+}
+
+// Post a balanced journal entry and keep the cached User.balance in sync with it.
+// Zero-amount postings (e.g. a waived fee) are dropped. Runs in its own
+// MongoDB transaction unless the caller passes a session.
+const postEntry = async ({ reference, description, postings, reverses, session }) => {
+  if (!session) {
+    return withTransaction((ownSession) => postEntry({ reference, description, postings, reverses, session: ownSession }))
+  }
+
+  const entry = new JournalEntry({
+    reference,
+    description,
+    reverses,
+    postings: postings.filter((posting) => posting.amount > 0).map(normalizePosting),
+  })
+
+  await entry.save({ session })
+
+  // Net change per user wallet: credits increase it, debits decrease it
+  const userDeltas = new Map()
+  for (const posting of entry.postings) {
+    if (!posting.userId) continue
+    const key = posting.userId.toString()
+    const delta = posting.direction === "credit" ? posting.amount : -posting.amount
+    userDeltas.set(key, (userDeltas.get(key) || 0) + delta)
+  }
+
+  for (const [userId, delta] of userDeltas) {
+    if (delta === 0) continue
+
+    // Debits are conditional: the update only matches while the available
+    // balance (balance less held funds) covers the amount, so concurrent debits
+    // can never take a wallet below zero or spend money reserved by a hold
+    const filter = delta < 0 ? { _id: userId, ...availableAtLeast(-delta) } : { _id: userId }
+    const result = await User.updateOne(filter, { $inc: { balance: delta } }, { session })
+
+    if (result.matchedCount === 0) {
+      throw delta < 0 ? new InsufficientFundsError() : new AppError("User account not found", 404, "USER_NOT_FOUND")
+    }
+  }
+
+  return entry
+}
+
+// Post the mirror image of an existing entry. The reversal reference is unique,
+// so the same entry can never be reversed twice.
+const reverseEntry = async (originalReference, { description, session } = {}) => {
+  const original = await JournalEntry.findOne({ reference: originalReference }).session(session || null)
+  if (!original) {
+    return null
+  }
+
+  return postEntry({
+    reference: `${originalReference}-REV`,
+    description: description || `Reversal of ${originalReference}`,
+    reverses: originalReference,
+    postings: original.postings.map((posting) => ({
+      account: posting.account,
+      direction: posting.direction === "debit" ? "credit" : "debit",
+      amount: posting.amount,
+    })),
+    session,
+  })
+}
+
+// Balance of a single account, signed according to its normal side
+const getAccountBalance = async (account) => {
+  const [totals] = await JournalEntry.aggregate([
+    { $unwind: "$postings" },
+    { $match: { "postings.account": account } },
+    {
+      $group: {
+        _id: null,
+        debits: { $sum: { $cond: [{ $eq: ["$postings.direction", "debit"] }, "$postings.amount", 0] } },
+        credits: { $sum: { $cond: [{ $eq: ["$postings.direction", "credit"] }, "$postings.amount", 0] } },
+      },
+    },
+  ])
+
+  if (!totals) {
+    return 0
+  }
+
+  return DEBIT_NORMAL_ACCOUNTS.includes(account) ? totals.debits - totals.credits : totals.credits - totals.debits
+}
+
+// Debit and credit totals per account across the whole ledger. Total debits
+// always equal total credits when every entry is balanced.
+const trialBalance = async () => {
+  const accounts = await JournalEntry.aggregate([
+    { $unwind: "$postings" },
+    {
+      $group: {
+        _id: "$postings.account",
+        debits: { $sum: { $cond: [{ $eq: ["$postings.direction", "debit"] }, "$postings.amount", 0] } },
+        credits: { $sum: { $cond: [{ $eq: ["$postings.direction", "credit"] }, "$postings.amount", 0] } },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ])
+
+  const totals = accounts.reduce(
+    (sum, account) => ({ debits: sum.debits + account.debits, credits: sum.credits + account.credits }),
+    { debits: 0, credits: 0 },
+  )
+
+  return { accounts, totals }
+}
+
+// Compare a user's cached balance with the balance derived from the ledger
+const reconcileUser = async (userId) => {
+  const user = await User.findById(userId).select("balance")
+  const ledgerBalance = await getAccountBalance(userAccount(userId))
+
+  return {
+    userId,
+    storedBalance: user ? user.balance : null,
+    ledgerBalance,
+    inSync: !!user && user.balance === ledgerBalance,
+  }
+}
+
+module.exports = {
+  ACCOUNTS,
+  userAccount,
+  availableAtLeast,
+  debit,
+  credit,
+  postEntry,
+  reverseEntry,
+  getAccountBalance,
+  trialBalance,
+  reconcileUser,
+}
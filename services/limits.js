@@ -0,0 +1,164 @@
+const mongoose = require("mongoose")
+const Transaction = require("../models/Transaction")
+const User = require("../models/User")
+const fees = require("./fees")
+const money = require("../utils/money")
+const { WINDOWS, PROFILES } = require("../config/limits")
+const { AppError } = require("../utils/errors")
+
+// Channels with limits. Two kinds of money movement are left out on purpose:
+// balance adjustments (services/adjustments.js) are corrections two staff
+// members agree on, not customer payments, and a closure sweep
+// (services/closure.js) must be able to pay out the whole balance of an
+// account nobody can use any more.
+const CHANNELS = ["p2p", "bank_transfer", "withdrawal", "card_deposit"]
+
+// Volume that counts against a channel's limits. Transactions from before
+// channels were recorded are matched by their shape instead.
+const LEGACY_MATCH = {
+  p2p: { transactionType: "send", recipientId: { $exists: true } },
+  bank_transfer: { transactionType: "send", recipientId: { $exists: false } },
+  withdrawal: { transactionType: "withdraw" },
+  card_deposit: { transactionType: "deposit" },
+}
+
+const TRANSACTION_TYPES = {
+  p2p: "send",
+  bank_transfer: "send",
+  withdrawal: "withdraw",
+  card_deposit: "deposit",
+}
+
+// The user's own profile if staff have set one, otherwise their KYC tier's
+const profileName = (user) =>
+  user.limitProfile && PROFILES[user.limitProfile] ? user.limitProfile : `tier${user.kycTier || 1}`
+
+const limitsFor = (user, channel) => PROFILES[profileName(user)][channel]
+
+// Totals for a channel over the rolling daily and monthly windows, counting
+// pending transactions as well as settled ones. Payments out count everything
+// they took from the wallet, fee and levy included; a deposit's fee comes out
+// of its amount, so the amount is the whole of it.
+const usage = async (userId, channel, now = Date.now()) => {
+  const monthStart = new Date(now - WINDOWS.monthly)
+  const dayStart = new Date(now - WINDOWS.daily)
+  const volume =
+    TRANSACTION_TYPES[channel] === "deposit"
+      ? "$amount"
+      : { $add: ["$amount", { $ifNull: ["$fee", 0] }, { $ifNull: ["$levy", 0] }] }
+
+  const [totals] = await Transaction.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        transactionType: TRANSACTION_TYPES[channel],
+        status: { $in: ["pending", "successful"] },
+        createdAt: { $gte: monthStart },
+        $or: [{ channel }, { channel: { $exists: false }, ...LEGACY_MATCH[channel] }],
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        monthly: { $sum: volume },
+        daily: { $sum: { $cond: [{ $gte: ["$createdAt", dayStart] }, volume, 0] } },
+      },
+    },
+  ])
+
+  return { daily: totals ? totals.daily : 0, monthly: totals ? totals.monthly : 0 }
+}
+
+// Throw a LIMIT_EXCEEDED error if `amount` kobo on `channel` would break any of
+// the user's limits. For payments out `amount` is the total debit, fee and levy
+// included. The details say which limit and how much is left.
+// The totals are read before the payment is written, so two payments racing
+// each other can both fit; the per-transaction cap bounds the overshoot.
+const assertWithinLimits = async (user, channel, amount) => {
+  const limits = limitsFor(user, channel)
+  const used = await usage(user._id, channel)
+
+  const checks = [
+    { period: "perTransaction", limit: limits.perTransaction, used: 0 },
+    { period: "daily", limit: limits.daily, used: used.daily },
+    { period: "monthly", limit: limits.monthly, used: used.monthly },
+  ]
+
+  for (const { period, limit, used: spent } of checks) {
+    if (spent + amount > limit) {
+      const remaining = Math.max(limit - spent, 0)
+      const label = period === "perTransaction" ? "per-transaction" : period
+      throw new AppError(
+        `This would exceed your ${label} ${channel.replace("_", " ")} limit. ${money.format(remaining)} is left`,
+        403,
+        "LIMIT_EXCEEDED",
+        {
+          channel,
+          period,
+          limit: money.toMajor(limit),
+          used: money.toMajor(spent),
+          remaining: money.toMajor(remaining),
+        },
+      )
+    }
+  }
+}
+
+// The same check for a user who hasn't been loaded yet, e.g. before a card is
+// charged
+const assertUserWithinLimits = async (userId, channel, amount) => {
+  const user = await User.findById(userId).select("kycTier limitProfile")
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+  await assertWithinLimits(user, channel, amount)
+}
+
+// The most a payment out could be when `gross` kobo of the limits is left: the
+// limits count the whole debit, so the fee and levy on it have to fit as well.
+// Fees never go down as the amount goes up, so what is left after the fee on
+// `gross` is always affordable, if sometimes a little under the true maximum.
+// A deposit's fee comes out of its amount, so nothing is taken off.
+const availableAmount = async (user, channel, gross) => {
+  if (gross <= 0 || TRANSACTION_TYPES[channel] === "deposit") {
+    return gross
+  }
+  const { fee, levy } = await fees.quoteFee({ channel, amount: gross, user })
+  return Math.max(gross - fee - levy, 0)
+}
+
+// Every channel's limits and what's left of them, in major units. `used` and
+// `remaining` are total debits, fee and levy included; `available` is the
+// largest amount a single transaction could be right now once its fee and levy
+// are added.
+const summary = async (userId) => {
+  const user = await User.findById(userId).select("kycTier limitProfile")
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+
+  const channels = {}
+  for (const channel of CHANNELS) {
+    const limits = limitsFor(user, channel)
+    const used = await usage(user._id, channel)
+    const remaining = (period) => Math.max(limits[period] - used[period], 0)
+    const window = (period) => ({
+      limit: money.toMajor(limits[period]),
+      used: money.toMajor(used[period]),
+      remaining: money.toMajor(remaining(period)),
+    })
+
+    channels[channel] = {
+      perTransaction: money.toMajor(limits.perTransaction),
+      daily: window("daily"),
+      monthly: window("monthly"),
+      available: money.toMajor(
+        await availableAmount(user, channel, Math.min(limits.perTransaction, remaining("daily"), remaining("monthly"))),
+      ),
+    }
+  }
+
+  return { profile: profileName(user), channels }
+}
+
+module.exports = { CHANNELS, profileName, limitsFor, usage, assertWithinLimits, assertUserWithinLimits, summary }
@@ -0,0 +1,46 @@
+const fs = require("fs")
+const path = require("path")
+
+// Outgoing email and SMS go through a transport: an object with
+// send({ channel, to, subject, text }). The built-in transports are stand-ins
+// for local development; plug a real provider in with setTransport().
+
+const consoleTransport = {
+  name: "console",
+  send: async ({ channel, to, subject, text }) => {
+    console.log(`[${channel}] to ${to}${subject ? ` (${subject})` : ""}: ${text}`)
+  },
+}
+
+// Appends one JSON line per message, handy for reading codes in tests
+const fileTransport = (file = process.env.NOTIFICATIONS_FILE || "notifications.log") => ({
+  name: "file",
+  send: async (message) => {
+    const line = JSON.stringify({ ...message, sentAt: new Date().toISOString() })
+    await fs.promises.appendFile(path.resolve(file), `${line}\n`)
+  },
+})
+
+const TRANSPORTS = {
+  console: () => consoleTransport,
+  file: () => fileTransport(),
+}
+
+let transport = (TRANSPORTS[process.env.NOTIFICATION_TRANSPORT] || TRANSPORTS.console)()
+
+const setTransport = (next) => {
+  transport = next
+}
+
+const send = async ({ channel, to, subject, text }) => {
+  if (!["email", "sms"].includes(channel)) {
+    throw new Error(`Unsupported notification channel: ${channel}`)
+  }
+  await transport.send({ channel, to, subject, text })
+}
+
+const sendEmail = (to, subject, text) => send({ channel: "email", to, subject, text })
+
+const sendSms = (to, text) => send({ channel: "sms", to, text })
+
+module.exports = { consoleTransport, fileTransport, setTransport, send, sendEmail, sendSms }
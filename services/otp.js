@@ -0,0 +1,110 @@
+const crypto = require("crypto")
+const Otp = require("../models/Otp")
+const notifications = require("./notifications")
+const { AppError } = require("../utils/errors")
+
+const PURPOSES = {
+  VERIFY_EMAIL: "verify_email",
+  VERIFY_PHONE: "verify_phone",
+  PIN_RESET: "pin_reset",
+}
+
+const CODE_LENGTH = 6
+const CODE_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES) || 10
+const MAX_ATTEMPTS = 5
+
+// Resend throttling: a minimum gap between codes, and a cap per hour
+const RESEND_INTERVAL_SECONDS = 60
+const MAX_SENDS_PER_HOUR = 5
+
+// What the user is told a code is for
+const MESSAGES = {
+  [PURPOSES.VERIFY_EMAIL]: { subject: "Verify your email", text: "Your email verification code is" },
+  [PURPOSES.VERIFY_PHONE]: { subject: "Verify your phone number", text: "Your phone verification code is" },
+  [PURPOSES.PIN_RESET]: { subject: "Reset your transaction PIN", text: "Your transaction PIN reset code is" },
+}
+
+const secret = () => process.env.OTP_SECRET || process.env.JWT_SECRET
+
+// Codes are hashed with the OTP's own id so equal codes never share a hash
+const hashCode = (otpId, code) => crypto.createHmac("sha256", secret()).update(`${otpId}:${code}`).digest("hex")
+
+const generateCode = () => String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, "0")
+
+// Create a code for `purpose` and send it to `destination` over `channel`
+// ("email" or "sms"). Any earlier unused code for the same purpose stops working.
+const issueOtp = async ({ userId, purpose, channel, destination }) => {
+  const now = Date.now()
+  const recent = await Otp.find({ userId, purpose, createdAt: { $gt: new Date(now - 60 * 60 * 1000) } })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+
+  if (recent.length >= MAX_SENDS_PER_HOUR) {
+    throw new AppError("Too many codes requested, please try again later", 429, "OTP_SEND_LIMIT")
+  }
+  if (recent.length && now - recent[0].createdAt.getTime() < RESEND_INTERVAL_SECONDS * 1000) {
+    const retryAfter = Math.ceil((recent[0].createdAt.getTime() + RESEND_INTERVAL_SECONDS * 1000 - now) / 1000)
+    throw new AppError(`Please wait ${retryAfter}s before requesting another code`, 429, "OTP_RESEND_TOO_SOON", {
+      retryAfter,
+    })
+  }
+
+  await Otp.updateMany({ userId, purpose, consumedAt: null }, { $set: { consumedAt: new Date(now) } })
+
+  const code = generateCode()
+  const otp = new Otp({
+    userId,
+    purpose,
+    channel,
+    destination,
+    maxAttempts: MAX_ATTEMPTS,
+    expiresAt: new Date(now + CODE_TTL_MINUTES * 60 * 1000),
+  })
+  otp.codeHash = hashCode(otp._id, code)
+  await otp.save()
+
+  const message = MESSAGES[purpose] || { subject: "Your verification code", text: "Your verification code is" }
+  await notifications.send({
+    channel,
+    to: destination,
+    subject: message.subject,
+    text: `${message.text} ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`,
+  })
+
+  return { expiresAt: otp.expiresAt, channel, destination }
+}
+
+// Check a code and use it up. Every guess counts against the code, which
+// stops working after MAX_ATTEMPTS. The attempt is taken before comparing, so
+// parallel guesses can't get past the limit.
+const verifyOtp = async ({ userId, purpose, code }) => {
+  const latest = await Otp.findOne({ userId, purpose, consumedAt: null }).sort({ createdAt: -1 })
+  if (!latest || latest.expiresAt <= new Date()) {
+    throw new AppError("Code has expired, please request a new one", 400, "OTP_EXPIRED")
+  }
+
+  const otp = await Otp.findOneAndUpdate(
+    { _id: latest._id, consumedAt: null, $expr: { $lt: ["$attempts", "$maxAttempts"] } },
+    { $inc: { attempts: 1 } },
+    { new: true },
+  )
+  if (!otp) {
+    throw new AppError("Too many incorrect attempts, please request a new code", 429, "OTP_LOCKED")
+  }
+
+  const expected = Buffer.from(otp.codeHash, "hex")
+  const actual = Buffer.from(hashCode(otp._id, String(code || "")), "hex")
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    throw new AppError("Invalid code", 400, "INVALID_OTP", { attemptsRemaining: otp.maxAttempts - otp.attempts })
+  }
+
+  // Conditional, so the same code can't be redeemed twice concurrently
+  const result = await Otp.updateOne({ _id: otp._id, consumedAt: null }, { $set: { consumedAt: new Date() } })
+  if (result.modifiedCount === 0) {
+    throw new AppError("Code has already been used", 400, "OTP_EXPIRED")
+  }
+
+  return otp
+}
+
+module.exports = { PURPOSES, CODE_TTL_MINUTES, issueOtp, verifyOtp }
@@ -0,0 +1,122 @@
+const crypto = require("crypto")
+const User = require("../models/User")
+const PasswordResetToken = require("../models/PasswordResetToken")
+const notifications = require("./notifications")
+const sessions = require("./sessions")
+const securityEvents = require("./securityEvents")
+const { AppError } = require("../utils/errors")
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30
+const MAX_RESETS_PER_HOUR = 3
+const MIN_PASSWORD_LENGTH = 6
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+const assertStrongEnough = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AppError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`, 400, "WEAK_PASSWORD")
+  }
+}
+
+// Email a reset token to the account with this address. Says nothing about
+// whether the account exists, so the caller should always answer the same way.
+const requestReset = async (email, req) => {
+  const user = await User.findOne({ email })
+  if (!user) {
+    return
+  }
+
+  const recent = await PasswordResetToken.countDocuments({
+    userId: user._id,
+    createdAt: { $gt: new Date(Date.now() - 60 * 60 * 1000) },
+  })
+  if (recent >= MAX_RESETS_PER_HOUR) {
+    return
+  }
+
+  // Only the newest token works
+  await PasswordResetToken.updateMany({ userId: user._id, usedAt: null }, { $set: { usedAt: new Date() } })
+
+  const token = crypto.randomBytes(32).toString("base64url")
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+  })
+
+  await notifications.sendEmail(
+    user.email,
+    "Reset your password",
+    `Use this token to reset your password: ${token}. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes. ` +
+      "If you didn't ask for this, you can ignore this email.",
+  )
+
+  await securityEvents.record({ userId: user._id, type: securityEvents.TYPES.PASSWORD_RESET_REQUESTED, req })
+}
+
+// Set a new password and sign the user out everywhere
+const setPassword = async (user, password, { type, req, keepSessionId }) => {
+  user.password = password
+  await user.save()
+
+  await sessions.revokeAllSessions(user._id, { except: keepSessionId, reason: "Password changed" })
+  await securityEvents.record({ userId: user._id, type, req })
+
+  try {
+    await notifications.sendEmail(
+      user.email,
+      "Your password was changed",
+      "The password on your account was just changed. If this wasn't you, contact support immediately.",
+    )
+  } catch (err) {
+    console.error("Password change notice error:", err.message)
+  }
+}
+
+// Redeem a reset token. The token is claimed atomically, so it only works once.
+const resetPassword = async (token, password, req) => {
+  assertStrongEnough(password)
+
+  const resetToken = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(token || "")), usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true },
+  )
+  if (!resetToken) {
+    throw new AppError("Reset token is invalid or has expired", 400, "INVALID_RESET_TOKEN")
+  }
+
+  const user = await User.findById(resetToken.userId)
+  if (!user) {
+    throw new AppError("Reset token is invalid or has expired", 400, "INVALID_RESET_TOKEN")
+  }
+
+  await setPassword(user, password, { type: securityEvents.TYPES.PASSWORD_RESET, req })
+}
+
+// Change the password of a signed-in user. Other sessions are revoked; the one
+// making the change stays signed in.
+const changePassword = async (userId, currentPassword, newPassword, req) => {
+  assertStrongEnough(newPassword)
+
+  const user = await User.findById(userId)
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+
+  const isMatch = await user.comparePassword(String(currentPassword || ""))
+  if (!isMatch) {
+    throw new AppError("Current password is incorrect", 400, "INVALID_PASSWORD")
+  }
+  if (currentPassword === newPassword) {
+    throw new AppError("New password must be different from the current one", 400, "PASSWORD_UNCHANGED")
+  }
+
+  await setPassword(user, newPassword, {
+    type: securityEvents.TYPES.PASSWORD_CHANGED,
+    req,
+    keepSessionId: req.user.sessionId,
+  })
+}
+
+module.exports = { MIN_PASSWORD_LENGTH, requestReset, resetPassword, changePassword }
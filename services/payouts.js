@@ -0,0 +1,242 @@
+const Transaction = require("../models/Transaction")
+const transfers = require("./transfers")
+const risk = require("./risk")
+const transactionStatus = require("./transactionStatus")
+const { paystackRequest, isRejection } = require("./paystack")
+const { AppError } = require("../utils/errors")
+
+const PROVIDER = "paystack"
+
+// Don't ask the provider about a payout more often than this while polling
+const STATUS_CHECK_INTERVAL_MS = 30 * 1000
+
+// providerStatus of a payout we sent without hearing back whether it was taken
+const UNCONFIRMED = "unconfirmed"
+
+const PROVIDER_ACTOR = (transferCode) => ({ type: transactionStatus.ACTORS.PROVIDER, id: transferCode })
+
+const createRecipient = async (bankDetails) => {
+  const response = await paystackRequest("/transferrecipient", "POST", {
+    type: "nuban",
+    name: bankDetails.accountName,
+    account_number: bankDetails.accountNumber,
+    bank_code: bankDetails.bankCode,
+    currency: "NGN",
+  })
+
+  if (!response.status) {
+    throw new AppError("Failed to create transfer recipient", 400, "RECIPIENT_CREATE_FAILED")
+  }
+
+  return response.data.recipient_code
+}
+
+// Ask the provider to pay out a pending transaction. If it refuses outright the
+// debit is reversed straight away. If we can't tell whether it took the
+// transfer (a timeout, network error or 5xx) the transaction stays pending and
+// is settled from the webhook or by checkStatus() asking the provider later.
+const sendToProvider = async ({ reference, amount, purpose, recipientCode }) => {
+  let response
+  try {
+    response = await paystackRequest("/transfer", "POST", {
+      source: "balance",
+      amount, // Already in kobo
+      recipient: recipientCode,
+      reason: purpose,
+      reference,
+    })
+  } catch (err) {
+    if (!isRejection(err)) {
+      console.error("Payout outcome unknown, leaving it pending:", reference, err.message)
+      const transaction = await Transaction.findOneAndUpdate(
+        { reference },
+        {
+          $set: {
+            payout: { provider: PROVIDER, recipientCode, providerStatus: UNCONFIRMED, initiatedAt: new Date() },
+          },
+        },
+        { new: true },
+      )
+      return { transaction }
+    }
+    response = { status: false, message: err.message }
+  }
+
+  if (!response.status) {
+    // Nothing was sent, so give the money back
+    await transfers.reverseTransfer(reference, {
+      reason: "Payout could not be initiated",
+      actor: { type: transactionStatus.ACTORS.SYSTEM },
+    })
+    throw new AppError("Failed to initiate transfer", 400, "PAYOUT_FAILED")
+  }
+
+  const transaction = await Transaction.findOneAndUpdate(
+    { reference },
+    {
+      $set: {
+        payout: {
+          provider: PROVIDER,
+          recipientCode,
+          transferCode: response.data.transfer_code,
+          providerStatus: response.data.status,
+          initiatedAt: new Date(),
+        },
+      },
+    },
+    { new: true },
+  )
+
+  // Some transfers complete synchronously
+  if (response.data.status === "success") {
+    await settle(reference, { transferCode: response.data.transfer_code, reason: "Paystack transfer completed" })
+  }
+
+  return { transaction, transferCode: response.data.transfer_code }
+}
+
+// Send a prepared bank transfer or withdrawal out through the provider. The
+// funds are reserved with a hold and the transaction kept pending; the transfer
+// webhooks (or a status poll) settle it. A payment the risk engine held for
+// review isn't sent until release() is called for it.
+const payout = async (prepared, { actor } = {}) => {
+  const { bankDetails } = prepared
+  if (!bankDetails || !bankDetails.bankCode) {
+    throw new AppError("Bank code is required", 400, "INVALID_BANK_DETAILS")
+  }
+
+  if (risk.isHeld(prepared.riskDecision)) {
+    return transfers.executeTransfer(prepared, { status: transactionStatus.STATUSES.PENDING, actor })
+  }
+
+  const recipientCode = await createRecipient(bankDetails)
+
+  const result = await transfers.executeTransfer(prepared, { status: transactionStatus.STATUSES.PENDING, actor })
+  const sent = await sendToProvider({
+    reference: result.reference,
+    amount: prepared.amount,
+    purpose: prepared.purpose,
+    recipientCode,
+  })
+
+  return { ...result, ...sent }
+}
+
+// Send a payout that was held back, e.g. for a risk review. If the provider
+// won't take it the funds go back to the user.
+const release = async (reference) => {
+  const transaction = await Transaction.findOne({ reference })
+  if (!transaction) {
+    throw new AppError("Transaction not found", 404, "TRANSACTION_NOT_FOUND")
+  }
+  if (transaction.status !== transactionStatus.STATUSES.PENDING || transaction.payout.initiatedAt) {
+    throw new AppError("This payout has already been sent", 409, "PAYOUT_ALREADY_SENT")
+  }
+
+  let recipientCode
+  try {
+    recipientCode = await createRecipient(transaction.recipientDetails)
+  } catch (err) {
+    await transfers.reverseTransfer(reference, {
+      reason: "Payout recipient could not be created",
+      actor: { type: transactionStatus.ACTORS.SYSTEM },
+    })
+    throw err
+  }
+
+  return sendToProvider({ reference, amount: transaction.amount, purpose: transaction.purpose, recipientCode })
+}
+
+// Mark a pending payout as paid. Settling an already-settled payout is a no-op,
+// so duplicate webhooks are harmless.
+const settle = async (reference, { transferCode, reason = "Paystack transfer.success" } = {}) => {
+  const transaction = await Transaction.findOne({ reference })
+  if (!transaction) {
+    throw new AppError("Transaction not found", 404, "TRANSACTION_NOT_FOUND")
+  }
+  if (transaction.status !== transactionStatus.STATUSES.PENDING) {
+    return transaction
+  }
+
+  // Captures the hold, which is when the user's wallet is actually debited
+  return transfers.completeTransfer(reference, { actor: PROVIDER_ACTOR(transferCode), reason })
+}
+
+// Refund a payout the provider failed or reversed. A transaction that has
+// already been refunded cannot move again, so this never refunds twice.
+const refund = async (reference, { transferCode, reason } = {}) => {
+  const transaction = await Transaction.findOne({ reference })
+  if (!transaction) {
+    throw new AppError("Transaction not found", 404, "TRANSACTION_NOT_FOUND")
+  }
+  const { PENDING, SUCCESSFUL } = transactionStatus.STATUSES
+  if (![PENDING, SUCCESSFUL].includes(transaction.status)) {
+    return transaction
+  }
+
+  await transfers.reverseTransfer(reference, { reason, actor: PROVIDER_ACTOR(transferCode) })
+  return Transaction.findOne({ reference })
+}
+
+// Apply a provider status to our transaction
+const applyProviderStatus = async (reference, providerStatus, transferCode) => {
+  const update = { "payout.providerStatus": providerStatus }
+  if (transferCode) {
+    update["payout.transferCode"] = transferCode
+  }
+  await Transaction.updateOne({ reference }, { $set: update })
+
+  if (providerStatus === "success") {
+    return settle(reference, { transferCode })
+  }
+  if (["failed", "reversed", "abandoned", "rejected", "blocked"].includes(providerStatus)) {
+    return refund(reference, { transferCode, reason: `Paystack transfer ${providerStatus}` })
+  }
+  return Transaction.findOne({ reference })
+}
+
+// Current status of a user's transaction. Pending payouts are checked with the
+// provider (at most every STATUS_CHECK_INTERVAL_MS) in case a webhook was missed.
+// Staff can pass no userId and `force` to check right away. A payout the
+// provider still has no record of a while after we sent it never reached them,
+// so it's refunded.
+const checkStatus = async (reference, userId, { force = false } = {}) => {
+  const transaction = await Transaction.findOne({ reference, ...(userId ? { userId } : {}) })
+  if (!transaction) {
+    throw new AppError("Transaction not found", 404, "TRANSACTION_NOT_FOUND")
+  }
+
+  const { payout: providerPayout } = transaction
+  const due =
+    force ||
+    !providerPayout.lastCheckedAt || Date.now() - providerPayout.lastCheckedAt.getTime() >= STATUS_CHECK_INTERVAL_MS
+
+  if (transaction.status !== transactionStatus.STATUSES.PENDING || !providerPayout.initiatedAt || !due) {
+    return transaction
+  }
+
+  await Transaction.updateOne({ reference }, { $set: { "payout.lastCheckedAt": new Date() } })
+
+  let response
+  try {
+    response = await paystackRequest(`/transfer/verify/${encodeURIComponent(reference)}`)
+  } catch (err) {
+    const unknownToProvider =
+      err.httpStatus === 404 &&
+      providerPayout.providerStatus === UNCONFIRMED &&
+      Date.now() - providerPayout.initiatedAt.getTime() >= STATUS_CHECK_INTERVAL_MS
+    if (unknownToProvider) {
+      return refund(reference, { reason: "Paystack has no record of the transfer" })
+    }
+    // The provider being unreachable doesn't change what we know
+    return transaction
+  }
+
+  if (!response.status) {
+    return transaction
+  }
+
+  return applyProviderStatus(reference, response.data.status, response.data.transfer_code)
+}
+
+module.exports = { payout, release, settle, refund, applyProviderStatus, checkStatus }
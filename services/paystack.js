@@ -0,0 +1,46 @@
+const axios = require("axios")
+
+// Paystack API base URL
+const PAYSTACK_BASE_URL = "https://api.paystack.co"
+
+// Helper function to make Paystack API requests
+const paystackRequest = async (endpoint, method = "GET", data = null) => {
+  try {
+    const config = {
+      method,
+      url: `${PAYSTACK_BASE_URL}${endpoint}`,
+      headers: {
+        Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+        "Content-Type": "application/json",
+      },
+    }
+
+    if (data && (method === "POST" || method === "PUT")) {
+      config.data = data
+    }
+
+    const response = await axios(config)
+    return response.data
+  } catch (error) {
+    console.error("Paystack API error:", error.response ? error.response.data : error.message)
+    const wrapped = new Error(error.response && error.response.data ? error.response.data.message : error.message)
+    // Kept so callers can tell a refusal from a request that may have gone through
+    wrapped.httpStatus = error.response ? error.response.status : undefined
+    throw wrapped
+  }
+}
+
+// True when Paystack answered and turned the request down. Timeouts, network
+// errors and 5xx answers are not rejections: the request may still have been
+// acted on, so nothing should be undone on the strength of them.
+const isRejection = (err) => Boolean(err.httpStatus) && err.httpStatus >= 400 && err.httpStatus < 500
+
+// Look up the account name for a NUBAN account number
+const resolveAccount = async (accountNumber, bankCode) => {
+  const response = await paystackRequest(
+    `/bank/resolve?account_number=${encodeURIComponent(accountNumber)}&bank_code=${encodeURIComponent(bankCode)}`,
+  )
+  return response.status ? response.data : null
+}
+
+module.exports = { paystackRequest, isRejection, resolveAccount }
@@ -0,0 +1,220 @@
+const TransactionPin = require("../models/TransactionPin")
+const Transaction = require("../models/Transaction")
+const User = require("../models/User")
+const throttle = require("./throttle")
+const otp = require("./otp")
+const notifications = require("./notifications")
+const securityEvents = require("./securityEvents")
+const money = require("../utils/money")
+const { PIN_RESET } = require("../config/security")
+const { AppError } = require("../utils/errors")
+const { clientIp } = require("../utils/request")
+
+const assertAcceptable = (pin) => {
+  const weakness = TransactionPin.pinWeakness(String(pin || ""))
+  if (weakness) {
+    throw new AppError(weakness, 400, "WEAK_PIN")
+  }
+}
+
+// Check a user's transaction PIN. Every route that takes a PIN goes through
+// here, so they all share one lockout: repeated wrong PINs slow down and then
+// lock PIN use for the account (and the IP, when given).
+const verifyPin = async (userId, pin, { ip } = {}) => {
+  if (!pin) {
+    throw new AppError("Transaction PIN is required", 400, "PIN_REQUIRED")
+  }
+
+  const transactionPin = await TransactionPin.findOne({ userId })
+  if (!transactionPin) {
+    throw new AppError("Transaction PIN not set", 400, "PIN_NOT_SET")
+  }
+
+  const target = { account: String(userId), ip }
+  await throttle.reserveAttempt("pin", target)
+
+  const isPinValid = await transactionPin.comparePin(String(pin))
+  if (!isPinValid) {
+    const locked = await throttle.recordFailure("pin", target)
+    await securityEvents.record({ userId, type: securityEvents.TYPES.PIN_FAILED, ip })
+    if (locked) {
+      await securityEvents.record({ userId, type: securityEvents.TYPES.PIN_LOCKED, ip })
+    }
+    throw new AppError("Invalid transaction PIN", 400, "INVALID_PIN")
+  }
+
+  await throttle.recordSuccess("pin", target)
+}
+
+// Set a user's first PIN. An existing PIN can only be changed with changePin()
+// or recovered with resetPin().
+const setPin = async (userId, pin, req) => {
+  assertAcceptable(pin)
+
+  if (await TransactionPin.exists({ userId })) {
+    throw new AppError("Transaction PIN is already set, provide your current PIN to change it", 409, "PIN_ALREADY_SET")
+  }
+
+  try {
+    await TransactionPin.create({ userId, pinHash: String(pin) })
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError("Transaction PIN is already set", 409, "PIN_ALREADY_SET")
+    }
+    throw err
+  }
+
+  await securityEvents.record({ userId, type: securityEvents.TYPES.PIN_SET, req })
+}
+
+// Replace the PIN; the current PIN is checked under the usual lockout
+const changePin = async (userId, currentPin, newPin, req) => {
+  assertAcceptable(newPin)
+  await verifyPin(userId, currentPin, { ip: req && clientIp(req) })
+
+  if (String(currentPin) === String(newPin)) {
+    throw new AppError("New PIN must be different from the current one", 400, "PIN_UNCHANGED")
+  }
+
+  const transactionPin = await TransactionPin.findOne({ userId })
+  transactionPin.pinHash = String(newPin)
+  transactionPin.updatedAt = Date.now()
+  await transactionPin.save()
+
+  await securityEvents.record({ userId, type: securityEvents.TYPES.PIN_CHANGED, req })
+}
+
+// First step of recovering a forgotten PIN: send a code to the user's phone
+// (or email)
+const requestPinReset = async (userId, channel = "sms") => {
+  const user = await User.findById(userId).select("email phoneNumber")
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+  if (!(await TransactionPin.exists({ userId }))) {
+    throw new AppError("Transaction PIN not set", 400, "PIN_NOT_SET")
+  }
+
+  return otp.issueOtp({
+    userId,
+    purpose: otp.PURPOSES.PIN_RESET,
+    channel,
+    destination: channel === "email" ? user.email : user.phoneNumber,
+  })
+}
+
+// Set a new PIN with the reset code and the account password. Afterwards the
+// account is in a cooling-off period with capped outgoing transfers.
+const resetPin = async (userId, { code, password, newPin }, req) => {
+  assertAcceptable(newPin)
+
+  // The password check shares the login lockout
+  const user = await User.findById(userId)
+  const target = { account: `pin-reset:${userId}`, ip: req && clientIp(req) }
+  await throttle.reserveAttempt("login", target)
+  if (!user || !(await user.comparePassword(String(password || "")))) {
+    await throttle.recordFailure("login", target)
+    throw new AppError("Password is incorrect", 400, "INVALID_PASSWORD")
+  }
+  await throttle.recordSuccess("login", target)
+
+  await otp.verifyOtp({ userId, purpose: otp.PURPOSES.PIN_RESET, code })
+
+  const transactionPin = await TransactionPin.findOne({ userId })
+  if (!transactionPin) {
+    throw new AppError("Transaction PIN not set", 400, "PIN_NOT_SET")
+  }
+
+  const now = new Date()
+  transactionPin.pinHash = String(newPin)
+  transactionPin.updatedAt = now
+  transactionPin.resetAt = now
+  transactionPin.coolingOffUntil = new Date(now.getTime() + PIN_RESET.coolingOffHours * 60 * 60 * 1000)
+  await transactionPin.save()
+
+  // A successful reset clears any PIN lockout
+  await throttle.recordSuccess("pin", { account: String(userId) })
+  await securityEvents.record({ userId, type: securityEvents.TYPES.PIN_RESET, req })
+
+  try {
+    await notifications.sendEmail(
+      user.email,
+      "Your transaction PIN was reset",
+      `Your transaction PIN was just reset. For your security, outgoing transfers are limited to ` +
+        `${money.format(PIN_RESET.transferCap)} for the next ${PIN_RESET.coolingOffHours} hours. ` +
+        "If this wasn't you, contact support immediately.",
+    )
+  } catch (err) {
+    console.error("PIN reset notice error:", err.message)
+  }
+
+  return { coolingOffUntil: transactionPin.coolingOffUntil }
+}
+
+// The user's PIN record while a PIN reset's cooling-off period is running
+const findCoolingOff = async (userId) => {
+  const transactionPin = await TransactionPin.findOne({ userId }).select("userId resetAt coolingOffUntil")
+  if (!transactionPin || !transactionPin.coolingOffUntil || transactionPin.coolingOffUntil <= new Date()) {
+    return null
+  }
+  return transactionPin
+}
+
+// Refuse an outgoing payment of `total` kobo that would take the user past the
+// cooling-off cap after a PIN reset
+const assertWithinCoolingOff = async (userId, total) => {
+  const transactionPin = await findCoolingOff(userId)
+  if (!transactionPin) {
+    return
+  }
+
+  const [spent] = await Transaction.aggregate([
+    {
+      $match: {
+        userId: transactionPin.userId,
+        transactionType: { $in: ["send", "withdraw"] },
+        status: { $in: ["pending", "successful"] },
+        createdAt: { $gte: transactionPin.resetAt },
+      },
+    },
+    { $group: { _id: null, total: { $sum: { $add: ["$amount", "$fee", { $ifNull: ["$levy", 0] }] } } } },
+  ])
+
+  const alreadySent = spent ? spent.total : 0
+  if (alreadySent + total > PIN_RESET.transferCap) {
+    throw new AppError(
+      `Your PIN was reset recently, so transfers are limited to ${money.format(PIN_RESET.transferCap)} ` +
+        `until ${transactionPin.coolingOffUntil.toISOString()}`,
+      403,
+      "PIN_RESET_COOLING_OFF",
+      {
+        coolingOffUntil: transactionPin.coolingOffUntil,
+        remaining: money.toMajor(Math.max(PIN_RESET.transferCap - alreadySent, 0)),
+      },
+    )
+  }
+}
+
+// Refuse an action that isn't allowed at all until a PIN reset's cooling-off
+// period is over, such as closing the account and paying out the balance
+const assertNotCoolingOff = async (userId) => {
+  const transactionPin = await findCoolingOff(userId)
+  if (transactionPin) {
+    throw new AppError(
+      `Your PIN was reset recently, so this isn't available until ${transactionPin.coolingOffUntil.toISOString()}`,
+      403,
+      "PIN_RESET_COOLING_OFF",
+      { coolingOffUntil: transactionPin.coolingOffUntil },
+    )
+  }
+}
+
+module.exports = {
+  verifyPin,
+  setPin,
+  changePin,
+  requestPinReset,
+  resetPin,
+  assertWithinCoolingOff,
+  assertNotCoolingOff,
+}
@@ -0,0 +1,168 @@
+const mongoose = require("mongoose")
+const Quote = require("../models/Quote")
+const User = require("../models/User")
+const fees = require("./fees")
+const kyc = require("./kyc")
+const limits = require("./limits")
+const paystack = require("./paystack")
+const money = require("../utils/money")
+const { AppError } = require("../utils/errors")
+
+// How long a quote can be used for, in seconds
+const QUOTE_TTL_SECONDS = Number(process.env.QUOTE_TTL_SECONDS) || 300
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`
+
+// Tags are stored with a leading "@"; accept them with or without it
+const normalizeTag = (tag) => {
+  const trimmed = String(tag).trim().toLowerCase()
+  return trimmed.startsWith("@") ? trimmed : `@${trimmed}`
+}
+
+// Work out who a quote is for. A wallet recipient is identified by user ID or
+// cecureTag; anything with an account number is a bank payout.
+const resolveRecipient = async (sender, recipient = {}) => {
+  if (recipient.accountNumber) {
+    if (!recipient.bankCode) {
+      throw new AppError("Bank code is required", 400, "INVALID_BANK_DETAILS")
+    }
+
+    let account = null
+    try {
+      account = await paystack.resolveAccount(recipient.accountNumber, recipient.bankCode)
+    } catch (err) {
+      account = null
+    }
+    if (!account) {
+      throw new AppError("Could not resolve bank account", 400, "ACCOUNT_NOT_RESOLVED")
+    }
+
+    return {
+      channel: "bank_transfer",
+      recipient: {
+        name: account.account_name,
+        accountNumber: recipient.accountNumber,
+        bankCode: recipient.bankCode,
+        bankName: recipient.bankName,
+      },
+    }
+  }
+
+  let user = null
+  if (recipient.userId) {
+    user = mongoose.isValidObjectId(recipient.userId) ? await User.findById(recipient.userId) : null
+  } else if (recipient.cecureTag) {
+    user = await User.findOne({ cecureTag: normalizeTag(recipient.cecureTag) })
+  } else {
+    throw new AppError("A recipient cecureTag, user ID or bank account is required", 400, "RECIPIENT_REQUIRED")
+  }
+
+  if (!user) {
+    throw new AppError("Recipient not found", 404, "RECIPIENT_NOT_FOUND")
+  }
+  if (user._id.equals(sender._id)) {
+    throw new AppError("You cannot transfer money to yourself", 400, "SELF_TRANSFER")
+  }
+
+  return {
+    channel: "p2p",
+    recipient: { userId: user._id, cecureTag: user.cecureTag, name: fullName(user) },
+  }
+}
+
+// Run a check that throws, turning the failures listed in `codes` into a
+// warning on the quote instead
+const warnIf = async (warnings, codes, check) => {
+  try {
+    await check()
+  } catch (err) {
+    if (!codes.includes(err.code)) {
+      throw err
+    }
+    warnings.push({ code: err.code, message: err.message, ...(err.details ? { details: err.details } : {}) })
+  }
+}
+
+// Price a transfer and store the result, so the transfer itself can be made
+// for exactly what the user was shown. `amount` is in kobo.
+const createQuote = async ({ userId, amount, recipient }) => {
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    throw new AppError("Valid amount is required", 400, "INVALID_AMOUNT")
+  }
+
+  const sender = await User.findById(userId)
+  if (!sender) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+
+  const resolved = await resolveRecipient(sender, recipient)
+  const { fee, levy, total } = await fees.quoteFee({ channel: resolved.channel, amount, user: sender })
+
+  const warnings = []
+  if (sender.availableBalance < total) {
+    warnings.push({ code: "INSUFFICIENT_FUNDS", message: "Your balance does not cover this transfer" })
+  }
+  // The same limits the transfer will be held to, checked against what it would debit
+  await warnIf(warnings, ["KYC_LIMIT_EXCEEDED"], () => kyc.assertWithinTransactionLimit(sender, amount))
+  await warnIf(warnings, ["LIMIT_EXCEEDED"], () => limits.assertWithinLimits(sender, resolved.channel, total))
+
+  const quote = await Quote.create({
+    userId: sender._id,
+    channel: resolved.channel,
+    amount,
+    fee,
+    levy,
+    total,
+    recipient: resolved.recipient,
+    expiresAt: new Date(Date.now() + QUOTE_TTL_SECONDS * 1000),
+  })
+
+  return { quote, balanceAfter: sender.availableBalance - total, warnings }
+}
+
+// Quote for an API response, with amounts in major units
+const formatQuote = ({ quote, balanceAfter, warnings }) => ({
+  quoteId: quote._id,
+  channel: quote.channel,
+  recipient: quote.recipient,
+  amount: money.toMajor(quote.amount),
+  fee: money.toMajor(quote.fee),
+  levy: money.toMajor(quote.levy),
+  totalDebit: money.toMajor(quote.total),
+  balanceAfter: money.toMajor(balanceAfter),
+  currency: quote.currency,
+  expiresAt: quote.expiresAt,
+  warnings,
+})
+
+// Load a quote for use in a transfer. The quote is only marked used when the
+// transfer commits (see claimQuote).
+const loadQuote = async (quoteId, userId) => {
+  const quote = mongoose.isValidObjectId(quoteId) ? await Quote.findOne({ _id: quoteId, userId }) : null
+  if (!quote) {
+    throw new AppError("Quote not found", 404, "QUOTE_NOT_FOUND")
+  }
+  if (quote.usedAt) {
+    throw new AppError("Quote has already been used", 409, "QUOTE_USED")
+  }
+  if (quote.expiresAt <= new Date()) {
+    throw new AppError("Quote has expired, please request a new one", 410, "QUOTE_EXPIRED")
+  }
+  return quote
+}
+
+// Mark a quote used inside the transfer's transaction. The update only matches
+// an unused, unexpired quote, so one quote can never pay for two transfers.
+const claimQuote = async (quoteId, reference, session) => {
+  const now = new Date()
+  const result = await Quote.updateOne(
+    { _id: quoteId, usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now, reference } },
+    { session },
+  )
+  if (result.matchedCount === 0) {
+    throw new AppError("Quote has expired or was already used", 409, "QUOTE_UNAVAILABLE")
+  }
+}
+
+module.exports = { QUOTE_TTL_SECONDS, normalizeTag, createQuote, formatQuote, loadQuote, claimQuote }
@@ -0,0 +1,170 @@
+const mongoose = require("mongoose")
+const Transaction = require("../models/Transaction")
+const Beneficiary = require("../models/Beneficiary")
+const RiskDecision = require("../models/RiskDecision")
+const devices = require("./devices")
+const securityEvents = require("./securityEvents")
+const twoFactor = require("./twoFactor")
+const complianceCases = require("./complianceCases")
+const money = require("../utils/money")
+const { ENABLED, OUTCOMES, THRESHOLDS, SIGNALS, RULES } = require("../config/riskRules")
+const { AppError } = require("../utils/errors")
+
+const REVIEW_STATUSES = {
+  PENDING: "pending",
+  RELEASED: "released",
+  REJECTED: "rejected",
+}
+
+const OUTGOING_TYPES = ["send", "withdraw"]
+
+const minutesAgo = (minutes, now) => new Date(now - minutes * 60 * 1000)
+
+// Count, total, average and largest outgoing payment since `since`
+const outgoingStats = async (userId, since, statuses) => {
+  const [stats] = await Transaction.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        transactionType: { $in: OUTGOING_TYPES },
+        status: { $in: statuses },
+        createdAt: { $gte: since },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        count: { $sum: 1 },
+        total: { $sum: "$amount" },
+        average: { $avg: "$amount" },
+        max: { $max: "$amount" },
+      },
+    },
+  ])
+  return stats || { count: 0, total: 0, average: 0, max: 0 }
+}
+
+// Everything the rules can look at for a payment (see config/riskRules.js)
+const gatherSignals = async ({ userId, channel, amount, bankDetails, ip, deviceFingerprint }, now = Date.now()) => {
+  const [recent, history, known, recentBeneficiary, pinChanged, passwordChanged] = await Promise.all([
+    outgoingStats(userId, minutesAgo(SIGNALS.velocityWindowMinutes, now), ["pending", "successful"]),
+    outgoingStats(userId, minutesAgo(SIGNALS.historyDays * 24 * 60, now), ["successful"]),
+    devices.isKnown(userId, {
+      fingerprint: deviceFingerprint,
+      ip,
+      before: minutesAgo(SIGNALS.newDeviceHours * 60, now),
+    }),
+    Beneficiary.exists({ userId, createdAt: { $gte: minutesAgo(SIGNALS.newBeneficiaryMinutes, now) } }),
+    securityEvents.hasRecent(
+      userId,
+      [securityEvents.TYPES.PIN_CHANGED, securityEvents.TYPES.PIN_RESET],
+      minutesAgo(SIGNALS.credentialChangeHours * 60, now),
+    ),
+    securityEvents.hasRecent(
+      userId,
+      [securityEvents.TYPES.PASSWORD_CHANGED, securityEvents.TYPES.PASSWORD_RESET],
+      minutesAgo(SIGNALS.credentialChangeHours * 60, now),
+    ),
+  ])
+
+  return {
+    amount,
+    channel,
+    recentCount: recent.count,
+    recentTotal: recent.total,
+    historyCount: history.count,
+    historyAverage: Math.round(history.average),
+    historyMax: history.max,
+    newDevice: !known.device,
+    newIp: !known.ip,
+    newBeneficiary: !!recentBeneficiary || !!(bankDetails && bankDetails.saveBeneficiary),
+    pinChanged,
+    passwordChanged,
+  }
+}
+
+// Run the rules over the signals. A rule that throws is logged and skipped
+// rather than failing the payment.
+const score = (signals) => {
+  const fired = RULES.filter((rule) => {
+    try {
+      return !!rule.when(signals)
+    } catch (err) {
+      console.error(`Risk rule ${rule.id} error:`, err.message)
+      return false
+    }
+  }).map(({ id, description, score: points }) => ({ id, description, score: points }))
+
+  const total = fired.reduce((sum, rule) => sum + rule.score, 0)
+  const outcome = [OUTCOMES.BLOCK, OUTCOMES.REVIEW, OUTCOMES.STEP_UP].find((level) => total >= THRESHOLDS[level])
+
+  return { rules: fired, score: total, outcome: outcome || OUTCOMES.ALLOW }
+}
+
+// Score an outgoing payment and record the decision. Blocked payments throw.
+// A step-up can't be asked of a user without two-factor authentication, so
+// theirs is held for review instead. Returns null when the engine is off.
+const evaluate = async ({ userId, channel, amount, bankDetails, ip, deviceFingerprint }) => {
+  if (!ENABLED) {
+    return null
+  }
+
+  const signals = await gatherSignals({ userId, channel, amount, bankDetails, ip, deviceFingerprint })
+  const result = score(signals)
+
+  let escalatedFrom
+  if (result.outcome === OUTCOMES.STEP_UP && !(await twoFactor.isEnabled(userId))) {
+    escalatedFrom = result.outcome
+    result.outcome = OUTCOMES.REVIEW
+  }
+
+  const decision = await RiskDecision.create({
+    userId,
+    channel,
+    amount,
+    ...result,
+    escalatedFrom,
+    signals,
+    ip,
+    deviceFingerprint,
+  })
+
+  if (decision.outcome === OUTCOMES.BLOCK) {
+    await complianceCases.openFromFlag({
+      source: { type: complianceCases.CASE_SOURCES.RISK_RULE, id: String(decision._id) },
+      title: `${money.format(amount)} ${channel.replace("_", " ")} payment blocked by risk rules`,
+      priority: "high",
+      userIds: [userId],
+    })
+    throw new AppError(
+      "This payment can't be made. Contact support if you think this is a mistake.",
+      403,
+      "PAYMENT_BLOCKED",
+      { decisionId: decision._id },
+    )
+  }
+  return decision
+}
+
+const isHeld = (decision) => !!decision && decision.outcome === OUTCOMES.REVIEW
+
+// Link a decision to the transaction it let through. A held payment gets a
+// review and a compliance case.
+const attach = async (decision, reference) => {
+  await RiskDecision.updateOne(
+    { _id: decision._id },
+    { $set: { reference, ...(isHeld(decision) ? { "review.status": REVIEW_STATUSES.PENDING } : {}) } },
+  )
+
+  if (isHeld(decision)) {
+    await complianceCases.openFromFlag({
+      source: { type: complianceCases.CASE_SOURCES.RISK_RULE, id: String(decision._id) },
+      title: `${money.format(decision.amount)} ${decision.channel.replace("_", " ")} payment held for risk review`,
+      priority: "medium",
+      userIds: [decision.userId],
+      transactionReferences: [reference],
+    })
+  }
+}
+
+module.exports = { OUTCOMES, REVIEW_STATUSES, gatherSignals, score, evaluate, isHeld, attach }
@@ -0,0 +1,106 @@
+const mongoose = require("mongoose")
+const RiskDecision = require("../models/RiskDecision")
+const Transaction = require("../models/Transaction")
+const User = require("../models/User")
+const transfers = require("./transfers")
+const payouts = require("./payouts")
+const notifications = require("./notifications")
+const money = require("../utils/money")
+const { REVIEW_STATUSES } = require("./risk")
+const { AppError } = require("../utils/errors")
+
+// Staff review of payments the risk engine held. Kept apart from
+// services/risk.js, which transfers.js depends on, because releasing and
+// rejecting need transfers.js and payouts.js.
+
+const reviewQueue = ({ status = REVIEW_STATUSES.PENDING, limit = 50 } = {}) =>
+  RiskDecision.find({ "review.status": status }).sort({ createdAt: 1 }).limit(limit)
+
+const findDecision = async (id) => {
+  const decision = mongoose.isValidObjectId(id) ? await RiskDecision.findById(id) : null
+  if (!decision) {
+    throw new AppError("Risk decision not found", 404, "RISK_DECISION_NOT_FOUND")
+  }
+  return decision
+}
+
+// Close a pending review. Only one reviewer can win.
+const closeReview = async (id, reviewerId, status, note) => {
+  const decision = await findDecision(id)
+  if (String(decision.userId) === String(reviewerId)) {
+    throw new AppError("You cannot review your own payment", 403, "SELF_REVIEW")
+  }
+
+  const closed = await RiskDecision.findOneAndUpdate(
+    { _id: decision._id, "review.status": REVIEW_STATUSES.PENDING },
+    {
+      $set: {
+        "review.status": status,
+        "review.reviewedBy": reviewerId,
+        "review.reviewedAt": new Date(),
+        "review.note": note,
+      },
+    },
+    { new: true },
+  )
+  if (!closed) {
+    throw new AppError("This payment is not awaiting review", 409, "RISK_REVIEW_CLOSED")
+  }
+  return closed
+}
+
+const notify = async (userId, subject, text) => {
+  try {
+    const user = await User.findById(userId).select("email")
+    if (user) {
+      await notifications.sendEmail(user.email, subject, text)
+    }
+  } catch (err) {
+    console.error("Risk review notice error:", err.message)
+  }
+}
+
+// Let a held payment go: wallet transfers complete straight away, bank
+// payouts are sent to the provider
+const release = async (id, reviewerId, { note, actor } = {}) => {
+  const decision = await closeReview(id, reviewerId, REVIEW_STATUSES.RELEASED, note)
+  const transaction = await Transaction.findOne({ reference: decision.reference })
+  if (!transaction) {
+    throw new AppError("Transaction not found", 404, "TRANSACTION_NOT_FOUND")
+  }
+
+  if (transaction.recipientId) {
+    await transfers.completeTransfer(decision.reference, { actor, reason: "Released after risk review" })
+  } else {
+    await payouts.release(decision.reference)
+  }
+
+  return { decision, transaction: await Transaction.findOne({ reference: decision.reference }) }
+}
+
+// Stop a held payment and give the user their money back
+const reject = async (id, reviewerId, { note, actor } = {}) => {
+  if (!note) {
+    throw new AppError("A note explaining the rejection is required", 400, "NOTE_REQUIRED")
+  }
+
+  const decision = await closeReview(id, reviewerId, REVIEW_STATUSES.REJECTED, note)
+  await transfers.reverseTransfer(decision.reference, { actor, reason: `Rejected after risk review: ${note}` })
+
+  await notify(
+    decision.userId,
+    "We stopped a payment from your account",
+    `Your payment of ${money.format(decision.amount)} (reference ${decision.reference}) was stopped after a ` +
+      "security review and the money has been returned to your wallet. Contact support if you have any questions.",
+  )
+
+  return { decision, transaction: await Transaction.findOne({ reference: decision.reference }) }
+}
+
+// Risk decisions, newest first, optionally for one user or outcome
+const listDecisions = ({ userId, outcome, limit = 50 } = {}) =>
+  RiskDecision.find({ ...(userId ? { userId } : {}), ...(outcome ? { outcome } : {}) })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+
+module.exports = { reviewQueue, findDecision, release, reject, listDecisions }
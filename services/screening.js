@@ -0,0 +1,233 @@
+const mongoose = require("mongoose")
+const WatchlistEntry = require("../models/WatchlistEntry")
+const ScreeningMatch = require("../models/ScreeningMatch")
+const User = require("../models/User")
+const accounts = require("./accounts")
+const complianceCases = require("./complianceCases")
+const names = require("../utils/names")
+const { MATCH_THRESHOLD, MAX_CANDIDATES, CONTEXTS } = require("../config/screening")
+const { ACCOUNT_STATUSES, STATUS_REASONS } = require("../config/accounts")
+const { AppError } = require("../utils/errors")
+
+const STATUSES = {
+  PENDING: "pending",
+  CLEARED: "cleared",
+  CONFIRMED: "confirmed",
+}
+
+// Name keys for a watchlist entry's name and aliases
+const entryKeys = (entryNames) => [...new Set(entryNames.flatMap(names.keys))]
+
+// Watchlist entries whose name or an alias is close enough to `name`, best first
+const findMatches = async (name) => {
+  const nameKeys = names.keys(name)
+  if (nameKeys.length === 0) {
+    return []
+  }
+
+  const candidates = await WatchlistEntry.find({ keys: { $in: nameKeys }, active: true })
+    .select("source externalId name aliases")
+    .limit(MAX_CANDIDATES)
+
+  return candidates
+    .map((entry) => {
+      const [best] = [entry.name, ...entry.aliases]
+        .map((listed) => ({ matchedName: listed, score: names.similarity(name, listed) }))
+        .sort((a, b) => b.score - a.score)
+      return {
+        entryId: entry._id,
+        source: entry.source,
+        externalId: entry.externalId,
+        listedName: entry.name,
+        matchedName: best.matchedName,
+        score: Math.round(best.score * 1000) / 1000,
+      }
+    })
+    .filter((match) => match.score >= MATCH_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+}
+
+const sameName = (a, b) => names.normalize(a).join(" ") === names.normalize(b).join(" ")
+
+// Screen a subject's name. Returns null if it is clear, otherwise the match
+// holding compliance's decision: an existing confirmed or pending one, or a new
+// pending one. Entries compliance already cleared for this name and subject
+// don't count again.
+const screen = async ({ subject, userId, context }) => {
+  const matches = await findMatches(subject.name)
+  if (matches.length === 0) {
+    return null
+  }
+
+  const previous = (await ScreeningMatch.find({ "subject.key": subject.key }).sort({ createdAt: -1 }).limit(20)).filter(
+    (match) => sameName(match.subject.name, subject.name),
+  )
+
+  const open =
+    previous.find((match) => match.status === STATUSES.CONFIRMED) ||
+    previous.find((match) => match.status === STATUSES.PENDING)
+  if (open) {
+    return open
+  }
+
+  const cleared = new Set(
+    previous
+      .filter((match) => match.status === STATUSES.CLEARED)
+      .flatMap((match) => match.matches.map((entry) => String(entry.entryId))),
+  )
+  if (matches.every((match) => cleared.has(String(match.entryId)))) {
+    return null
+  }
+
+  const match = await ScreeningMatch.create({ subject, userId, context, matches })
+  await complianceCases.openFromFlag({
+    source: { type: complianceCases.CASE_SOURCES.WATCHLIST, id: String(match._id) },
+    title: `Watchlist match for ${subject.type === "user" ? "customer" : "bank account"} ${subject.name}`,
+    priority: subject.type === "user" ? "critical" : "high",
+    userIds: userId ? [userId] : [],
+  })
+  return match
+}
+
+const userSubject = (user) => ({
+  type: "user",
+  key: `user:${user._id}`,
+  name: `${user.firstName} ${user.lastName}`,
+})
+
+// Screen a customer. A match freezes the account, sign-in included, until
+// compliance clears it. Returns the match, or null if the customer is clear.
+const screenUser = async (user, context) => {
+  const match = await screen({ subject: userSubject(user), userId: user._id, context })
+  if (!match) {
+    return null
+  }
+
+  const status = accounts.statusOf(user)
+  if (status === ACCOUNT_STATUSES.ACTIVE || status === ACCOUNT_STATUSES.FROZEN_DEBITS) {
+    await accounts.freeze(user._id, {
+      scope: "all",
+      reasonCode: STATUS_REASONS.COMPLIANCE_REVIEW,
+      note: `Screening match ${match._id}`,
+    })
+  }
+  return match
+}
+
+// Throw unless money can go to this bank account. The message doesn't say why:
+// telling a customer about a watchlist match could tip off the person on it.
+const assertAccountClear = async ({ userId, bankDetails, context }) => {
+  const bank = bankDetails.bankCode || bankDetails.bankName
+  const match = await screen({
+    subject: {
+      type: "bank_account",
+      key: `bank:${bank}:${bankDetails.accountNumber}`,
+      name: bankDetails.accountName,
+      bankDetails: {
+        bankName: bankDetails.bankName,
+        bankCode: bankDetails.bankCode,
+        accountNumber: bankDetails.accountNumber,
+      },
+    },
+    userId,
+    context,
+  })
+
+  if (match) {
+    throw new AppError(
+      "We can't send money to this account right now. Contact support if you need help.",
+      403,
+      "ACCOUNT_UNDER_REVIEW",
+    )
+  }
+}
+
+// Screen every customer again, e.g. after a watchlist import. Returns how many
+// were flagged.
+const rescreenUsers = async () => {
+  let flagged = 0
+  const cursor = User.find({ status: { $ne: ACCOUNT_STATUSES.CLOSED } })
+    .select("firstName lastName status")
+    .cursor()
+  for await (const user of cursor) {
+    if (await screenUser(user, CONTEXTS.RESCREEN)) {
+      flagged++
+    }
+  }
+  return flagged
+}
+
+const reviewQueue = ({ status = STATUSES.PENDING, limit = 50 } = {}) =>
+  ScreeningMatch.find({ status }).sort({ createdAt: 1 }).limit(limit)
+
+const findMatch = async (id) => {
+  const match = mongoose.isValidObjectId(id) ? await ScreeningMatch.findById(id) : null
+  if (!match) {
+    throw new AppError("Screening match not found", 404, "SCREENING_MATCH_NOT_FOUND")
+  }
+  return match
+}
+
+// Record compliance's decision on a pending match. Only one reviewer can win,
+// and a note is always required.
+const decide = async (id, reviewerId, status, note) => {
+  if (!note) {
+    throw new AppError("A note recording the reason for the decision is required", 400, "NOTE_REQUIRED")
+  }
+
+  const match = await findMatch(id)
+  if (match.userId && String(match.userId) === String(reviewerId)) {
+    throw new AppError("You cannot review a match about yourself", 403, "SELF_REVIEW")
+  }
+
+  const decided = await ScreeningMatch.findOneAndUpdate(
+    { _id: match._id, status: STATUSES.PENDING },
+    { $set: { status, decidedBy: reviewerId, decidedAt: new Date(), decisionNote: note } },
+    { new: true },
+  )
+  if (!decided) {
+    throw new AppError(`Match is already ${match.status}`, 409, "SCREENING_MATCH_CLOSED")
+  }
+  return decided
+}
+
+// A false positive. A customer frozen by screening is unfrozen once nothing
+// else about them is open.
+const clear = async (id, reviewerId, note) => {
+  const match = await decide(id, reviewerId, STATUSES.CLEARED, note)
+
+  if (match.subject.type === "user") {
+    const stillOpen = await ScreeningMatch.exists({
+      "subject.key": match.subject.key,
+      status: { $in: [STATUSES.PENDING, STATUSES.CONFIRMED] },
+    })
+    const user = await User.findById(match.userId).select("status statusReasonCode")
+    if (
+      !stillOpen &&
+      user &&
+      accounts.statusOf(user) === ACCOUNT_STATUSES.FROZEN_ALL &&
+      user.statusReasonCode === STATUS_REASONS.COMPLIANCE_REVIEW
+    ) {
+      await accounts.unfreeze(user._id, { note: `Screening match ${match._id} cleared`, changedBy: reviewerId })
+    }
+  }
+  return match
+}
+
+// A true match. Customers stay frozen; payments to a confirmed bank account
+// stay blocked.
+const confirm = (id, reviewerId, note) => decide(id, reviewerId, STATUSES.CONFIRMED, note)
+
+module.exports = {
+  STATUSES,
+  CONTEXTS,
+  entryKeys,
+  findMatches,
+  screenUser,
+  assertAccountClear,
+  rescreenUsers,
+  reviewQueue,
+  findMatch,
+  clear,
+  confirm,
+}
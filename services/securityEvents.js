@@ -0,0 +1,46 @@
+const SecurityEvent = require("../models/SecurityEvent")
+const request = require("../utils/request")
+
+const TYPES = {
+  LOGIN: "login",
+  LOGIN_FAILED: "login_failed",
+  NEW_DEVICE_LOGIN: "new_device_login",
+  PASSWORD_CHANGED: "password_changed",
+  PASSWORD_RESET_REQUESTED: "password_reset_requested",
+  PASSWORD_RESET: "password_reset",
+  TWO_FACTOR_ENABLED: "two_factor_enabled",
+  TWO_FACTOR_DISABLED: "two_factor_disabled",
+  LOGIN_LOCKED: "login_locked",
+  PIN_FAILED: "pin_failed",
+  PIN_LOCKED: "pin_locked",
+  PIN_SET: "pin_set",
+  PIN_CHANGED: "pin_changed",
+  PIN_RESET: "pin_reset",
+  CARD_ADDED: "card_added",
+  BENEFICIARY_ADDED: "beneficiary_added",
+}
+
+// Record a security event. `req` (optional) supplies the IP and user agent;
+// without one, pass `ip` if it is known. Failing to record an event never fails
+// the action it describes.
+const record = async ({ userId, type, req, ip, metadata }) => {
+  try {
+    return await SecurityEvent.create({ userId, type, ...(req ? request.clientInfo(req) : { ip }), metadata })
+  } catch (err) {
+    console.error("Security event error:", err.message)
+    return null
+  }
+}
+
+// A user's own events, newest first. `before` (a date) pages back through them.
+const list = (userId, { limit = 50, before } = {}) =>
+  SecurityEvent.find({ userId, ...(before ? { createdAt: { $lt: before } } : {}) })
+    .select("type ip userAgent metadata createdAt")
+    .sort({ createdAt: -1 })
+    .limit(limit)
+
+// Whether the user has had any of `types` since `since`
+const hasRecent = async (userId, types, since) =>
+  !!(await SecurityEvent.exists({ userId, type: { $in: types }, createdAt: { $gte: since } }))
+
+module.exports = { TYPES, record, list, hasRecent }
@@ -0,0 +1,154 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const mongoose = require("mongoose")
+const Session = require("../models/Session")
+const accounts = require("./accounts")
+const { AppError } = require("../utils/errors")
+const request = require("../utils/request")
+
+// Access tokens are short-lived; refresh tokens keep the session going
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m"
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+// How often lastSeenAt is written, so every request isn't a database write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found
+// without scanning for the hash
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString("base64url")}`
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ user: { id: String(userId) }, sid: String(sessionId) }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  })
+
+// Device details worth showing the user in their session list
+const clientInfo = (req) => ({
+  ...request.clientInfo(req),
+  device: (req.body && req.body.deviceName) || req.header("x-device-name") || req.header("user-agent"),
+})
+
+const tokensFor = (session, refreshToken) => ({
+  token: signAccessToken(session.userId, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  sessionId: session._id,
+})
+
+// Start a session for a user who has just authenticated
+const createSession = async (user, req) => {
+  accounts.assertAllows(user, "signIn")
+
+  const session = new Session({ userId: user._id, expiresAt: refreshExpiry(), ...clientInfo(req) })
+  const refreshToken = newRefreshToken(session._id)
+  session.refreshTokenHash = hashToken(refreshToken)
+  await session.save()
+
+  return tokensFor(session, refreshToken)
+}
+
+const invalidRefreshToken = () =>
+  new AppError("Invalid refresh token, please login again", 401, "INVALID_REFRESH_TOKEN")
+
+// Swap a refresh token for a new access token and a new refresh token. The old
+// refresh token stops working; presenting it again revokes the session.
+const refresh = async (refreshToken, req) => {
+  const [sessionId] = String(refreshToken || "").split(".")
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw invalidRefreshToken()
+  }
+
+  const session = await Session.findById(sessionId)
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    throw invalidRefreshToken()
+  }
+
+  await accounts.assertUserAllows(session.userId, "signIn")
+
+  const presentedHash = hashToken(refreshToken)
+  if (session.previousRefreshTokenHashes.includes(presentedHash)) {
+    await revokeSession(session._id, session.userId, "Refresh token reused")
+    throw invalidRefreshToken()
+  }
+
+  const nextToken = newRefreshToken(session._id)
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        lastSeenAt: new Date(),
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req),
+      },
+      $push: { previousRefreshTokenHashes: { $each: [presentedHash], $slice: -20 } },
+    },
+    { new: true },
+  )
+  if (!rotated) {
+    throw invalidRefreshToken()
+  }
+
+  return tokensFor(rotated, nextToken)
+}
+
+// The live session behind an access token, or null if it has been revoked or
+// has expired. Bumps lastSeenAt now and then.
+const findActiveSession = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    return null
+  }
+
+  const session = await Session.findById(sessionId).select("userId lastSeenAt expiresAt revokedAt")
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } })
+  }
+
+  return session
+}
+
+const revokeSession = async (sessionId, userId, reason = "Signed out") => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw new AppError("Session not found", 404, "SESSION_NOT_FOUND")
+  }
+
+  const result = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  )
+  if (result.matchedCount === 0) {
+    throw new AppError("Session not found", 404, "SESSION_NOT_FOUND")
+  }
+}
+
+// Revoke all of a user's sessions, optionally keeping one (e.g. the current one)
+const revokeAllSessions = async (userId, { except, reason = "Signed out everywhere" } = {}) => {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null, ...(except ? { _id: { $ne: except } } : {}) },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+  )
+  return result.modifiedCount
+}
+
+const listSessions = (userId) =>
+  Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastSeenAt: -1 })
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  clientInfo,
+  createSession,
+  refresh,
+  findActiveSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+}
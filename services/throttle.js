@@ -0,0 +1,160 @@
+const AuthThrottle = require("../models/AuthThrottle")
+const { THROTTLE } = require("../config/security")
+const { AppError } = require("../utils/errors")
+
+const MINUTE = 60 * 1000
+
+// Counter keys for an attempt: the account and, when known, the IP address.
+// `account` is whatever identifies the target (email, phone, user id) and is
+// used as-is, so unknown accounts are throttled exactly like real ones.
+const keysFor = (scope, { account, ip }) => {
+  const keys = []
+  if (account) keys.push({ key: `${scope}:account:${String(account).trim().toLowerCase()}`, type: "account" })
+  if (ip) keys.push({ key: `${scope}:ip:${ip}`, type: "ip" })
+  return keys
+}
+
+const delayAfter = (failures, policy) =>
+  failures > 0 ? Math.min(2 ** (failures - 1), policy.maxDelaySeconds) * 1000 : 0
+
+const tooManyAttempts = (retryAfterMs) => {
+  const retryAfter = Math.ceil(retryAfterMs / 1000)
+  const wait = retryAfter >= 60 ? `${Math.ceil(retryAfter / 60)} minute(s)` : `${retryAfter} second(s)`
+  return new AppError(`Too many attempts, please try again in ${wait}`, 429, "TOO_MANY_ATTEMPTS", { retryAfter })
+}
+
+// How long until a counter would take another attempt, in ms (0 if it would now)
+const retryAfterFor = (counter, policy, limit, now) => {
+  if (counter.lockedUntil && counter.lockedUntil.getTime() > now) {
+    return counter.lockedUntil.getTime() - now
+  }
+  if (!counter.firstFailureAt || counter.firstFailureAt.getTime() <= now - policy.windowMinutes * MINUTE) {
+    return 0
+  }
+  if (counter.failures >= limit) {
+    return counter.firstFailureAt.getTime() + policy.windowMinutes * MINUTE - now
+  }
+  return Math.max(counter.lastFailureAt.getTime() + delayAfter(counter.failures, policy) - now, 0)
+}
+
+// Count one attempt against a key, unless the key is locked out, already at
+// its limit for the window or still in its delay. Returns false if refused.
+// The check and the count are one conditional update, so concurrent attempts
+// can't all slip in before any of them is counted.
+const reserveKey = async (key, limit, policy, now) => {
+  const windowStart = new Date(now - policy.windowMinutes * MINUTE)
+  const expired = { $lt: [{ $ifNull: ["$firstFailureAt", windowStart] }, windowStart] }
+  const failures = { $ifNull: ["$failures", 0] }
+  const readyAt = {
+    $cond: [
+      { $gt: [failures, 0] },
+      {
+        $add: [
+          "$lastFailureAt",
+          { $multiply: [{ $min: [{ $pow: [2, { $subtract: [failures, 1] }] }, policy.maxDelaySeconds] }, 1000] },
+        ],
+      },
+      new Date(0),
+    ],
+  }
+
+  const expiresAt = new Date(now + (policy.windowMinutes + policy.lockoutMinutes) * MINUTE)
+  await AuthThrottle.updateOne({ key }, { $setOnInsert: { key, failures: 0, expiresAt } }, { upsert: true })
+
+  // Start a new window if the old one has passed, otherwise add to it
+  const counted = { $cond: [expired, 1, { $add: [failures, 1] }] }
+  const counter = await AuthThrottle.findOneAndUpdate(
+    {
+      key,
+      $expr: {
+        $and: [
+          { $lte: [{ $ifNull: ["$lockedUntil", new Date(0)] }, new Date(now)] },
+          { $or: [expired, { $and: [{ $lt: [failures, limit] }, { $lte: [readyAt, new Date(now)] }] }] },
+        ],
+      },
+    },
+    [
+      {
+        $set: {
+          failures: counted,
+          firstFailureAt: { $cond: [{ $eq: [counted, 1] }, new Date(now), "$firstFailureAt"] },
+          lastFailureAt: new Date(now),
+          expiresAt,
+        },
+      },
+    ],
+    { new: true },
+  )
+  return !!counter
+}
+
+// Reserve an attempt before checking a password, PIN or code. Every attempt is
+// counted up front as if it will fail; recordSuccess() hands it back. Refuses
+// the attempt if any of its keys is locked out, at its limit or still in its
+// delay.
+const reserveAttempt = async (scope, target) => {
+  const policy = THROTTLE[scope]
+  const now = Date.now()
+  const reserved = []
+
+  for (const { key, type } of keysFor(scope, target)) {
+    const limit = type === "account" ? policy.accountLimit : policy.ipLimit
+    if (await reserveKey(key, limit, policy, now)) {
+      reserved.push(key)
+      continue
+    }
+
+    // Don't count a refused attempt against the keys that did allow it
+    if (reserved.length > 0) {
+      await AuthThrottle.updateMany({ key: { $in: reserved }, failures: { $gt: 0 } }, { $inc: { failures: -1 } })
+    }
+    const counter = await AuthThrottle.findOne({ key })
+    const retryAfterMs = counter ? retryAfterFor(counter, policy, limit, now) : 0
+    throw tooManyAttempts(Math.max(retryAfterMs, 1000))
+  }
+}
+
+// The attempt failed. It was already counted by reserveAttempt(); this locks
+// any key that has reached its limit. Returns true if this failure locked the
+// account key. The lock is conditional, so only one failure ever reports it.
+const recordFailure = async (scope, target) => {
+  const policy = THROTTLE[scope]
+  const now = new Date()
+  const lockedUntil = new Date(now.getTime() + policy.lockoutMinutes * MINUTE)
+  let accountLocked = false
+
+  for (const { key, type } of keysFor(scope, target)) {
+    const limit = type === "account" ? policy.accountLimit : policy.ipLimit
+    const locked = await AuthThrottle.findOneAndUpdate(
+      { key, failures: { $gte: limit }, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      {
+        $set: {
+          lockedUntil,
+          expiresAt: new Date(lockedUntil.getTime() + policy.windowMinutes * MINUTE),
+        },
+      },
+      { new: true },
+    )
+
+    if (type === "account" && locked) {
+      accountLocked = true
+    }
+  }
+
+  return accountLocked
+}
+
+// A successful attempt clears the account's counter and hands back the IP's
+// reservation. The IP counter is otherwise left alone so one good login can't
+// reset a credential-stuffing run.
+const recordSuccess = async (scope, target) => {
+  for (const { key, type } of keysFor(scope, target)) {
+    if (type === "account") {
+      await AuthThrottle.deleteOne({ key })
+    } else {
+      await AuthThrottle.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } })
+    }
+  }
+}
+
+module.exports = { reserveAttempt, recordFailure, recordSuccess }
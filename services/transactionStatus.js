@@ -0,0 +1,80 @@
+const Transaction = require("../models/Transaction")
+const { AppError } = require("../utils/errors")
+
+const STATUSES = {
+  PENDING: "pending",
+  SUCCESSFUL: "successful",
+  FAILED: "failed",
+  DECLINED: "declined",
+  CANCELLED: "cancelled",
+  REVERSED: "reversed",
+}
+
+// Allowed moves out of each status. Anything not listed is illegal, and the
+// terminal statuses allow nothing.
+const TRANSITIONS = {
+  [STATUSES.PENDING]: [STATUSES.SUCCESSFUL, STATUSES.FAILED, STATUSES.DECLINED, STATUSES.CANCELLED],
+  [STATUSES.SUCCESSFUL]: [STATUSES.REVERSED],
+  [STATUSES.FAILED]: [],
+  [STATUSES.DECLINED]: [],
+  [STATUSES.CANCELLED]: [],
+  [STATUSES.REVERSED]: [],
+}
+
+// Who caused a status change
+const ACTORS = {
+  USER: "user",
+  ADMIN: "admin",
+  SYSTEM: "system",
+  PROVIDER: "provider",
+}
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to)
+
+// Move a transaction to a new status and append the change to its history.
+// The update is conditional on the status we validated against, so two
+// webhooks racing to settle the same transaction cannot both win.
+//
+// actor: { type: ACTORS.*, id?: string }
+const transition = async (reference, to, { actor = { type: ACTORS.SYSTEM }, reason, session } = {}) => {
+  if (!TRANSITIONS[to]) {
+    throw new AppError(`Unknown transaction status: ${to}`, 400, "UNKNOWN_STATUS")
+  }
+
+  const current = await Transaction.findOne({ reference }).select("status").session(session || null)
+  if (!current) {
+    throw new AppError("Transaction not found", 404, "TRANSACTION_NOT_FOUND")
+  }
+
+  if (!canTransition(current.status, to)) {
+    throw new AppError(`Cannot move transaction from ${current.status} to ${to}`, 409, "ILLEGAL_TRANSITION", {
+      from: current.status,
+      to,
+    })
+  }
+
+  const transaction = await Transaction.findOneAndUpdate(
+    { reference, status: current.status },
+    {
+      $set: { status: to },
+      $push: {
+        statusHistory: {
+          from: current.status,
+          to,
+          actor: { type: actor.type, id: actor.id ? String(actor.id) : undefined },
+          reason,
+          at: new Date(),
+        },
+      },
+    },
+    { new: true, session },
+  )
+
+  if (!transaction) {
+    throw new AppError("Transaction status changed while updating it, please retry", 409, "CONCURRENT_UPDATE")
+  }
+
+  return transaction
+}
+
+module.exports = { STATUSES, TRANSITIONS, ACTORS, canTransition, transition }
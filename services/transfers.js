@@ -0,0 +1,535 @@
+const mongoose = require("mongoose")
+const { v4: uuidv4 } = require("uuid")
+const User = require("../models/User")
+const Transaction = require("../models/Transaction")
+const Beneficiary = require("../models/Beneficiary")
+const ledger = require("./ledger")
+const fees = require("./fees")
+const transactionStatus = require("./transactionStatus")
+const quotes = require("./quotes")
+const holds = require("./holds")
+const twoFactor = require("./twoFactor")
+const accounts = require("./accounts")
+const kyc = require("./kyc")
+const limits = require("./limits")
+const risk = require("./risk")
+const complianceCases = require("./complianceCases")
+const screening = require("./screening")
+const securityEvents = require("./securityEvents")
+const { verifyPin, assertWithinCoolingOff } = require("./pin")
+const money = require("../utils/money")
+const { withTransaction } = require("../utils/db")
+const { AppError, InsufficientFundsError } = require("../utils/errors")
+
+const CHANNELS = {
+  P2P: "p2p",
+  BANK_TRANSFER: "bank_transfer",
+  WITHDRAWAL: "withdrawal",
+  CARD_DEPOSIT: "card_deposit",
+  BANK_DEPOSIT: "bank_deposit",
+}
+
+// How each outgoing channel is referenced and recorded
+const OUTGOING_CHANNELS = {
+  [CHANNELS.P2P]: { prefix: "TRX", transactionType: "send", purpose: "Transfer" },
+  [CHANNELS.BANK_TRANSFER]: { prefix: "BNK", transactionType: "send", purpose: "Bank Transfer" },
+  [CHANNELS.WITHDRAWAL]: { prefix: "WTH", transactionType: "withdraw", purpose: "Withdrawal" },
+}
+
+// Fee calculator: ({ channel, amount, user }) => { fee, levy } in kobo (may be
+// async). Defaults to the fee engine; swap it out with setFeeCalculator().
+let feeCalculator = fees.quoteFee
+
+const setFeeCalculator = (calculator) => {
+  feeCalculator = calculator
+}
+
+const newReference = (prefix) => `${prefix}-${uuidv4().substring(0, 8)}`
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`
+
+// Validation pipeline shared by every outgoing payment. Resolves the sender,
+// the recipient and the fee, and fails with an AppError on the first problem.
+// With a quoteId the recipient, amount and fee all come from the quote, so the
+// user is charged exactly what they were shown. Large transfers, and transfers
+// that save a beneficiary, also need a two-factor code (see config/security.js),
+// as do payments the risk engine wants a step-up for (see services/risk.js).
+const prepareTransfer = async ({
+  userId,
+  channel,
+  amount,
+  pin,
+  recipientId,
+  bankDetails,
+  purpose,
+  quoteId,
+  twoFactorCode,
+  ip,
+  deviceFingerprint,
+}) => {
+  const config = OUTGOING_CHANNELS[channel]
+  if (!config) {
+    throw new AppError(`Unsupported transfer channel: ${channel}`, 400, "UNSUPPORTED_CHANNEL")
+  }
+
+  let quote = null
+  if (quoteId) {
+    quote = await quotes.loadQuote(quoteId, userId)
+    if (quote.channel !== channel) {
+      throw new AppError(`Quote is for a ${quote.channel} transfer`, 400, "QUOTE_CHANNEL_MISMATCH")
+    }
+    if (amount != null && amount !== quote.amount) {
+      throw new AppError("Amount does not match the quote", 400, "QUOTE_AMOUNT_MISMATCH")
+    }
+
+    amount = quote.amount
+    if (quote.recipient.userId) {
+      recipientId = quote.recipient.userId
+    } else {
+      bankDetails = {
+        ...bankDetails,
+        accountNumber: quote.recipient.accountNumber,
+        accountName: quote.recipient.name,
+        bankCode: quote.recipient.bankCode,
+        bankName: quote.recipient.bankName || (bankDetails && bankDetails.bankName),
+      }
+    }
+  }
+
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    throw new AppError("Valid amount is required", 400, "INVALID_AMOUNT")
+  }
+
+  await verifyPin(userId, pin, { ip })
+
+  const sender = await User.findById(userId)
+  if (!sender) {
+    throw new AppError("Sender not found", 404, "SENDER_NOT_FOUND")
+  }
+  accounts.assertAllows(sender, "debit")
+  kyc.assertWithinTransactionLimit(sender, amount)
+
+  let recipient = null
+  if (channel === CHANNELS.P2P) {
+    if (!recipientId || !mongoose.isValidObjectId(recipientId)) {
+      throw new AppError("Recipient not found", 404, "RECIPIENT_NOT_FOUND")
+    }
+
+    recipient = await User.findById(recipientId)
+    if (!recipient) {
+      throw new AppError("Recipient not found", 404, "RECIPIENT_NOT_FOUND")
+    }
+
+    if (recipient._id.equals(sender._id)) {
+      throw new AppError("You cannot transfer money to yourself", 400, "SELF_TRANSFER")
+    }
+
+    // Don't say why: the recipient's account status is their business
+    if (!accounts.allows(recipient, "credit")) {
+      throw new AppError("This recipient can't receive money right now", 400, "RECIPIENT_UNAVAILABLE")
+    }
+    if (!kyc.canHold(recipient, amount)) {
+      throw new AppError("This recipient can't receive this amount right now", 400, "RECIPIENT_UNAVAILABLE")
+    }
+  } else if (
+    !bankDetails ||
+    !bankDetails.accountNumber ||
+    !bankDetails.accountName ||
+    !(bankDetails.bankName || bankDetails.bankCode)
+  ) {
+    throw new AppError("Bank details are required", 400, "INVALID_BANK_DETAILS")
+  }
+
+  // Bank accounts, and beneficiaries saved with them, are screened against the
+  // watchlist. Wallet recipients were screened when they registered.
+  if (!recipient) {
+    await screening.assertAccountClear({
+      userId: sender._id,
+      bankDetails,
+      context: bankDetails.saveBeneficiary ? screening.CONTEXTS.BENEFICIARY : screening.CONTEXTS.BANK_TRANSFER,
+    })
+  }
+
+  const { fee, levy = 0 } = quote ? quote : await feeCalculator({ channel, amount, user: sender })
+  const total = amount + fee + levy
+
+  await limits.assertWithinLimits(sender, channel, total)
+  await assertWithinCoolingOff(sender._id, total)
+
+  // Early, friendly check. The ledger debit is the authoritative one.
+  if (sender.availableBalance < total) {
+    throw new InsufficientFundsError()
+  }
+
+  // Score the payment once it is otherwise good to go. Blocked payments stop
+  // here; held ones go ahead as pending until staff review them.
+  const riskDecision = await risk.evaluate({
+    userId: sender._id,
+    channel,
+    amount,
+    bankDetails,
+    ip,
+    deviceFingerprint,
+  })
+
+  // One code covers the whole request, even if it is large, saves a beneficiary and looks risky
+  const stepUpAction =
+    riskDecision && riskDecision.outcome === risk.OUTCOMES.STEP_UP
+      ? "risky_payment"
+      : twoFactor.needsStepUp({ action: "transfer", amount })
+        ? "transfer"
+        : bankDetails && bankDetails.saveBeneficiary
+          ? "add_beneficiary"
+          : null
+  if (stepUpAction) {
+    await twoFactor.requireStepUp(userId, { action: stepUpAction, amount, code: twoFactorCode })
+  }
+
+  return {
+    channel,
+    sender,
+    recipient,
+    bankDetails: recipient ? null : bankDetails,
+    amount,
+    fee,
+    levy,
+    total,
+    purpose: purpose || config.purpose,
+    quoteId: quote ? quote._id : null,
+    ip,
+    riskDecision,
+  }
+}
+
+// Move the money for a prepared transfer and record it. Wallet transfers credit
+// the recipient; bank payouts leave through the provider float. A pending
+// transfer only reserves the funds with a hold: completeTransfer() captures it
+// and reverseTransfer() releases it. `actor` defaults to the sender. A payment
+// the risk engine held for review is always pending.
+const executeTransfer = async (prepared, { status = "successful", actor } = {}) => {
+  const { channel, sender, recipient, bankDetails, amount, fee, levy, total, purpose, quoteId, riskDecision } = prepared
+  const heldForReview = risk.isHeld(riskDecision)
+  if (heldForReview) {
+    status = transactionStatus.STATUSES.PENDING
+  }
+  const config = OUTGOING_CHANNELS[channel]
+  const reference = newReference(config.prefix)
+  const destination = recipient ? ledger.userAccount(recipient._id) : ledger.ACCOUNTS.PROVIDER_FLOAT
+
+  const transaction = await withTransaction(async (session) => {
+    if (quoteId) {
+      await quotes.claimQuote(quoteId, reference, session)
+    }
+
+    const description = recipient
+      ? `${purpose} to ${recipient.cecureTag}`
+      : `${purpose} to ${bankDetails.accountNumber}`
+    const postings = [
+      ledger.debit(ledger.userAccount(sender._id), total),
+      ledger.credit(destination, amount),
+      ledger.credit(ledger.ACCOUNTS.FEE_INCOME, fee),
+      ledger.credit(ledger.ACCOUNTS.LEVIES_PAYABLE, levy),
+    ]
+
+    if (status === transactionStatus.STATUSES.PENDING) {
+      await holds.createHold({
+        userId: sender._id,
+        amount: total,
+        reference,
+        reason: purpose,
+        description,
+        postings,
+        session,
+      })
+    } else {
+      await ledger.postEntry({ reference, description, postings, session })
+    }
+
+    const createdActor = actor || { type: transactionStatus.ACTORS.USER, id: sender.id }
+    const createdBy = [{ from: null, to: status, actor: createdActor }]
+
+    const records = [
+      {
+        userId: sender._id,
+        transactionType: config.transactionType,
+        channel,
+        amount,
+        fee,
+        levy,
+        status,
+        statusHistory: createdBy,
+        purpose,
+        reference,
+        ...(recipient
+          ? { recipientId: recipient._id, recipientName: fullName(recipient), recipientCecureTag: recipient.cecureTag }
+          : {
+              recipientName: bankDetails.accountName,
+              recipientBank: bankDetails.bankName || bankDetails.bankCode,
+              recipientAccount: bankDetails.accountNumber,
+              recipientDetails: {
+                bankName: bankDetails.bankName,
+                bankCode: bankDetails.bankCode,
+                accountNumber: bankDetails.accountNumber,
+                accountName: bankDetails.accountName,
+              },
+            }),
+      },
+    ]
+
+    if (recipient) {
+      records.push({
+        userId: recipient._id,
+        transactionType: "receive",
+        amount,
+        fee: 0,
+        status,
+        statusHistory: createdBy,
+        recipientId: sender._id,
+        recipientName: fullName(sender),
+        purpose,
+        reference: `${reference}-RCV`,
+      })
+    }
+
+    const [created] = await Transaction.create(records, { session, ordered: true })
+
+    if (bankDetails && bankDetails.saveBeneficiary) {
+      await Beneficiary.create(
+        [
+          {
+            userId: sender._id,
+            recipientName: bankDetails.accountName,
+            bankName: bankDetails.bankName || bankDetails.bankCode,
+            accountNumber: bankDetails.accountNumber,
+            transferType: "bank",
+          },
+        ],
+        { session },
+      )
+    }
+
+    return created
+  })
+
+  if (bankDetails && bankDetails.saveBeneficiary) {
+    await securityEvents.record({
+      userId: sender._id,
+      type: securityEvents.TYPES.BENEFICIARY_ADDED,
+      ip: prepared.ip,
+      metadata: { recipientName: bankDetails.accountName, accountNumber: bankDetails.accountNumber, reference },
+    })
+  }
+
+  if (riskDecision) {
+    await risk.attach(riskDecision, reference)
+  }
+
+  return { reference, transaction, amount, fee, levy, total, heldForReview }
+}
+
+const transfer = async (params, options) => executeTransfer(await prepareTransfer(params), options)
+
+// Settle a pending transfer: capture its hold, which posts the ledger entry,
+// and mark it successful
+const completeTransfer = async (reference, { reason, actor } = {}) =>
+  withTransaction(async (session) => {
+    const transaction = await transactionStatus.transition(reference, transactionStatus.STATUSES.SUCCESSFUL, {
+      actor,
+      reason,
+      session,
+    })
+    // The recipient's side of a wallet transfer that was held for review
+    const received = await Transaction.findOne({
+      reference: `${reference}-RCV`,
+      status: transactionStatus.STATUSES.PENDING,
+    }).session(session)
+    if (received) {
+      await transactionStatus.transition(received.reference, transactionStatus.STATUSES.SUCCESSFUL, {
+        actor,
+        reason,
+        session,
+      })
+    }
+    // Pending transfers made before holds existed were debited up front
+    if (await holds.isActive(reference, { session })) {
+      await holds.captureHold(reference, { session })
+    }
+    return transaction
+  })
+
+// Undo a transfer. Pending sides become failed and their hold is released, so
+// no money ever moved; completed sides are reversed along with their ledger
+// entry. A transfer that was already undone cannot move again, so a repeated
+// failure webhook never refunds twice.
+const reverseTransfer = async (reference, { reason, actor } = {}) =>
+  withTransaction(async (session) => {
+    const records = await Transaction.find({ reference: { $in: [reference, `${reference}-RCV`] } }).session(session)
+    if (records.length === 0) {
+      throw new AppError("Transaction not found", 404, "TRANSACTION_NOT_FOUND")
+    }
+
+    const held = await holds.isActive(reference, { session })
+
+    for (const record of records) {
+      const to =
+        record.status === transactionStatus.STATUSES.PENDING
+          ? transactionStatus.STATUSES.FAILED
+          : transactionStatus.STATUSES.REVERSED
+      await transactionStatus.transition(record.reference, to, { actor, reason, session })
+    }
+
+    if (held) {
+      await holds.releaseHold(reference, { session })
+    } else {
+      await ledger.reverseEntry(reference, { description: reason, session })
+    }
+  })
+
+// Credit a user for money we have received. `source` is the ledger account the
+// funds sit in: the provider float once settled, suspense while unmatched.
+// `amount` is the gross amount received; any channel fee is deducted from it.
+// Accounts that can't receive money are refused; a Paystack charge refused this
+// way can be credited later through the admin re-verify. A deposit over the
+// channel's limits is still credited, since the money has already been
+// collected, and gets a compliance case instead (`overLimit` in the result).
+const recordDeposit = async ({
+  userId,
+  amount,
+  reference,
+  channel = CHANNELS.CARD_DEPOSIT,
+  source = ledger.ACCOUNTS.PROVIDER_FLOAT,
+  purpose = "Deposit via Paystack",
+  actor = { type: transactionStatus.ACTORS.PROVIDER },
+}) => {
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    throw new AppError("Valid amount is required", 400, "INVALID_AMOUNT")
+  }
+
+  let deposit
+  try {
+    deposit = await withTransaction(async (session) => {
+      const user = await User.findById(userId).session(session)
+      if (!user) {
+        throw new AppError("User not found", 404, "USER_NOT_FOUND")
+      }
+      accounts.assertAllows(user, "credit")
+      kyc.assertWithinTransactionLimit(user, amount)
+      // Checked again here, not just when the card payment was started: the
+      // webhook or callback may arrive after other deposits have used up the
+      // allowance
+      const overLimit = limits.CHANNELS.includes(channel) && (await exceedsLimits(user, channel, amount))
+
+      const { fee } = fees.CHANNELS.includes(channel) ? await feeCalculator({ channel, amount, user }) : { fee: 0 }
+      if (fee >= amount) {
+        throw new AppError("Deposit amount does not cover the deposit fee", 400, "AMOUNT_BELOW_FEE")
+      }
+      kyc.assertCanHold(user, amount - fee)
+
+      await ledger.postEntry({
+        reference,
+        description: purpose,
+        postings: [
+          ledger.debit(source, amount),
+          ledger.credit(ledger.userAccount(user._id), amount - fee),
+          ledger.credit(ledger.ACCOUNTS.FEE_INCOME, fee),
+        ],
+        session,
+      })
+
+      const [transaction] = await Transaction.create(
+        [
+          {
+            userId: user._id,
+            transactionType: "deposit",
+            channel,
+            amount,
+            fee,
+            status: transactionStatus.STATUSES.SUCCESSFUL,
+            statusHistory: [{ from: null, to: transactionStatus.STATUSES.SUCCESSFUL, actor }],
+            purpose,
+            reference,
+          },
+        ],
+        { session },
+      )
+
+      return { reference, transaction, channel, overLimit }
+    })
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError("Transaction already processed", 409, "DUPLICATE_REFERENCE")
+    }
+    throw err
+  }
+
+  if (deposit.overLimit) {
+    await complianceCases.openFromFlag({
+      source: { type: complianceCases.CASE_SOURCES.LIMIT_BREACH, id: reference },
+      title: `${money.format(amount)} ${channel.replace("_", " ")} over the account's limits`,
+      priority: "medium",
+      userIds: [userId],
+      transactionReferences: [reference],
+    })
+  }
+  return deposit
+}
+
+// Whether a deposit would break one of the channel's limits
+const exceedsLimits = async (user, channel, amount) => {
+  try {
+    await limits.assertWithinLimits(user, channel, amount)
+    return false
+  } catch (err) {
+    if (err.code === "LIMIT_EXCEEDED") {
+      return true
+    }
+    throw err
+  }
+}
+
+// Credit a deposit that was recorded as pending (e.g. a bank transfer we were
+// told about) once the funds have arrived
+const confirmPendingDeposit = async (reference, { actor, source = ledger.ACCOUNTS.PROVIDER_FLOAT } = {}) =>
+  withTransaction(async (session) => {
+    const pending = await Transaction.findOne({ reference, transactionType: "deposit" }).session(session)
+    if (!pending) {
+      throw new AppError("Transaction not found", 404, "TRANSACTION_NOT_FOUND")
+    }
+    const owner = await User.findById(pending.userId).select("status balance kycTier").session(session)
+    if (!owner) {
+      throw new AppError("User not found", 404, "USER_NOT_FOUND")
+    }
+    accounts.assertAllows(owner, "credit")
+    kyc.assertCanHold(owner, pending.amount)
+
+    const transaction = await transactionStatus.transition(reference, transactionStatus.STATUSES.SUCCESSFUL, {
+      actor,
+      reason: "Deposit confirmed",
+      session,
+    })
+
+    await ledger.postEntry({
+      reference,
+      description: transaction.purpose,
+      postings: [
+        ledger.debit(source, transaction.amount),
+        ledger.credit(ledger.userAccount(transaction.userId), transaction.amount),
+      ],
+      session,
+    })
+
+    return transaction
+  })
+
+module.exports = {
+  CHANNELS,
+  setFeeCalculator,
+  verifyPin,
+  prepareTransfer,
+  executeTransfer,
+  transfer,
+  completeTransfer,
+  reverseTransfer,
+  recordDeposit,
+  confirmPendingDeposit,
+}
@@ -0,0 +1,250 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const TwoFactor = require("../models/TwoFactor")
+const User = require("../models/User")
+const securityEvents = require("./securityEvents")
+const throttle = require("./throttle")
+const totp = require("../utils/totp")
+const { clientIp } = require("../utils/request")
+const { STEP_UP, TWO_FACTOR } = require("../config/security")
+const { AppError } = require("../utils/errors")
+
+const CHALLENGE_PURPOSE = "2fa_login"
+
+// Secrets are encrypted with AES-256-GCM so a database dump alone can't mint codes
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest()
+
+const encrypt = (plaintext) => {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv)
+  const encrypted = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()])
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString("base64")).join(".")
+}
+
+const decrypt = (payload) => {
+  const [iv, tag, encrypted] = payload.split(".").map((part) => Buffer.from(part, "base64"))
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8")
+}
+
+const hashBackupCode = (code) =>
+  crypto.createHash("sha256").update(String(code).replace(/[\s-]/g, "").toLowerCase()).digest("hex")
+
+// Backup codes look like "a1b2-c3d4"
+const generateBackupCodes = () =>
+  Array.from({ length: TWO_FACTOR.backupCodeCount }, () => {
+    const raw = crypto.randomBytes(4).toString("hex")
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`
+  })
+
+const invalidCode = () => new AppError("Invalid two-factor code", 400, "INVALID_2FA_CODE")
+
+const isEnabled = async (userId) => !!(await TwoFactor.exists({ userId, enabled: true }))
+
+// Start (or restart) enrolment. Returns the secret and an otpauth:// URI for
+// the authenticator app; 2FA is off until confirmEnrolment() succeeds.
+const startEnrolment = async (userId) => {
+  const user = await User.findById(userId).select("email")
+  if (!user) {
+    throw new AppError("User not found", 404, "USER_NOT_FOUND")
+  }
+  if (await isEnabled(userId)) {
+    throw new AppError("Two-factor authentication is already enabled", 409, "2FA_ALREADY_ENABLED")
+  }
+
+  const secret = totp.generateSecret()
+  await TwoFactor.findOneAndUpdate(
+    { userId },
+    { $set: { secretEncrypted: encrypt(secret), enabled: false, backupCodes: [], lastUsedCounter: 0 } },
+    { upsert: true },
+  )
+
+  return { secret, otpauthUri: totp.otpauthUri({ secret, label: user.email, issuer: TWO_FACTOR.issuer }) }
+}
+
+// Turn 2FA on once the user has entered a code from their app. Returns the
+// backup codes, which are only ever shown this once.
+const confirmEnrolment = async (userId, code, req) => {
+  const enrolment = await TwoFactor.findOne({ userId })
+  if (!enrolment || enrolment.enabled) {
+    throw new AppError("No two-factor enrolment in progress", 400, "2FA_NOT_PENDING")
+  }
+
+  const counter = totp.verify(decrypt(enrolment.secretEncrypted), code)
+  if (counter === null) {
+    throw invalidCode()
+  }
+
+  const backupCodes = generateBackupCodes()
+  await TwoFactor.updateOne(
+    { _id: enrolment._id, enabled: false },
+    {
+      $set: {
+        enabled: true,
+        enabledAt: new Date(),
+        lastUsedCounter: counter,
+        backupCodes: backupCodes.map((backupCode) => ({ hash: hashBackupCode(backupCode) })),
+      },
+    },
+  )
+
+  await securityEvents.record({ userId, type: securityEvents.TYPES.TWO_FACTOR_ENABLED, req })
+  return backupCodes
+}
+
+// Check a TOTP or backup code. A TOTP code is accepted once; a backup code is
+// used up. Both updates are conditional, so a code can't be spent twice.
+const verifyCode = async (userId, code) => {
+  const enrolment = await TwoFactor.findOne({ userId, enabled: true })
+  if (!enrolment) {
+    throw new AppError("Two-factor authentication is not enabled", 400, "2FA_NOT_ENABLED")
+  }
+
+  const counter = totp.verify(decrypt(enrolment.secretEncrypted), code)
+  if (counter !== null) {
+    const result = await TwoFactor.updateOne(
+      { _id: enrolment._id, lastUsedCounter: { $lt: counter } },
+      { $set: { lastUsedCounter: counter } },
+    )
+    if (result.modifiedCount === 0) {
+      throw new AppError("That code has already been used, wait for the next one", 400, "2FA_CODE_REUSED")
+    }
+    return { method: "totp" }
+  }
+
+  const result = await TwoFactor.updateOne(
+    { _id: enrolment._id, backupCodes: { $elemMatch: { hash: hashBackupCode(code || ""), usedAt: null } } },
+    { $set: { "backupCodes.$.usedAt": new Date() } },
+  )
+  if (result.modifiedCount === 0) {
+    throw invalidCode()
+  }
+  return { method: "backup_code" }
+}
+
+// verifyCode() with brute-force protection. Every place a code is entered
+// counts toward the same per-user lockout, so spreading guesses across login,
+// step-up and backup-code requests doesn't buy any extra attempts.
+const verifyThrottledCode = async (userId, code) => {
+  const target = { account: `2fa:${userId}` }
+  await throttle.reserveAttempt("login", target)
+
+  let result
+  try {
+    result = await verifyCode(userId, code)
+  } catch (err) {
+    await throttle.recordFailure("login", target)
+    throw err
+  }
+
+  await throttle.recordSuccess("login", target)
+  return result
+}
+
+// Replace the backup codes; needs a current code
+const regenerateBackupCodes = async (userId, code) => {
+  await verifyThrottledCode(userId, code)
+
+  const backupCodes = generateBackupCodes()
+  await TwoFactor.updateOne(
+    { userId },
+    { $set: { backupCodes: backupCodes.map((backupCode) => ({ hash: hashBackupCode(backupCode) })) } },
+  )
+  return backupCodes
+}
+
+// Turn 2FA off; needs the password and a current code
+const disable = async (userId, { password, code }, req) => {
+  // The password check shares the login lockout
+  const user = await User.findById(userId)
+  const target = { account: `2fa-disable:${userId}`, ip: req && clientIp(req) }
+  await throttle.reserveAttempt("login", target)
+  if (!user || !(await user.comparePassword(String(password || "")))) {
+    await throttle.recordFailure("login", target)
+    throw new AppError("Password is incorrect", 400, "INVALID_PASSWORD")
+  }
+  await throttle.recordSuccess("login", target)
+
+  await verifyThrottledCode(userId, code)
+  await TwoFactor.deleteOne({ userId })
+  await securityEvents.record({ userId, type: securityEvents.TYPES.TWO_FACTOR_DISABLED, req })
+}
+
+// Whether the step-up policy covers an action ("transfer" with an amount in
+// kobo, or one of STEP_UP.actions)
+const needsStepUp = ({ action, amount }) =>
+  action === "transfer" ? amount > STEP_UP.transferThreshold : STEP_UP.actions.includes(action)
+
+// Enforce the step-up policy. Throws unless the action is outside the policy,
+// or `code` is a fresh two-factor code.
+const requireStepUp = async (userId, { action, amount, code }) => {
+  if (!needsStepUp({ action, amount })) {
+    return
+  }
+
+  if (!(await isEnabled(userId))) {
+    if (STEP_UP.requireEnrolment || STEP_UP.enrolmentRequiredFor.includes(action)) {
+      throw new AppError("Set up two-factor authentication to continue", 403, "2FA_ENROLMENT_REQUIRED")
+    }
+    return
+  }
+
+  if (!code) {
+    throw new AppError("A two-factor code is required for this action", 403, "STEP_UP_REQUIRED", { action })
+  }
+
+  await verifyThrottledCode(userId, code)
+}
+
+// Login challenge: a short-lived token proving the password was right, traded
+// for a session once the second factor checks out
+const createLoginChallenge = (userId) =>
+  jwt.sign({ sub: String(userId), purpose: CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: TWO_FACTOR.challengeTtl,
+  })
+
+const completeLoginChallenge = async (challengeToken, code) => {
+  let decoded
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET)
+  } catch (err) {
+    throw new AppError("Login challenge has expired, please login again", 401, "INVALID_CHALLENGE")
+  }
+  if (decoded.purpose !== CHALLENGE_PURPOSE) {
+    throw new AppError("Login challenge has expired, please login again", 401, "INVALID_CHALLENGE")
+  }
+
+  // Guessing codes against a challenge counts toward the login lockout
+  try {
+    await verifyThrottledCode(decoded.sub, code)
+  } catch (err) {
+    if (err.code !== "TOO_MANY_ATTEMPTS") {
+      await securityEvents.record({
+        userId: decoded.sub,
+        type: securityEvents.TYPES.LOGIN_FAILED,
+        metadata: { stage: "two_factor" },
+      })
+    }
+    throw err
+  }
+
+  return decoded.sub
+}
+
+module.exports = {
+  isEnabled,
+  startEnrolment,
+  confirmEnrolment,
+  verifyCode,
+  regenerateBackupCodes,
+  disable,
+  needsStepUp,
+  requireStepUp,
+  createLoginChallenge,
+  completeLoginChallenge,
+}
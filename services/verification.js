@@ -0,0 +1,43 @@
+const User = require("../models/User")
+const otp = require("./otp")
+const { AppError } = require("../utils/errors")
+
+// How each contact channel is verified
+const CHANNELS = {
+  email: { purpose: otp.PURPOSES.VERIFY_EMAIL, destination: (user) => user.email, field: "emailVerifiedAt" },
+  sms: { purpose: otp.PURPOSES.VERIFY_PHONE, destination: (user) => user.phoneNumber, field: "phoneVerifiedAt" },
+}
+
+const channelConfig = (channel) => {
+  const config = CHANNELS[channel]
+  if (!config) {
+    throw new AppError("Channel must be email or sms", 400, "UNSUPPORTED_CHANNEL")
+  }
+  return config
+}
+
+// Send a verification code to the user's email address or phone number
+const sendCode = async (user, channel) => {
+  const config = channelConfig(channel)
+  if (user[config.field]) {
+    const what = channel === "email" ? "email" : "phone number"
+    throw new AppError(`Your ${what} is already verified`, 400, "ALREADY_VERIFIED")
+  }
+
+  return otp.issueOtp({ userId: user._id, purpose: config.purpose, channel, destination: config.destination(user) })
+}
+
+// Check a verification code. The user is verified once both channels are.
+const confirmCode = async (user, channel, code) => {
+  const config = channelConfig(channel)
+  await otp.verifyOtp({ userId: user._id, purpose: config.purpose, code })
+
+  const verified = await User.findByIdAndUpdate(user._id, { $set: { [config.field]: new Date() } }, { new: true })
+  if (verified.emailVerifiedAt && verified.phoneVerifiedAt && !verified.isVerified) {
+    verified.isVerified = true
+    await verified.save()
+  }
+  return verified
+}
+
+module.exports = { CHANNELS, sendCode, confirmCode }
@@ -0,0 +1,197 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { query, fakeTransactions, objectId } = require("./helpers")
+const BalanceAdjustment = require("../models/BalanceAdjustment")
+const Transaction = require("../models/Transaction")
+const User = require("../models/User")
+const ledger = require("../services/ledger")
+const adjustments = require("../services/adjustments")
+
+describe("adjustments", () => {
+  const userId = objectId()
+  const requester = objectId()
+  const reviewer = objectId()
+
+  beforeEach(() => {
+    fakeTransactions()
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  describe("requestAdjustment", () => {
+    const request = (fields) => ({
+      userId,
+      direction: "credit",
+      amount: 25000,
+      reason: "Refund for failed card charge",
+      requestedBy: requester,
+      ...fields,
+    })
+
+    beforeEach(() => {
+      mock.method(User, "findById", () => query({ _id: userId, currency: "NGN" }))
+      mock.method(BalanceAdjustment, "create", async (fields) => fields)
+    })
+
+    it("records a pending request without moving any money", async () => {
+      mock.method(ledger, "postEntry", async () => ({}))
+
+      const adjustment = await adjustments.requestAdjustment(request({ reason: "  Refund  " }))
+
+      assert.equal(adjustment.reason, "Refund")
+      assert.equal(adjustment.currency, "NGN")
+      assert.match(adjustment.reference, /^ADJ-/)
+      assert.equal(ledger.postEntry.mock.callCount(), 0)
+    })
+
+    it("refuses anything but a credit or a debit", async () => {
+      await assert.rejects(adjustments.requestAdjustment(request({ direction: "transfer" })), {
+        code: "INVALID_DIRECTION",
+      })
+    })
+
+    it("refuses an amount that isn't a positive whole number of kobo", async () => {
+      for (const amount of [0, -100, 12.5]) {
+        await assert.rejects(adjustments.requestAdjustment(request({ amount })), { code: "INVALID_AMOUNT" })
+      }
+    })
+
+    it("refuses a request to adjust the requester's own balance", async () => {
+      await assert.rejects(adjustments.requestAdjustment(request({ requestedBy: userId })), {
+        status: 403,
+        code: "SELF_ADJUSTMENT",
+      })
+      assert.equal(BalanceAdjustment.create.mock.callCount(), 0)
+    })
+
+    it("requires a reason", async () => {
+      await assert.rejects(adjustments.requestAdjustment(request({ reason: "   " })), { code: "REASON_REQUIRED" })
+    })
+  })
+
+  describe("approveAdjustment", () => {
+    const pending = (fields) => ({
+      _id: objectId(),
+      userId,
+      direction: "credit",
+      amount: 25000,
+      currency: "NGN",
+      reason: "Refund",
+      requestedBy: requester,
+      status: adjustments.STATUSES.PENDING,
+      reference: "ADJ-1",
+      ...fields,
+    })
+
+    beforeEach(() => {
+      mock.method(ledger, "postEntry", async () => ({}))
+      mock.method(Transaction, "create", async (records) => records)
+    })
+
+    it("only lets someone other than the requester or the account holder claim it", async () => {
+      const adjustment = pending()
+      mock.method(BalanceAdjustment, "findOneAndUpdate", async () => adjustment)
+
+      await adjustments.approveAdjustment(adjustment._id, reviewer)
+
+      const [{ arguments: [filter, update] }] = BalanceAdjustment.findOneAndUpdate.mock.calls
+      assert.deepEqual(filter, {
+        _id: adjustment._id,
+        status: "pending",
+        requestedBy: { $ne: reviewer },
+        userId: { $ne: reviewer },
+      })
+      assert.equal(update.$set.status, adjustments.STATUSES.APPROVED)
+      assert.equal(update.$set.reviewedBy, reviewer)
+    })
+
+    it("credits the wallet from manual adjustments and records the transaction", async () => {
+      const adjustment = pending()
+      mock.method(BalanceAdjustment, "findOneAndUpdate", async () => adjustment)
+
+      await adjustments.approveAdjustment(adjustment._id, reviewer)
+
+      const [{ arguments: [entry] }] = ledger.postEntry.mock.calls
+      assert.equal(entry.reference, "ADJ-1")
+      assert.deepEqual(entry.postings, [
+        ledger.debit(ledger.ACCOUNTS.MANUAL_ADJUSTMENTS, 25000),
+        ledger.credit(ledger.userAccount(userId), 25000),
+      ])
+
+      const [{ arguments: [[record]] }] = Transaction.create.mock.calls
+      assert.equal(record.transactionType, "adjustment")
+      assert.equal(record.reference, "ADJ-1")
+      assert.equal(record.statusHistory[0].actor.id, String(reviewer))
+    })
+
+    it("takes a debit out of the wallet", async () => {
+      const adjustment = pending({ direction: "debit" })
+      mock.method(BalanceAdjustment, "findOneAndUpdate", async () => adjustment)
+
+      await adjustments.approveAdjustment(adjustment._id, reviewer)
+
+      const [{ arguments: [entry] }] = ledger.postEntry.mock.calls
+      assert.deepEqual(entry.postings, [
+        ledger.debit(ledger.userAccount(userId), 25000),
+        ledger.credit(ledger.ACCOUNTS.MANUAL_ADJUSTMENTS, 25000),
+      ])
+    })
+
+    it("tells the requester they can't approve their own adjustment", async () => {
+      mock.method(BalanceAdjustment, "findOneAndUpdate", async () => null)
+      mock.method(BalanceAdjustment, "findById", () => query(pending()))
+
+      await assert.rejects(adjustments.approveAdjustment(objectId(), requester), { status: 403, code: "SAME_APPROVER" })
+      assert.equal(ledger.postEntry.mock.callCount(), 0)
+    })
+
+    it("doesn't let staff approve an adjustment to their own balance", async () => {
+      mock.method(BalanceAdjustment, "findOneAndUpdate", async () => null)
+      mock.method(BalanceAdjustment, "findById", () => query(pending({ userId: reviewer })))
+
+      await assert.rejects(adjustments.approveAdjustment(objectId(), reviewer), {
+        status: 403,
+        code: "SELF_ADJUSTMENT",
+      })
+      assert.equal(ledger.postEntry.mock.callCount(), 0)
+    })
+
+    it("refuses one that has already been decided", async () => {
+      mock.method(BalanceAdjustment, "findOneAndUpdate", async () => null)
+      mock.method(BalanceAdjustment, "findById", () => query(pending({ status: adjustments.STATUSES.REJECTED })))
+
+      await assert.rejects(adjustments.approveAdjustment(objectId(), reviewer), {
+        status: 409,
+        code: "ADJUSTMENT_NOT_PENDING",
+      })
+    })
+
+    it("refuses one that doesn't exist", async () => {
+      mock.method(BalanceAdjustment, "findOneAndUpdate", async () => null)
+      mock.method(BalanceAdjustment, "findById", () => query(null))
+
+      await assert.rejects(adjustments.approveAdjustment(objectId(), reviewer), { code: "ADJUSTMENT_NOT_FOUND" })
+    })
+  })
+
+  describe("rejectAdjustment", () => {
+    it("lets the requester withdraw their own request", async () => {
+      const adjustment = { _id: objectId(), status: adjustments.STATUSES.REJECTED }
+      mock.method(BalanceAdjustment, "findOneAndUpdate", async () => adjustment)
+
+      assert.equal(await adjustments.rejectAdjustment(adjustment._id, requester), adjustment)
+
+      const [{ arguments: [filter] }] = BalanceAdjustment.findOneAndUpdate.mock.calls
+      assert.deepEqual(filter, { _id: adjustment._id, status: "pending" })
+    })
+
+    it("refuses one that has already been approved", async () => {
+      mock.method(BalanceAdjustment, "findOneAndUpdate", async () => null)
+      mock.method(BalanceAdjustment, "findById", () =>
+        query({ status: adjustments.STATUSES.APPROVED, requestedBy: requester }),
+      )
+
+      await assert.rejects(adjustments.rejectAdjustment(objectId(), reviewer), { code: "ADJUSTMENT_NOT_PENDING" })
+    })
+  })
+})
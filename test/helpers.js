@@ -0,0 +1,54 @@
+const { EventEmitter } = require("node:events")
+const { mock } = require("node:test")
+const mongoose = require("mongoose")
+
+// Nothing here talks to MongoDB. A model call a test forgot to mock fails
+// straight away instead of waiting for a connection that never comes.
+mongoose.set("bufferCommands", false)
+
+// Stand-in for a mongoose query: chains like one and resolves to `value`
+const query = (value) => {
+  const chain = {
+    session: () => chain,
+    select: () => chain,
+    sort: () => chain,
+    limit: () => chain,
+    lean: () => chain,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  }
+  return chain
+}
+
+// Make withTransaction() run its callback straight away with a dummy session
+const fakeTransactions = () => {
+  const session = {
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {},
+  }
+  mock.method(mongoose, "startSession", async () => session)
+  return session
+}
+
+// Minimal Express response that records what the handler sent
+const fakeResponse = () => {
+  const res = new EventEmitter()
+  res.statusCode = 200
+  res.headers = {}
+  res.status = (code) => {
+    res.statusCode = code
+    return res
+  }
+  res.set = (name, value) => {
+    res.headers[name] = value
+    return res
+  }
+  res.json = (body) => {
+    res.body = body
+    return res
+  }
+  return res
+}
+
+const objectId = () => new mongoose.Types.ObjectId()
+
+module.exports = { query, fakeTransactions, fakeResponse, objectId }
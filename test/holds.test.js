@@ -0,0 +1,142 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { query, fakeTransactions, objectId } = require("./helpers")
+const Hold = require("../models/Hold")
+const User = require("../models/User")
+const ledger = require("../services/ledger")
+const holds = require("../services/holds")
+const { InsufficientFundsError } = require("../utils/errors")
+
+describe("holds", () => {
+  const userId = objectId()
+  let balanceUpdates
+
+  beforeEach(() => {
+    fakeTransactions()
+    balanceUpdates = []
+    mock.method(User, "updateOne", async (filter, update) => {
+      balanceUpdates.push({ filter, update })
+      return { matchedCount: 1, modifiedCount: 1 }
+    })
+    mock.method(ledger, "postEntry", async () => ({}))
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  const activeHold = (fields) => ({
+    _id: objectId(),
+    userId,
+    amount: 20150,
+    reference: "WTH-1",
+    reason: "Withdrawal",
+    status: holds.STATUSES.ACTIVE,
+    postings: [
+      ledger.debit(ledger.userAccount(userId), 20150),
+      ledger.credit(ledger.ACCOUNTS.PROVIDER_FLOAT, 20000),
+      ledger.credit(ledger.ACCOUNTS.FEE_INCOME, 150),
+    ],
+    ...fields,
+  })
+
+  describe("createHold", () => {
+    it("reserves the amount only while the available balance covers it", async () => {
+      mock.method(Hold, "create", async ([fields]) => [fields])
+
+      const hold = await holds.createHold({
+        userId,
+        amount: 20150,
+        reference: "WTH-1",
+        postings: [ledger.debit(ledger.userAccount(userId), 20150), ledger.credit(ledger.ACCOUNTS.FEE_INCOME, 0)],
+      })
+
+      assert.deepEqual(balanceUpdates[0].filter, { _id: userId, ...ledger.availableAtLeast(20150) })
+      assert.deepEqual(balanceUpdates[0].update, { $inc: { heldBalance: 20150 } })
+      // Zero postings are dropped, like postEntry does
+      assert.equal(hold.postings.length, 1)
+      assert.equal(ledger.postEntry.mock.callCount(), 0)
+    })
+
+    it("refuses when the funds aren't available", async () => {
+      User.updateOne.mock.mockImplementation(async () => ({ matchedCount: 0, modifiedCount: 0 }))
+      mock.method(Hold, "create", async ([fields]) => [fields])
+
+      await assert.rejects(holds.createHold({ userId, amount: 20150, reference: "WTH-1" }), InsufficientFundsError)
+      assert.equal(Hold.create.mock.callCount(), 0)
+    })
+
+    it("refuses an amount that isn't a positive whole number of kobo", async () => {
+      await assert.rejects(holds.createHold({ userId, amount: 0, reference: "WTH-1" }), { code: "INVALID_AMOUNT" })
+    })
+  })
+
+  describe("captureHold", () => {
+    it("frees the reserved funds and posts the held entry", async () => {
+      mock.method(Hold, "findOneAndUpdate", async () => activeHold({ status: holds.STATUSES.CAPTURED }))
+
+      await holds.captureHold("WTH-1")
+
+      const [{ arguments: [filter, update] }] = Hold.findOneAndUpdate.mock.calls
+      assert.deepEqual(filter, { reference: "WTH-1", status: holds.STATUSES.ACTIVE })
+      assert.equal(update.$set.status, holds.STATUSES.CAPTURED)
+      assert.deepEqual(balanceUpdates[0].update, { $inc: { heldBalance: -20150 } })
+
+      const [{ arguments: [entry] }] = ledger.postEntry.mock.calls
+      assert.equal(entry.reference, "WTH-1")
+      assert.deepEqual(entry.postings, activeHold().postings)
+    })
+
+    it("never settles a hold twice", async () => {
+      mock.method(Hold, "findOneAndUpdate", async () => null)
+      mock.method(Hold, "findOne", () => query(activeHold({ status: holds.STATUSES.RELEASED })))
+
+      await assert.rejects(holds.captureHold("WTH-1"), { status: 409, code: "HOLD_NOT_ACTIVE" })
+      assert.equal(balanceUpdates.length, 0)
+      assert.equal(ledger.postEntry.mock.callCount(), 0)
+    })
+  })
+
+  describe("releaseHold", () => {
+    it("gives the funds back without moving any money", async () => {
+      mock.method(Hold, "findOneAndUpdate", async () => activeHold({ status: holds.STATUSES.RELEASED }))
+
+      await holds.releaseHold("WTH-1")
+
+      assert.deepEqual(balanceUpdates[0].update, { $inc: { heldBalance: -20150 } })
+      assert.equal(ledger.postEntry.mock.callCount(), 0)
+    })
+
+    it("refuses an unknown hold", async () => {
+      mock.method(Hold, "findOneAndUpdate", async () => null)
+      mock.method(Hold, "findOne", () => query(null))
+
+      await assert.rejects(holds.releaseHold("MISSING"), { code: "HOLD_NOT_FOUND" })
+    })
+  })
+
+  describe("expireHolds", () => {
+    it("expires overdue holds and skips ones settled in the meantime", async () => {
+      mock.method(Hold, "find", () => query([{ reference: "WTH-1" }, { reference: "WTH-2" }]))
+      mock.method(Hold, "findOneAndUpdate", async (filter) =>
+        filter.reference === "WTH-1" ? activeHold({ status: holds.STATUSES.EXPIRED }) : null,
+      )
+      mock.method(Hold, "findOne", () => query(activeHold({ reference: "WTH-2", status: holds.STATUSES.CAPTURED })))
+
+      assert.equal(await holds.expireHolds(), 1)
+      assert.equal(balanceUpdates.length, 1)
+    })
+  })
+
+  describe("getBalances", () => {
+    it("reports the available balance net of held funds", async () => {
+      mock.method(Hold, "find", () => query([]))
+      mock.method(User, "findById", () => query({ balance: 100000, heldBalance: 20150, currency: "NGN" }))
+
+      assert.deepEqual(await holds.getBalances(userId), {
+        currency: "NGN",
+        ledgerBalance: 100000,
+        heldBalance: 20150,
+        availableBalance: 79850,
+      })
+    })
+  })
+})
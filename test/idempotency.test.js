@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { fakeResponse, objectId } = require("./helpers")
+const IdempotencyKey = require("../models/IdempotencyKey")
+const idempotency = require("../middleware/idempotency")
+
+const duplicateKey = () => Object.assign(new Error("E11000 duplicate key error"), { code: 11000 })
+
+describe("idempotency middleware", () => {
+  const userId = String(objectId())
+  let stored
+
+  const request = ({ key = "key-1", body = { amount: 500, pin: "1357" } } = {}) => ({
+    method: "POST",
+    originalUrl: "/api/transactions/transfer",
+    body,
+    user: { id: userId },
+    header: (name) => (name === "Idempotency-Key" ? key : undefined),
+  })
+
+  // Run the middleware; the handler behind it (if reached) answers with `reply`
+  const run = async (req, reply = { status: 200, body: { success: true, reference: "TRX-1" } }) => {
+    const res = fakeResponse()
+    let handled = false
+    await idempotency(req, res, () => {
+      handled = true
+      res.status(reply.status).json(reply.body)
+    })
+    res.emit("finish")
+    await new Promise(setImmediate)
+    return { res, handled }
+  }
+
+  beforeEach(() => {
+    stored = null
+    mock.method(IdempotencyKey, "create", async (fields) => {
+      if (stored) {
+        throw duplicateKey()
+      }
+      stored = { _id: objectId(), status: "in_progress", ...fields }
+      return stored
+    })
+    mock.method(IdempotencyKey, "findOne", async () => stored)
+    mock.method(IdempotencyKey, "updateOne", async (filter, update) => {
+      Object.assign(stored, update)
+    })
+    mock.method(IdempotencyKey, "deleteOne", async (filter) => {
+      const expired = filter.expiresAt ? stored && stored.expiresAt <= filter.expiresAt.$lte : true
+      if (expired) {
+        stored = null
+      }
+    })
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  it("passes requests without a key straight through", async () => {
+    const { handled } = await run(request({ key: null }))
+
+    assert.equal(handled, true)
+    assert.equal(IdempotencyKey.create.mock.callCount(), 0)
+  })
+
+  it("refuses an overlong key", async () => {
+    const { res, handled } = await run(request({ key: "k".repeat(256) }))
+
+    assert.equal(handled, false)
+    assert.equal(res.statusCode, 400)
+  })
+
+  it("stores the response of the first request", async () => {
+    const { handled } = await run(request())
+
+    assert.equal(handled, true)
+    assert.equal(stored.status, "completed")
+    assert.equal(stored.responseStatus, 200)
+    assert.deepEqual(stored.responseBody, { success: true, reference: "TRX-1" })
+  })
+
+  it("replays the stored response to a retry without running the handler again", async () => {
+    await run(request())
+    const { res, handled } = await run(request())
+
+    assert.equal(handled, false)
+    assert.equal(res.statusCode, 200)
+    assert.equal(res.headers["Idempotent-Replayed"], "true")
+    assert.deepEqual(res.body, { success: true, reference: "TRX-1" })
+  })
+
+  it("treats bodies with the same fields in another order as the same request", async () => {
+    await run(request({ body: { amount: 500, pin: "1357" } }))
+    const { handled, res } = await run(request({ body: { pin: "1357", amount: 500 } }))
+
+    assert.equal(handled, false)
+    assert.equal(res.headers["Idempotent-Replayed"], "true")
+  })
+
+  it("refuses a key reused for a different request", async () => {
+    await run(request())
+    const { res, handled } = await run(request({ body: { amount: 900, pin: "1357" } }))
+
+    assert.equal(handled, false)
+    assert.equal(res.statusCode, 422)
+  })
+
+  it("refuses a retry while the first request is still running", async () => {
+    // The first request's handler hasn't answered yet
+    await idempotency(request(), fakeResponse(), () => {})
+
+    const { res, handled } = await run(request())
+
+    assert.equal(handled, false)
+    assert.equal(res.statusCode, 409)
+  })
+
+  it("forgets the key after a server error so the client can retry", async () => {
+    await run(request(), { status: 500, body: { success: false, message: "Server error" } })
+
+    assert.equal(stored, null)
+    const { handled } = await run(request())
+    assert.equal(handled, true)
+  })
+
+  it("treats an expired key the database hasn't swept yet as unused", async () => {
+    await run(request())
+    stored.expiresAt = new Date(Date.now() - 1000)
+
+    const { res, handled } = await run(request(), { status: 200, body: { success: true, reference: "TRX-2" } })
+
+    assert.equal(handled, true)
+    assert.deepEqual(res.body, { success: true, reference: "TRX-2" })
+    assert.equal(res.headers["Idempotent-Replayed"], undefined)
+  })
+})
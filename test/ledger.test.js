@@ -0,0 +1,168 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { query, fakeTransactions, objectId } = require("./helpers")
+const JournalEntry = require("../models/JournalEntry")
+const User = require("../models/User")
+const ledger = require("../services/ledger")
+const { InsufficientFundsError } = require("../utils/errors")
+
+describe("ledger", () => {
+  let saved
+  let balanceUpdates
+
+  beforeEach(() => {
+    fakeTransactions()
+    saved = []
+    balanceUpdates = []
+    // Validation is what enforces a balanced entry, so it still runs
+    mock.method(JournalEntry.prototype, "save", async function () {
+      await this.validate()
+      saved.push(this)
+      return this
+    })
+    mock.method(User, "updateOne", async (filter, update) => {
+      balanceUpdates.push({ filter, update })
+      return { matchedCount: 1, modifiedCount: 1 }
+    })
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  describe("postEntry", () => {
+    it("credits a wallet and records the entry", async () => {
+      const userId = objectId()
+
+      await ledger.postEntry({
+        reference: "DEP-1",
+        description: "Deposit",
+        postings: [
+          ledger.debit(ledger.ACCOUNTS.PROVIDER_FLOAT, 5000),
+          ledger.credit(ledger.userAccount(userId), 5000),
+        ],
+      })
+
+      assert.equal(saved.length, 1)
+      assert.equal(saved[0].reference, "DEP-1")
+      assert.equal(balanceUpdates.length, 1)
+      assert.deepEqual(balanceUpdates[0].filter, { _id: String(userId) })
+      assert.deepEqual(balanceUpdates[0].update, { $inc: { balance: 5000 } })
+    })
+
+    it("refuses an unbalanced entry before touching any balance", async () => {
+      const userId = objectId()
+
+      await assert.rejects(
+        ledger.postEntry({
+          reference: "BAD-1",
+          postings: [
+            ledger.debit(ledger.userAccount(userId), 5000),
+            ledger.credit(ledger.ACCOUNTS.PROVIDER_FLOAT, 4000),
+          ],
+        }),
+        /unbalanced/,
+      )
+      assert.equal(balanceUpdates.length, 0)
+    })
+
+    it("drops zero-amount postings", async () => {
+      const userId = objectId()
+
+      await ledger.postEntry({
+        reference: "TRX-1",
+        postings: [
+          ledger.debit(ledger.userAccount(userId), 5000),
+          ledger.credit(ledger.ACCOUNTS.PROVIDER_FLOAT, 5000),
+          ledger.credit(ledger.ACCOUNTS.FEE_INCOME, 0),
+        ],
+      })
+
+      assert.deepEqual(
+        saved[0].postings.map((posting) => posting.account),
+        [ledger.userAccount(userId), ledger.ACCOUNTS.PROVIDER_FLOAT],
+      )
+    })
+
+    it("only debits a wallet whose available balance covers the amount", async () => {
+      const userId = objectId()
+
+      await ledger.postEntry({
+        reference: "WTH-1",
+        postings: [
+          ledger.debit(ledger.userAccount(userId), 7500),
+          ledger.credit(ledger.ACCOUNTS.PROVIDER_FLOAT, 7500),
+        ],
+      })
+
+      assert.deepEqual(balanceUpdates[0].filter, { _id: String(userId), ...ledger.availableAtLeast(7500) })
+      assert.deepEqual(balanceUpdates[0].update, { $inc: { balance: -7500 } })
+    })
+
+    it("fails with insufficient funds when the conditional debit matches nothing", async () => {
+      User.updateOne.mock.mockImplementation(async () => ({ matchedCount: 0, modifiedCount: 0 }))
+
+      await assert.rejects(
+        ledger.postEntry({
+          reference: "WTH-2",
+          postings: [
+            ledger.debit(ledger.userAccount(objectId()), 7500),
+            ledger.credit(ledger.ACCOUNTS.PROVIDER_FLOAT, 7500),
+          ],
+        }),
+        InsufficientFundsError,
+      )
+    })
+
+    it("nets several postings to the same wallet into one update", async () => {
+      const userId = objectId()
+
+      await ledger.postEntry({
+        reference: "ADJ-1",
+        postings: [
+          ledger.debit(ledger.userAccount(userId), 1000),
+          ledger.credit(ledger.userAccount(userId), 300),
+          ledger.credit(ledger.ACCOUNTS.MANUAL_ADJUSTMENTS, 700),
+        ],
+      })
+
+      assert.equal(balanceUpdates.length, 1)
+      assert.deepEqual(balanceUpdates[0].update, { $inc: { balance: -700 } })
+    })
+  })
+
+  describe("reverseEntry", () => {
+    it("posts the mirror image of the original under a -REV reference", async () => {
+      const userId = objectId()
+      const original = new JournalEntry({
+        reference: "TRX-2",
+        postings: [
+          { account: ledger.userAccount(userId), userId, direction: "debit", amount: 5100 },
+          { account: ledger.ACCOUNTS.PROVIDER_FLOAT, direction: "credit", amount: 5000 },
+          { account: ledger.ACCOUNTS.FEE_INCOME, direction: "credit", amount: 100 },
+        ],
+      })
+      mock.method(JournalEntry, "findOne", () => query(original))
+
+      await ledger.reverseEntry("TRX-2")
+
+      const [reversal] = saved
+      assert.equal(reversal.reference, "TRX-2-REV")
+      assert.equal(reversal.reverses, "TRX-2")
+      assert.deepEqual(
+        reversal.postings.map(({ account, direction, amount }) => [account, direction, amount]),
+        [
+          [ledger.userAccount(userId), "credit", 5100],
+          [ledger.ACCOUNTS.PROVIDER_FLOAT, "debit", 5000],
+          [ledger.ACCOUNTS.FEE_INCOME, "debit", 100],
+        ],
+      )
+      assert.deepEqual(balanceUpdates[0].update, { $inc: { balance: 5100 } })
+    })
+
+    it("does nothing for an unknown reference", async () => {
+      mock.method(JournalEntry, "findOne", () => query(null))
+
+      assert.equal(await ledger.reverseEntry("MISSING"), null)
+      assert.equal(saved.length, 0)
+    })
+  })
+})
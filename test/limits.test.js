@@ -0,0 +1,123 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { query, objectId } = require("./helpers")
+const Transaction = require("../models/Transaction")
+const User = require("../models/User")
+const fees = require("../services/fees")
+const limits = require("../services/limits")
+const money = require("../utils/money")
+const { PROFILES } = require("../config/limits")
+
+describe("limits", () => {
+  const user = { _id: objectId(), kycTier: 1 }
+  const { p2p, card_deposit: cardDeposit } = PROFILES.tier1
+
+  beforeEach(() => {
+    mock.method(Transaction, "aggregate", async () => [])
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  describe("profileName", () => {
+    it("uses the staff-set profile over the KYC tier's", () => {
+      assert.equal(limits.profileName({ kycTier: 2 }), "tier2")
+      assert.equal(limits.profileName({ kycTier: 2, limitProfile: "restricted" }), "restricted")
+      assert.equal(limits.profileName({ kycTier: 2, limitProfile: "no-such-profile" }), "tier2")
+    })
+  })
+
+  describe("usage", () => {
+    it("counts the whole debit of a payment out, fee and levy included", async () => {
+      await limits.usage(user._id, "p2p")
+
+      const [{ arguments: [[{ $match: match }, { $group: group }]] }] = Transaction.aggregate.mock.calls
+      assert.equal(match.transactionType, "send")
+      assert.deepEqual(match.status, { $in: ["pending", "successful"] })
+      assert.deepEqual(group.monthly.$sum, {
+        $add: ["$amount", { $ifNull: ["$fee", 0] }, { $ifNull: ["$levy", 0] }],
+      })
+    })
+
+    it("counts only the amount of a deposit", async () => {
+      await limits.usage(user._id, "card_deposit")
+
+      const [{ arguments: [[{ $match: match }, { $group: group }]] }] = Transaction.aggregate.mock.calls
+      assert.equal(match.transactionType, "deposit")
+      assert.equal(group.monthly.$sum, "$amount")
+    })
+
+    it("reports nothing used when there are no transactions", async () => {
+      assert.deepEqual(await limits.usage(user._id, "p2p"), { daily: 0, monthly: 0 })
+    })
+  })
+
+  describe("assertWithinLimits", () => {
+    it("lets through a payment that fits every limit", async () => {
+      await limits.assertWithinLimits(user, "p2p", p2p.perTransaction)
+    })
+
+    it("refuses a payment over the per-transaction limit", async () => {
+      await assert.rejects(limits.assertWithinLimits(user, "p2p", p2p.perTransaction + 1), (err) => {
+        assert.equal(err.code, "LIMIT_EXCEEDED")
+        assert.equal(err.details.period, "perTransaction")
+        return true
+      })
+    })
+
+    it("says how much of the daily limit is left", async () => {
+      const used = p2p.daily - 1000
+      Transaction.aggregate.mock.mockImplementation(async () => [{ daily: used, monthly: used }])
+
+      await assert.rejects(limits.assertWithinLimits(user, "p2p", 1001), (err) => {
+        assert.equal(err.details.period, "daily")
+        assert.equal(err.details.remaining, money.toMajor(1000))
+        return true
+      })
+    })
+  })
+
+  describe("summary", () => {
+    beforeEach(() => {
+      mock.method(User, "findById", () => query(user))
+      mock.method(fees, "quoteFee", async ({ channel }) =>
+        channel === "card_deposit" ? { fee: 150, levy: 0 } : { fee: 100, levy: 50 },
+      )
+    })
+
+    it("reports what's left of each window as a total debit", async () => {
+      const used = 30000
+      Transaction.aggregate.mock.mockImplementation(async () => [{ daily: used, monthly: used }])
+
+      const { profile, channels } = await limits.summary(user._id)
+
+      assert.equal(profile, "tier1")
+      assert.deepEqual(channels.p2p.daily, {
+        limit: money.toMajor(p2p.daily),
+        used: money.toMajor(used),
+        remaining: money.toMajor(p2p.daily - used),
+      })
+    })
+
+    it("leaves room for the fee and levy in what a payment out can be", async () => {
+      const { channels } = await limits.summary(user._id)
+
+      const gross = Math.min(p2p.perTransaction, p2p.daily, p2p.monthly)
+      assert.equal(channels.p2p.available, money.toMajor(gross - 150))
+    })
+
+    it("doesn't take the fee off a deposit, which pays it out of its own amount", async () => {
+      const { channels } = await limits.summary(user._id)
+
+      const gross = Math.min(cardDeposit.perTransaction, cardDeposit.daily, cardDeposit.monthly)
+      assert.equal(channels.card_deposit.available, money.toMajor(gross))
+    })
+
+    it("reports nothing available once a limit is used up", async () => {
+      Transaction.aggregate.mock.mockImplementation(async () => [{ daily: p2p.daily, monthly: p2p.daily }])
+
+      const { channels } = await limits.summary(user._id)
+
+      assert.equal(channels.p2p.available, 0)
+    })
+  })
+})
@@ -0,0 +1,213 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const axios = require("axios")
+const { query, objectId } = require("./helpers")
+const Transaction = require("../models/Transaction")
+const transfers = require("../services/transfers")
+const transactionStatus = require("../services/transactionStatus")
+const payouts = require("../services/payouts")
+
+const { PENDING, SUCCESSFUL, FAILED } = transactionStatus.STATUSES
+
+// An error as axios raises it for an HTTP error answer
+const httpError = (status, message) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data: { message } } })
+
+describe("payouts", () => {
+  const adapter = axios.defaults.adapter
+  let stored
+  let provider
+
+  beforeEach(() => {
+    stored = null
+    // Answers to Paystack requests by path; a function answer may throw
+    provider = {}
+    axios.defaults.adapter = async (config) => {
+      const path = new URL(config.url).pathname
+      const answer = provider[path]
+      if (!answer) {
+        throw httpError(404, "Not found")
+      }
+      return { data: typeof answer === "function" ? await answer(config) : answer, status: 200, headers: {}, config }
+    }
+
+    mock.method(console, "error", () => {})
+    mock.method(Transaction, "findOne", () => query(stored))
+    mock.method(Transaction, "findOneAndUpdate", async () => stored)
+    mock.method(Transaction, "updateOne", async () => ({}))
+    mock.method(transfers, "completeTransfer", async () => ({ ...stored, status: SUCCESSFUL }))
+    mock.method(transfers, "reverseTransfer", async () => {})
+  })
+
+  afterEach(() => {
+    axios.defaults.adapter = adapter
+    mock.restoreAll()
+  })
+
+  const pendingPayout = (payout) => ({
+    _id: objectId(),
+    reference: "WTH-1",
+    amount: 20000,
+    status: PENDING,
+    payout: { provider: "paystack", recipientCode: "RCP_1", initiatedAt: new Date(Date.now() - 60 * 1000), ...payout },
+  })
+
+  describe("payout", () => {
+    const prepared = {
+      channel: transfers.CHANNELS.WITHDRAWAL,
+      bankDetails: { bankCode: "058", accountNumber: "0123456789", accountName: "Ada Obi" },
+      amount: 20000,
+      purpose: "Withdrawal",
+      riskDecision: null,
+    }
+
+    beforeEach(() => {
+      stored = pendingPayout({ initiatedAt: undefined })
+      provider["/transferrecipient"] = { status: true, data: { recipient_code: "RCP_1" } }
+      mock.method(transfers, "executeTransfer", async () => ({ reference: "WTH-1", heldForReview: false }))
+    })
+
+    it("sends a pending transfer to the provider and leaves the webhook to settle it", async () => {
+      provider["/transfer"] = { status: true, data: { transfer_code: "TRF_1", status: "pending" } }
+
+      const { reference, transferCode } = await payouts.payout(prepared)
+
+      assert.equal(reference, "WTH-1")
+      assert.equal(transferCode, "TRF_1")
+      assert.equal(transfers.executeTransfer.mock.calls[0].arguments[1].status, PENDING)
+      const [{ arguments: [, update] }] = Transaction.findOneAndUpdate.mock.calls
+      assert.equal(update.$set.payout.providerStatus, "pending")
+      assert.equal(transfers.completeTransfer.mock.callCount(), 0)
+    })
+
+    it("settles a transfer the provider completed straight away", async () => {
+      provider["/transfer"] = { status: true, data: { transfer_code: "TRF_1", status: "success" } }
+
+      await payouts.payout(prepared)
+
+      assert.equal(transfers.completeTransfer.mock.callCount(), 1)
+    })
+
+    it("gives the money back when the provider refuses the transfer", async () => {
+      provider["/transfer"] = () => {
+        throw httpError(400, "Insufficient balance")
+      }
+
+      await assert.rejects(payouts.payout(prepared), { code: "PAYOUT_FAILED" })
+      assert.equal(transfers.reverseTransfer.mock.callCount(), 1)
+    })
+
+    it("leaves the transfer pending when it can't tell whether the provider took it", async () => {
+      provider["/transfer"] = () => {
+        throw new Error("socket hang up")
+      }
+
+      await payouts.payout(prepared)
+
+      assert.equal(transfers.reverseTransfer.mock.callCount(), 0)
+      const [{ arguments: [, update] }] = Transaction.findOneAndUpdate.mock.calls
+      assert.equal(update.$set.payout.providerStatus, "unconfirmed")
+    })
+
+    it("doesn't send a payment held for review", async () => {
+      await payouts.payout({ ...prepared, riskDecision: { outcome: "review" } })
+
+      assert.equal(transfers.executeTransfer.mock.callCount(), 1)
+      assert.equal(Transaction.findOneAndUpdate.mock.callCount(), 0)
+    })
+  })
+
+  describe("settle", () => {
+    it("completes a pending payout", async () => {
+      stored = pendingPayout()
+
+      await payouts.settle("WTH-1", { transferCode: "TRF_1" })
+
+      const [{ arguments: [reference, { actor }] }] = transfers.completeTransfer.mock.calls
+      assert.equal(reference, "WTH-1")
+      assert.deepEqual(actor, { type: transactionStatus.ACTORS.PROVIDER, id: "TRF_1" })
+    })
+
+    it("ignores a duplicate webhook for a payout already settled", async () => {
+      stored = { ...pendingPayout(), status: SUCCESSFUL }
+
+      assert.equal(await payouts.settle("WTH-1"), stored)
+      assert.equal(transfers.completeTransfer.mock.callCount(), 0)
+    })
+
+    it("refuses an unknown reference", async () => {
+      await assert.rejects(payouts.settle("MISSING"), { code: "TRANSACTION_NOT_FOUND" })
+    })
+  })
+
+  describe("refund", () => {
+    it("reverses a pending payout", async () => {
+      stored = pendingPayout()
+
+      await payouts.refund("WTH-1", { reason: "Paystack transfer failed" })
+
+      assert.equal(transfers.reverseTransfer.mock.calls[0].arguments[1].reason, "Paystack transfer failed")
+    })
+
+    it("never refunds the same payout twice", async () => {
+      stored = { ...pendingPayout(), status: FAILED }
+
+      await payouts.refund("WTH-1")
+
+      assert.equal(transfers.reverseTransfer.mock.callCount(), 0)
+    })
+  })
+
+  describe("checkStatus", () => {
+    it("doesn't ask the provider again within the polling interval", async () => {
+      stored = pendingPayout({ lastCheckedAt: new Date() })
+
+      assert.equal(await payouts.checkStatus("WTH-1"), stored)
+      assert.equal(Transaction.updateOne.mock.callCount(), 0)
+    })
+
+    it("settles a payout the provider reports as paid", async () => {
+      stored = pendingPayout({ transferCode: "TRF_1", providerStatus: "pending" })
+      provider["/transfer/verify/WTH-1"] = { status: true, data: { status: "success", transfer_code: "TRF_1" } }
+
+      await payouts.checkStatus("WTH-1")
+
+      assert.equal(transfers.completeTransfer.mock.callCount(), 1)
+    })
+
+    it("refunds a payout the provider reports as failed", async () => {
+      stored = pendingPayout({ transferCode: "TRF_1", providerStatus: "pending" })
+      provider["/transfer/verify/WTH-1"] = { status: true, data: { status: "failed", transfer_code: "TRF_1" } }
+
+      await payouts.checkStatus("WTH-1")
+
+      assert.equal(transfers.reverseTransfer.mock.callCount(), 1)
+    })
+
+    it("refunds an unconfirmed payout the provider has no record of", async () => {
+      stored = pendingPayout({ providerStatus: "unconfirmed" })
+
+      await payouts.checkStatus("WTH-1")
+
+      const [{ arguments: [, { reason }] }] = transfers.reverseTransfer.mock.calls
+      assert.equal(reason, "Paystack has no record of the transfer")
+    })
+
+    it("keeps waiting on a payout the provider confirmed, even if the lookup 404s", async () => {
+      stored = pendingPayout({ transferCode: "TRF_1", providerStatus: "pending" })
+
+      assert.equal(await payouts.checkStatus("WTH-1"), stored)
+      assert.equal(transfers.reverseTransfer.mock.callCount(), 0)
+    })
+
+    it("changes nothing when the provider can't be reached", async () => {
+      stored = pendingPayout({ providerStatus: "unconfirmed" })
+      provider["/transfer/verify/WTH-1"] = () => {
+        throw new Error("socket hang up")
+      }
+
+      assert.equal(await payouts.checkStatus("WTH-1"), stored)
+      assert.equal(transfers.reverseTransfer.mock.callCount(), 0)
+    })
+  })
+})
@@ -0,0 +1,55 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { query, objectId } = require("./helpers")
+const Quote = require("../models/Quote")
+const Transaction = require("../models/Transaction")
+const User = require("../models/User")
+const fees = require("../services/fees")
+const quotes = require("../services/quotes")
+const { PROFILES } = require("../config/limits")
+
+describe("quotes", () => {
+  let sender
+  let recipient
+
+  beforeEach(() => {
+    sender = new User({ _id: objectId(), firstName: "Ada", lastName: "Obi", balance: 10000000, kycTier: 1 })
+    recipient = new User({ _id: objectId(), firstName: "Bola", lastName: "Ade", cecureTag: "@bola" })
+    const users = new Map([sender, recipient].map((user) => [String(user._id), user]))
+
+    mock.method(User, "findById", (id) => query(users.get(String(id)) || null))
+    mock.method(fees, "quoteFee", async ({ amount }) => ({ fee: 100, levy: 50, total: amount + 150 }))
+    mock.method(Quote, "create", async (fields) => fields)
+    // Nothing sent yet today or this month
+    mock.method(Transaction, "aggregate", async () => [])
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  const quote = (amount) =>
+    quotes.createQuote({ userId: sender._id, amount, recipient: { userId: String(recipient._id) } })
+
+  it("prices a transfer without warnings when it fits", async () => {
+    const { quote: created, warnings } = await quote(20000)
+
+    assert.equal(created.total, 20150)
+    assert.deepEqual(warnings, [])
+  })
+
+  it("warns when the total would break a spending limit", async () => {
+    const { daily } = PROFILES.tier1.p2p
+    Transaction.aggregate.mock.mockImplementation(async () => [{ daily: daily - 10000, monthly: daily - 10000 }])
+
+    const { warnings } = await quote(9900)
+
+    const [warning] = warnings
+    assert.equal(warning.code, "LIMIT_EXCEEDED")
+    assert.equal(warning.details.period, "daily")
+  })
+
+  it("warns when the amount is over the KYC tier's per-transaction limit", async () => {
+    const { warnings } = await quote(5000001)
+
+    assert.ok(warnings.some((warning) => warning.code === "KYC_LIMIT_EXCEEDED"))
+  })
+})
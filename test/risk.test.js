@@ -0,0 +1,173 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { objectId } = require("./helpers")
+const Transaction = require("../models/Transaction")
+const Beneficiary = require("../models/Beneficiary")
+const RiskDecision = require("../models/RiskDecision")
+const devices = require("../services/devices")
+const securityEvents = require("../services/securityEvents")
+const twoFactor = require("../services/twoFactor")
+const complianceCases = require("../services/complianceCases")
+const risk = require("../services/risk")
+const money = require("../utils/money")
+const { RULES, THRESHOLDS } = require("../config/riskRules")
+
+// Signals of an ordinary payment from a user with some history; no rule fires
+const quiet = (fields) => ({
+  amount: money.toMinor(5000),
+  channel: "p2p",
+  recentCount: 0,
+  recentTotal: 0,
+  historyCount: 10,
+  historyAverage: money.toMinor(5000),
+  historyMax: money.toMinor(10000),
+  newDevice: false,
+  newIp: false,
+  newBeneficiary: false,
+  pinChanged: false,
+  passwordChanged: false,
+  ...fields,
+})
+
+const firedIds = (signals) => risk.score(signals).rules.map((rule) => rule.id)
+
+describe("risk", () => {
+  describe("score", () => {
+    it("allows a payment no rule objects to", () => {
+      assert.deepEqual(risk.score(quiet()), { rules: [], score: 0, outcome: risk.OUTCOMES.ALLOW })
+    })
+
+    it("flags a burst of payments and a large hourly volume", () => {
+      assert.deepEqual(firedIds(quiet({ recentCount: 5 })), ["velocity_burst"])
+      assert.deepEqual(firedIds(quiet({ recentTotal: money.toMinor(196000) })), ["velocity_volume"])
+    })
+
+    it("compares the amount with the user's own history", () => {
+      const amount = money.toMinor(30000)
+
+      assert.deepEqual(firedIds(quiet({ amount })), ["amount_above_history", "amount_above_max"])
+      // Too little history to judge by
+      assert.deepEqual(firedIds(quiet({ amount, historyCount: 2 })), [])
+    })
+
+    it("flags a large first payment", () => {
+      assert.deepEqual(firedIds(quiet({ historyCount: 0, amount: money.toMinor(50000) })), ["large_first_payment"])
+    })
+
+    it("adds the scores up to pick the outcome", () => {
+      // new_device 25 + new_beneficiary 25
+      const stepUp = risk.score(quiet({ newDevice: true, newBeneficiary: true }))
+      assert.equal(stepUp.score, 50)
+      assert.equal(stepUp.outcome, risk.OUTCOMES.STEP_UP)
+
+      // ... + recent_password_change 30
+      const review = risk.score(quiet({ newDevice: true, newBeneficiary: true, passwordChanged: true }))
+      assert.equal(review.outcome, risk.OUTCOMES.REVIEW)
+
+      // ... + recent_pin_change 25
+      const block = risk.score(
+        quiet({ newDevice: true, newBeneficiary: true, passwordChanged: true, pinChanged: true }),
+      )
+      assert.ok(block.score >= THRESHOLDS[risk.OUTCOMES.BLOCK])
+      assert.equal(block.outcome, risk.OUTCOMES.BLOCK)
+    })
+
+    it("skips a rule that throws instead of failing the payment", () => {
+      mock.method(console, "error", () => {})
+      RULES.push({
+        id: "broken",
+        score: 100,
+        when: () => {
+          throw new Error("boom")
+        },
+      })
+
+      try {
+        assert.equal(risk.score(quiet()).outcome, risk.OUTCOMES.ALLOW)
+      } finally {
+        RULES.pop()
+        mock.restoreAll()
+      }
+    })
+  })
+
+  describe("evaluate", () => {
+    const userId = objectId()
+    let signals
+
+    beforeEach(() => {
+      signals = { newDevice: false, newIp: false, newBeneficiary: false, pinChanged: false, passwordChanged: false }
+      // Nothing sent in the last hour, an ordinary history before that
+      mock.method(Transaction, "aggregate", async ([{ $match: match }]) =>
+        match.status.$in.includes("pending") ? [] : [{ count: 10, total: 5000000, average: 500000, max: 1000000 }],
+      )
+      mock.method(devices, "isKnown", async () => ({ device: !signals.newDevice, ip: !signals.newIp }))
+      mock.method(Beneficiary, "exists", async () => (signals.newBeneficiary ? { _id: objectId() } : null))
+      mock.method(securityEvents, "hasRecent", async (id, types) =>
+        types.includes(securityEvents.TYPES.PIN_CHANGED) ? signals.pinChanged : signals.passwordChanged,
+      )
+      mock.method(twoFactor, "isEnabled", async () => true)
+      mock.method(RiskDecision, "create", async (fields) => ({ _id: objectId(), ...fields }))
+      mock.method(complianceCases, "openFromFlag", async () => ({}))
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    const evaluate = () => risk.evaluate({ userId, channel: "p2p", amount: money.toMinor(5000) })
+
+    it("records the decision for a payment it lets through", async () => {
+      const decision = await evaluate()
+
+      assert.equal(decision.outcome, risk.OUTCOMES.ALLOW)
+      assert.equal(RiskDecision.create.mock.callCount(), 1)
+      assert.equal(complianceCases.openFromFlag.mock.callCount(), 0)
+    })
+
+    it("holds for review a step-up the user can't answer without 2FA", async () => {
+      Object.assign(signals, { newDevice: true, newBeneficiary: true })
+      twoFactor.isEnabled.mock.mockImplementation(async () => false)
+
+      const decision = await evaluate()
+
+      assert.equal(decision.outcome, risk.OUTCOMES.REVIEW)
+      assert.equal(decision.escalatedFrom, risk.OUTCOMES.STEP_UP)
+      assert.equal(risk.isHeld(decision), true)
+    })
+
+    it("blocks a payment over the block threshold and opens a case", async () => {
+      Object.assign(signals, { newDevice: true, newBeneficiary: true, pinChanged: true, passwordChanged: true })
+
+      await assert.rejects(evaluate(), { status: 403, code: "PAYMENT_BLOCKED" })
+
+      const [{ arguments: [flag] }] = complianceCases.openFromFlag.mock.calls
+      assert.equal(flag.source.type, complianceCases.CASE_SOURCES.RISK_RULE)
+      assert.equal(flag.priority, "high")
+    })
+  })
+
+  describe("attach", () => {
+    beforeEach(() => {
+      mock.method(RiskDecision, "updateOne", async () => ({}))
+      mock.method(complianceCases, "openFromFlag", async () => ({}))
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    const decision = (outcome) => ({ _id: objectId(), userId: objectId(), channel: "p2p", amount: 500000, outcome })
+
+    it("queues a held payment for review and opens a case for it", async () => {
+      await risk.attach(decision(risk.OUTCOMES.REVIEW), "TRX-1")
+
+      const [{ arguments: [, update] }] = RiskDecision.updateOne.mock.calls
+      assert.deepEqual(update.$set, { reference: "TRX-1", "review.status": risk.REVIEW_STATUSES.PENDING })
+      assert.deepEqual(complianceCases.openFromFlag.mock.calls[0].arguments[0].transactionReferences, ["TRX-1"])
+    })
+
+    it("only links the reference for a payment it allowed", async () => {
+      await risk.attach(decision(risk.OUTCOMES.ALLOW), "TRX-1")
+
+      assert.deepEqual(RiskDecision.updateOne.mock.calls[0].arguments[1].$set, { reference: "TRX-1" })
+      assert.equal(complianceCases.openFromFlag.mock.callCount(), 0)
+    })
+  })
+})
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { query } = require("./helpers")
+const AuthThrottle = require("../models/AuthThrottle")
+const throttle = require("../services/throttle")
+const { THROTTLE } = require("../config/security")
+
+describe("throttle", () => {
+  const target = { account: "Ada@Example.com", ip: "10.0.0.1" }
+  const accountKey = "login:account:ada@example.com"
+  const ipKey = "login:ip:10.0.0.1"
+
+  beforeEach(() => {
+    mock.method(AuthThrottle, "updateOne", async () => ({ matchedCount: 1, modifiedCount: 1 }))
+    mock.method(AuthThrottle, "updateMany", async () => ({ matchedCount: 1, modifiedCount: 1 }))
+    mock.method(AuthThrottle, "deleteOne", async () => ({ deletedCount: 1 }))
+  })
+
+  afterEach(() => mock.restoreAll())
+
+  describe("reserveAttempt", () => {
+    it("counts the attempt against every key in one guarded update each", async () => {
+      mock.method(AuthThrottle, "findOneAndUpdate", async (filter) => ({ key: filter.key, failures: 1 }))
+
+      await throttle.reserveAttempt("login", target)
+
+      const calls = AuthThrottle.findOneAndUpdate.mock.calls
+      assert.deepEqual(calls.map((call) => call.arguments[0].key), [accountKey, ipKey])
+      // The check is part of the update's filter, not a separate read
+      for (const { arguments: [filter, update] } of calls) {
+        assert.ok(filter.$expr)
+        assert.ok(Array.isArray(update))
+      }
+      // Each counter exists before the guarded update runs, so that update never upserts
+      assert.equal(AuthThrottle.updateOne.mock.calls[0].arguments[2].upsert, true)
+      assert.equal(calls[0].arguments[2].upsert, undefined)
+    })
+
+    it("refuses a locked account without counting against the IP", async () => {
+      const lockedUntil = new Date(Date.now() + 10 * 60 * 1000)
+      mock.method(AuthThrottle, "findOneAndUpdate", async () => null)
+      mock.method(AuthThrottle, "findOne", () =>
+        query({ key: accountKey, failures: THROTTLE.login.accountLimit, lockedUntil }),
+      )
+
+      await assert.rejects(throttle.reserveAttempt("login", target), (err) => {
+        assert.equal(err.status, 429)
+        assert.equal(err.code, "TOO_MANY_ATTEMPTS")
+        assert.ok(err.details.retryAfter > 9 * 60)
+        return true
+      })
+      assert.equal(AuthThrottle.findOneAndUpdate.mock.callCount(), 1)
+      assert.equal(AuthThrottle.updateMany.mock.callCount(), 0)
+    })
+
+    it("gives the account's reservation back when the IP refuses", async () => {
+      const now = Date.now()
+      mock.method(AuthThrottle, "findOneAndUpdate", async (filter) =>
+        filter.key === accountKey ? { key: accountKey, failures: 1 } : null,
+      )
+      mock.method(AuthThrottle, "findOne", () =>
+        query({
+          key: ipKey,
+          failures: 3,
+          firstFailureAt: new Date(now - 5000),
+          lastFailureAt: new Date(now - 1000),
+        }),
+      )
+
+      await assert.rejects(throttle.reserveAttempt("login", target), { status: 429 })
+
+      const [{ arguments: [filter, update] }] = AuthThrottle.updateMany.mock.calls
+      assert.deepEqual(filter.key, { $in: [accountKey] })
+      assert.deepEqual(update, { $inc: { failures: -1 } })
+    })
+
+    it("asks for at least a second even if the counter has just freed up", async () => {
+      mock.method(AuthThrottle, "findOneAndUpdate", async () => null)
+      mock.method(AuthThrottle, "findOne", () => query(null))
+
+      await assert.rejects(throttle.reserveAttempt("login", { account: "ada" }), (err) => {
+        assert.equal(err.details.retryAfter, 1)
+        return true
+      })
+    })
+  })
+
+  describe("recordFailure", () => {
+    it("locks a key only once it has reached its limit", async () => {
+      mock.method(AuthThrottle, "findOneAndUpdate", async (filter) =>
+        filter.key === accountKey ? { key: accountKey } : null,
+      )
+
+      assert.equal(await throttle.recordFailure("login", target), true)
+
+      const [{ arguments: [filter, update] }] = AuthThrottle.findOneAndUpdate.mock.calls
+      assert.deepEqual(filter.failures, { $gte: THROTTLE.login.accountLimit })
+      assert.ok(update.$set.lockedUntil > new Date())
+    })
+
+    it("doesn't report a lock some other failure already set", async () => {
+      mock.method(AuthThrottle, "findOneAndUpdate", async () => null)
+
+      assert.equal(await throttle.recordFailure("login", target), false)
+    })
+  })
+
+  describe("recordSuccess", () => {
+    it("clears the account and hands back the IP's reservation", async () => {
+      await throttle.recordSuccess("login", target)
+
+      assert.deepEqual(AuthThrottle.deleteOne.mock.calls[0].arguments[0], { key: accountKey })
+      const [{ arguments: [filter, update] }] = AuthThrottle.updateOne.mock.calls
+      assert.deepEqual(filter, { key: ipKey, failures: { $gt: 0 } })
+      assert.deepEqual(update, { $inc: { failures: -1 } })
+    })
+  })
+})
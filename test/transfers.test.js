@@ -0,0 +1,316 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { query, fakeTransactions, objectId } = require("./helpers")
+const User = require("../models/User")
+const Transaction = require("../models/Transaction")
+const TransactionPin = require("../models/TransactionPin")
+const ledger = require("../services/ledger")
+const holds = require("../services/holds")
+const fees = require("../services/fees")
+const limits = require("../services/limits")
+const risk = require("../services/risk")
+const complianceCases = require("../services/complianceCases")
+const throttle = require("../services/throttle")
+const securityEvents = require("../services/securityEvents")
+const transactionStatus = require("../services/transactionStatus")
+const transfers = require("../services/transfers")
+const { ACCOUNT_STATUSES } = require("../config/accounts")
+const { AppError, InsufficientFundsError } = require("../utils/errors")
+
+const PIN = "1357"
+
+const makeUser = (fields) =>
+  new User({
+    _id: objectId(),
+    firstName: "Ada",
+    lastName: "Obi",
+    email: `${objectId()}@example.com`,
+    cecureTag: "ada",
+    balance: 0,
+    kycTier: 1,
+    ...fields,
+  })
+
+describe("transfers", () => {
+  let sender
+  let recipient
+  let users
+
+  beforeEach(() => {
+    fakeTransactions()
+    sender = makeUser({ balance: 100000 })
+    recipient = makeUser({ firstName: "Bola", cecureTag: "bola" })
+    users = new Map([sender, recipient].map((user) => [String(user._id), user]))
+
+    mock.method(User, "findById", (id) => query(users.get(String(id)) || null))
+    mock.method(TransactionPin, "findOne", () => query({ comparePin: async (pin) => pin === PIN }))
+    mock.method(throttle, "reserveAttempt", async () => {})
+    mock.method(throttle, "recordFailure", async () => false)
+    mock.method(throttle, "recordSuccess", async () => {})
+    mock.method(securityEvents, "record", async () => {})
+    mock.method(limits, "assertWithinLimits", async () => {})
+    mock.method(risk, "evaluate", async () => null)
+    transfers.setFeeCalculator(() => ({ fee: 100, levy: 50 }))
+  })
+
+  afterEach(() => {
+    transfers.setFeeCalculator(fees.quoteFee)
+    mock.restoreAll()
+  })
+
+  describe("prepareTransfer", () => {
+    const p2p = (fields) => ({
+      userId: sender._id,
+      channel: transfers.CHANNELS.P2P,
+      recipientId: String(recipient._id),
+      amount: 20000,
+      pin: PIN,
+      ...fields,
+    })
+
+    it("resolves both parties and charges the amount plus fee and levy", async () => {
+      const prepared = await transfers.prepareTransfer(p2p())
+
+      assert.equal(prepared.sender, sender)
+      assert.equal(prepared.recipient, recipient)
+      assert.equal(prepared.bankDetails, null)
+      assert.deepEqual([prepared.amount, prepared.fee, prepared.levy, prepared.total], [20000, 100, 50, 20150])
+      assert.equal(prepared.purpose, "Transfer")
+    })
+
+    it("checks the spending limits against the whole debit", async () => {
+      await transfers.prepareTransfer(p2p())
+
+      const [call] = limits.assertWithinLimits.mock.calls
+      assert.deepEqual(call.arguments.slice(1), [transfers.CHANNELS.P2P, 20150])
+    })
+
+    it("refuses a channel it doesn't know", async () => {
+      await assert.rejects(transfers.prepareTransfer(p2p({ channel: "carrier_pigeon" })), {
+        code: "UNSUPPORTED_CHANNEL",
+      })
+    })
+
+    it("refuses an amount that isn't a positive whole number of kobo", async () => {
+      for (const amount of [0, -500, 10.5, undefined]) {
+        await assert.rejects(transfers.prepareTransfer(p2p({ amount })), { code: "INVALID_AMOUNT" })
+      }
+    })
+
+    it("refuses a wrong PIN and counts the failure", async () => {
+      await assert.rejects(transfers.prepareTransfer(p2p({ pin: "9999" })), { code: "INVALID_PIN" })
+      assert.equal(throttle.recordFailure.mock.callCount(), 1)
+    })
+
+    it("refuses a transfer to yourself", async () => {
+      await assert.rejects(transfers.prepareTransfer(p2p({ recipientId: String(sender._id) })), {
+        code: "SELF_TRANSFER",
+      })
+    })
+
+    it("refuses a sender whose account can't send money", async () => {
+      sender.status = ACCOUNT_STATUSES.FROZEN_DEBITS
+
+      await assert.rejects(transfers.prepareTransfer(p2p()), { code: "ACCOUNT_FROZEN" })
+    })
+
+    it("refuses when held funds leave too little available", async () => {
+      sender.heldBalance = 90000
+
+      await assert.rejects(transfers.prepareTransfer(p2p()), InsufficientFundsError)
+    })
+
+    it("stops at a risk block before anything moves", async () => {
+      risk.evaluate.mock.mockImplementation(async () => {
+        throw new AppError("This payment can't be made", 403, "PAYMENT_BLOCKED")
+      })
+
+      await assert.rejects(transfers.prepareTransfer(p2p()), { code: "PAYMENT_BLOCKED" })
+    })
+  })
+
+  describe("executeTransfer", () => {
+    let created
+
+    beforeEach(() => {
+      created = []
+      mock.method(ledger, "postEntry", async () => ({}))
+      mock.method(holds, "createHold", async () => ({}))
+      mock.method(risk, "attach", async () => {})
+      mock.method(Transaction, "create", async (records) => {
+        created.push(...records)
+        return records
+      })
+    })
+
+    const prepared = (fields) => ({
+      channel: transfers.CHANNELS.P2P,
+      sender,
+      recipient,
+      bankDetails: null,
+      amount: 20000,
+      fee: 100,
+      levy: 50,
+      total: 20150,
+      purpose: "Rent",
+      quoteId: null,
+      riskDecision: null,
+      ...fields,
+    })
+
+    it("posts a balanced entry and records both sides of a wallet transfer", async () => {
+      const { reference, heldForReview } = await transfers.executeTransfer(prepared())
+
+      assert.equal(heldForReview, false)
+      const [{ arguments: [entry] }] = ledger.postEntry.mock.calls
+      assert.equal(entry.reference, reference)
+      assert.deepEqual(entry.postings, [
+        ledger.debit(ledger.userAccount(sender._id), 20150),
+        ledger.credit(ledger.userAccount(recipient._id), 20000),
+        ledger.credit(ledger.ACCOUNTS.FEE_INCOME, 100),
+        ledger.credit(ledger.ACCOUNTS.LEVIES_PAYABLE, 50),
+      ])
+      assert.equal(holds.createHold.mock.callCount(), 0)
+
+      assert.deepEqual(
+        created.map((record) => [record.reference, record.transactionType, record.status]),
+        [
+          [reference, "send", "successful"],
+          [`${reference}-RCV`, "receive", "successful"],
+        ],
+      )
+    })
+
+    it("only reserves the funds for a pending bank payout", async () => {
+      const bankDetails = { bankCode: "058", accountNumber: "0123456789", accountName: "Ada Obi" }
+
+      const { reference } = await transfers.executeTransfer(
+        prepared({ channel: transfers.CHANNELS.WITHDRAWAL, recipient: null, bankDetails }),
+        { status: transactionStatus.STATUSES.PENDING },
+      )
+
+      assert.equal(ledger.postEntry.mock.callCount(), 0)
+      const [{ arguments: [hold] }] = holds.createHold.mock.calls
+      assert.equal(hold.reference, reference)
+      assert.equal(hold.amount, 20150)
+      assert.equal(created.length, 1)
+      assert.equal(created[0].transactionType, "withdraw")
+      assert.equal(created[0].recipientDetails.accountNumber, "0123456789")
+    })
+
+    it("keeps a payment held for review pending and links the decision", async () => {
+      const riskDecision = { _id: objectId(), outcome: risk.OUTCOMES.REVIEW }
+
+      const { reference, heldForReview } = await transfers.executeTransfer(prepared({ riskDecision }))
+
+      assert.equal(heldForReview, true)
+      assert.equal(ledger.postEntry.mock.callCount(), 0)
+      assert.equal(holds.createHold.mock.callCount(), 1)
+      assert.ok(created.every((record) => record.status === "pending"))
+      assert.deepEqual(risk.attach.mock.calls[0].arguments, [riskDecision, reference])
+    })
+  })
+
+  describe("reverseTransfer", () => {
+    let transitions
+
+    beforeEach(() => {
+      transitions = []
+      mock.method(transactionStatus, "transition", async (reference, to) => {
+        transitions.push([reference, to])
+      })
+      mock.method(holds, "releaseHold", async () => {})
+      mock.method(ledger, "reverseEntry", async () => {})
+    })
+
+    it("fails a pending transfer and releases its hold", async () => {
+      mock.method(Transaction, "find", () => query([{ reference: "WTH-1", status: "pending" }]))
+      mock.method(holds, "isActive", async () => true)
+
+      await transfers.reverseTransfer("WTH-1", { reason: "Provider rejected it" })
+
+      assert.deepEqual(transitions, [["WTH-1", "failed"]])
+      assert.equal(holds.releaseHold.mock.callCount(), 1)
+      assert.equal(ledger.reverseEntry.mock.callCount(), 0)
+    })
+
+    it("reverses both sides of a completed wallet transfer along with its entry", async () => {
+      mock.method(Transaction, "find", () =>
+        query([
+          { reference: "TRX-1", status: "successful" },
+          { reference: "TRX-1-RCV", status: "successful" },
+        ]),
+      )
+      mock.method(holds, "isActive", async () => false)
+
+      await transfers.reverseTransfer("TRX-1", { reason: "Disputed" })
+
+      assert.deepEqual(transitions, [
+        ["TRX-1", "reversed"],
+        ["TRX-1-RCV", "reversed"],
+      ])
+      assert.deepEqual(ledger.reverseEntry.mock.calls[0].arguments[0], "TRX-1")
+      assert.equal(holds.releaseHold.mock.callCount(), 0)
+    })
+
+    it("refuses an unknown reference", async () => {
+      mock.method(Transaction, "find", () => query([]))
+
+      await assert.rejects(transfers.reverseTransfer("MISSING"), { code: "TRANSACTION_NOT_FOUND" })
+    })
+  })
+
+  describe("recordDeposit", () => {
+    beforeEach(() => {
+      mock.method(ledger, "postEntry", async () => ({}))
+      mock.method(Transaction, "create", async (records) => records)
+      mock.method(complianceCases, "openFromFlag", async () => ({}))
+    })
+
+    const deposit = () => transfers.recordDeposit({ userId: recipient._id, amount: 500000, reference: "DEP-1" })
+
+    it("credits the amount less the channel fee", async () => {
+      const { overLimit } = await deposit()
+
+      assert.equal(overLimit, false)
+      const [{ arguments: [entry] }] = ledger.postEntry.mock.calls
+      assert.deepEqual(entry.postings, [
+        ledger.debit(ledger.ACCOUNTS.PROVIDER_FLOAT, 500000),
+        ledger.credit(ledger.userAccount(recipient._id), 499900),
+        ledger.credit(ledger.ACCOUNTS.FEE_INCOME, 100),
+      ])
+      assert.equal(complianceCases.openFromFlag.mock.callCount(), 0)
+    })
+
+    it("still credits a deposit over the limits, since the money is already in, and opens a case", async () => {
+      limits.assertWithinLimits.mock.mockImplementation(async () => {
+        throw new AppError("Daily limit exceeded", 400, "LIMIT_EXCEEDED")
+      })
+
+      const { overLimit } = await deposit()
+
+      assert.equal(overLimit, true)
+      assert.equal(ledger.postEntry.mock.callCount(), 1)
+      const [{ arguments: [flag] }] = complianceCases.openFromFlag.mock.calls
+      assert.deepEqual(flag.source, { type: complianceCases.CASE_SOURCES.LIMIT_BREACH, id: "DEP-1" })
+      assert.deepEqual(flag.transactionReferences, ["DEP-1"])
+    })
+
+    it("refuses an account that can't receive money", async () => {
+      recipient.status = ACCOUNT_STATUSES.FROZEN_ALL
+
+      await assert.rejects(deposit(), { code: "ACCOUNT_FROZEN" })
+      assert.equal(ledger.postEntry.mock.callCount(), 0)
+    })
+  })
+
+  describe("confirmPendingDeposit", () => {
+    it("refuses a deposit whose owner no longer exists", async () => {
+      mock.method(Transaction, "findOne", () => query({ reference: "DEP-1", userId: objectId(), amount: 5000 }))
+      mock.method(ledger, "postEntry", async () => ({}))
+
+      await assert.rejects(transfers.confirmPendingDeposit("DEP-1"), { status: 404, code: "USER_NOT_FOUND" })
+      assert.equal(ledger.postEntry.mock.callCount(), 0)
+    })
+  })
+})
@@ -0,0 +1,38 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test")
+const assert = require("node:assert/strict")
+const { objectId } = require("./helpers")
+const TwoFactor = require("../models/TwoFactor")
+const twoFactor = require("../services/twoFactor")
+const { STEP_UP } = require("../config/security")
+
+describe("twoFactor", () => {
+  describe("requireStepUp", () => {
+    const userId = objectId()
+
+    beforeEach(() => {
+      // Not enrolled
+      mock.method(TwoFactor, "exists", async () => null)
+    })
+
+    afterEach(() => mock.restoreAll())
+
+    it("lets a user without 2FA through on the PIN alone unless enrolment is required", async () => {
+      assert.equal(STEP_UP.requireEnrolment, false)
+
+      await twoFactor.requireStepUp(userId, { action: "add_beneficiary" })
+    })
+
+    it("never lets a user without 2FA close their account", async () => {
+      await assert.rejects(twoFactor.requireStepUp(userId, { action: "close_account" }), {
+        status: 403,
+        code: "2FA_ENROLMENT_REQUIRED",
+      })
+    })
+
+    it("asks an enrolled user for a code", async () => {
+      TwoFactor.exists.mock.mockImplementation(async () => ({ _id: objectId() }))
+
+      await assert.rejects(twoFactor.requireStepUp(userId, { action: "close_account" }), { code: "STEP_UP_REQUIRED" })
+    })
+  })
+})
@@ -0,0 +1,63 @@
+// Minimal RFC 4180 CSV: quoted fields may hold commas, newlines and doubled
+// quotes
+
+// Parse CSV text into an array of objects keyed by the header row
+const parse = (text) => {
+  const rows = []
+  let row = []
+  let field = ""
+  let quoted = false
+
+  const input = String(text).replace(/^\uFEFF/, "")
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ",") {
+      row.push(field)
+      field = ""
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field)
+    rows.push(row)
+  }
+
+  const [header = [], ...records] = rows.filter((fields) => fields.some((value) => value !== ""))
+  return records.map((fields) => Object.fromEntries(header.map((name, index) => [name.trim(), fields[index] || ""])))
+}
+
+// Quote fields that need it, and defuse ones a spreadsheet would run as a formula
+const escape = (value) => {
+  let text = value === null || value === undefined ? "" : value instanceof Date ? value.toISOString() : String(value)
+  if (/^[=+@\t]|^-(?!\d)/.test(text)) {
+    text = `'${text}`
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Turn objects into CSV text with a header row. `columns` lists the keys to
+// include, in order.
+const stringify = (rows, columns) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(escape).join(","))
+    .join("\r\n") + "\r\n"
+
+module.exports = { parse, stringify }
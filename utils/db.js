@@ -0,0 +1,19 @@
+const mongoose = require("mongoose")
+
+// Run fn(session) inside a MongoDB transaction. The driver retries the whole
+// callback on transient errors such as write conflicts between concurrent
+// debits, and aborts on anything else.
+const withTransaction = async (fn) => {
+  const session = await mongoose.startSession()
+  try {
+    let result
+    await session.withTransaction(async () => {
+      result = await fn(session)
+    })
+    return result
+  } finally {
+    await session.endSession()
+  }
+}
+
+module.exports = { withTransaction }
@@ -0,0 +1,35 @@
+// Error carrying the HTTP status and a stable machine-readable code, so
+// services can fail with a result the routes return to the client as-is
+class AppError extends Error {
+  constructor(message, status = 400, code = "BAD_REQUEST", details) {
+    super(message)
+    this.name = "AppError"
+    this.status = status
+    this.code = code
+    this.details = details
+  }
+}
+
+class InsufficientFundsError extends AppError {
+  constructor(message = "Insufficient balance") {
+    super(message, 400, "INSUFFICIENT_FUNDS")
+    this.name = "InsufficientFundsError"
+  }
+}
+
+// Send an AppError to the client as-is. Anything else is unexpected: log it
+// under the given label and answer with a generic 500.
+const sendError = (res, err, label = "Server error") => {
+  if (err instanceof AppError) {
+    const body = { success: false, message: err.message, code: err.code }
+    if (err.details) {
+      body.details = err.details
+    }
+    return res.status(err.status).json(body)
+  }
+
+  console.error(`${label}:`, err.message)
+  return res.status(500).json({ success: false, message: "Server error" })
+}
+
+module.exports = { AppError, InsufficientFundsError, sendError }
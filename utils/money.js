@@ -0,0 +1,114 @@
+// Money handling rules
+//
+// - Storage, the ledger and every internal calculation use integer minor units
+//   (kobo for NGN). Never store or add floating-point amounts.
+// - Request bodies carry amounts in major units (naira) as a number or string
+//   with at most two decimal places. Parse them with parseAmount().
+// - Responses carry amounts in major units. Models holding money apply
+//   majorUnitsTransform() to their toJSON output, so res.json(doc) is already
+//   formatted.
+// - Paystack expects and returns minor units, so amounts are passed through as-is.
+
+const DEFAULT_CURRENCY = "NGN"
+
+const CURRENCIES = {
+  NGN: { minorUnits: 100, symbol: "₦" },
+  USD: { minorUnits: 100, symbol: "$" },
+}
+
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/
+
+// Parse a client-supplied major-unit amount into integer minor units without a
+// floating-point round trip. Returns null for anything that is not a positive
+// amount with at most two decimal places.
+const parseAmount = (value) => {
+  if (value === undefined || value === null) {
+    return null
+  }
+
+  const text = String(value).trim()
+  if (!AMOUNT_PATTERN.test(text)) {
+    return null
+  }
+
+  const [whole, fraction = ""] = text.split(".")
+  const minor = Number(whole) * 100 + Number(fraction.padEnd(2, "0"))
+
+  if (!Number.isSafeInteger(minor) || minor <= 0) {
+    return null
+  }
+
+  return minor
+}
+
+// express-validator friendly check
+const isValidAmount = (value) => parseAmount(value) !== null
+
+// Convert a trusted major-unit constant (e.g. a configured fee of 25) to minor units
+const toMinor = (major) => Math.round(major * 100)
+
+const toMajor = (minor) => minor / 100
+
+const format = (minor, currency = DEFAULT_CURRENCY) => {
+  const { symbol } = CURRENCIES[currency] || { symbol: `${currency} ` }
+  const sign = minor < 0 ? "-" : ""
+  return `${sign}${symbol}${(Math.abs(minor) / 100).toLocaleString("en-NG", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`
+}
+
+// Schema definition for an integer minor-unit amount
+const moneyField = (options = {}) => ({
+  type: Number,
+  validate: {
+    validator: Number.isInteger,
+    message: (props) => `${props.path} must be an integer amount in minor units, got ${props.value}`,
+  },
+  ...options,
+})
+
+const currencyField = () => ({
+  type: String,
+  enum: Object.keys(CURRENCIES),
+  default: DEFAULT_CURRENCY,
+})
+
+// toJSON transform that renders the given minor-unit fields in major units
+const majorUnitsTransform = (fields) => (doc, ret) => {
+  for (const field of fields) {
+    if (typeof ret[field] === "number") {
+      ret[field] = toMajor(ret[field])
+    }
+  }
+  return ret
+}
+
+// Mongoose plugin for the models whose amounts were once stored in naira.
+// Documents created from now on are marked as holding minor units; older ones
+// are marked by scripts/migrate-to-minor-units.js as it converts them. The
+// field has no default, so an old document the app loads and saves before the
+// migration runs keeps looking unmigrated.
+const minorUnitsMarker = (schema) => {
+  schema.add({ amountsInMinorUnits: { type: Boolean } })
+  schema.pre("validate", function (next) {
+    if (this.isNew) {
+      this.amountsInMinorUnits = true
+    }
+    next()
+  })
+}
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  CURRENCIES,
+  parseAmount,
+  isValidAmount,
+  toMinor,
+  toMajor,
+  format,
+  moneyField,
+  currencyField,
+  majorUnitsTransform,
+  minorUnitsMarker,
+}
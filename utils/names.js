@@ -0,0 +1,142 @@
+// Personal-name matching that tolerates the usual differences between lists:
+// accents, punctuation, titles, transliteration ("Mohammed", "Muhammad",
+// "Mohamed") and name order ("Smith John").
+
+// Titles, particles and company suffixes that don't help tell names apart
+const IGNORED_TOKENS = new Set([
+  "mr",
+  "mrs",
+  "ms",
+  "miss",
+  "dr",
+  "prof",
+  "sir",
+  "chief",
+  "alhaji",
+  "alhaja",
+  "al",
+  "el",
+  "bin",
+  "ibn",
+  "ben",
+  "ltd",
+  "limited",
+  "plc",
+  "inc",
+  "llc",
+  "co",
+  "company",
+])
+
+// Spelling variants that transliteration produces for the same sound, folded
+// to one spelling. Applied in order.
+const FOLDS = [
+  [/ph/g, "f"],
+  [/kh/g, "h"],
+  [/gh/g, "g"],
+  [/th/g, "t"],
+  [/dh/g, "d"],
+  [/sch|sh/g, "s"],
+  [/ch/g, "h"],
+  [/ck|q/g, "k"],
+  [/c(?=[eiy])/g, "s"],
+  [/c/g, "k"],
+  [/x/g, "ks"],
+  [/z/g, "s"],
+  [/w/g, "v"],
+  [/j/g, "y"],
+  [/ou|oo/g, "u"],
+  [/ee|ie/g, "i"],
+  [/y/g, "i"],
+  [/(.)\1+/g, "$1"],
+]
+
+// Lower-case words with accents, punctuation and titles removed
+const tokens = (name) =>
+  String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, " ")
+    .split(/\s+/)
+    .filter((token) => token && !IGNORED_TOKENS.has(token))
+
+const fold = (token) => FOLDS.reduce((folded, [pattern, replacement]) => folded.replace(pattern, replacement), token)
+
+// A coarse key for finding candidates: the first letter and the consonants
+// that follow it
+const skeleton = (token) => {
+  const folded = fold(token)
+  return folded[0] + folded.slice(1).replace(/[aeiouh]/g, "")
+}
+
+// The words of a name in folded form, sorted so order doesn't matter
+const normalize = (name) => tokens(name).map(fold).sort()
+
+const keys = (name) => [...new Set(tokens(name).map(skeleton))]
+
+// Jaro-Winkler similarity between two strings, from 0 to 1
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1
+  if (!a.length || !b.length) return 0
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0)
+  const aMatched = new Array(a.length).fill(false)
+  const bMatched = new Array(b.length).fill(false)
+
+  let matches = 0
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = bMatched[j] = true
+        matches++
+        break
+      }
+    }
+  }
+  if (matches === 0) return 0
+
+  let transpositions = 0
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue
+    while (!bMatched[j]) j++
+    if (a[i] !== b[j]) transpositions++
+    j++
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3
+  let prefix = 0
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++
+  return jaro + prefix * 0.1 * (1 - jaro)
+}
+
+// How alike two names are, from 0 to 1. Each word of the shorter name is paired
+// with its closest unused word in the longer one; words left over in the
+// longer name cost a little (a middle name) or a lot (a lone first name
+// against a full one).
+const similarity = (a, b) => {
+  let [shorter, longer] = [normalize(a), normalize(b)]
+  if (shorter.length === 0 || longer.length === 0) return 0
+  if (shorter.length > longer.length) [shorter, longer] = [longer, shorter]
+
+  const used = new Set()
+  let total = 0
+  for (const word of shorter) {
+    let best = 0
+    let bestIndex = -1
+    longer.forEach((candidate, index) => {
+      if (used.has(index)) return
+      const score = jaroWinkler(word, candidate)
+      if (score > best) {
+        best = score
+        bestIndex = index
+      }
+    })
+    if (bestIndex >= 0) used.add(bestIndex)
+    total += best
+  }
+
+  return (total / shorter.length) * (shorter.length / longer.length) ** 0.25
+}
+
+module.exports = { tokens, normalize, keys, similarity }
@@ -0,0 +1,22 @@
+const crypto = require("crypto")
+
+// Where a request came from. X-Forwarded-For is only believed as far as the
+// "trust proxy" setting in server.js allows, so clients can't pick their own IP.
+const clientIp = (req) => req.ip
+
+const clientInfo = (req) => ({
+  ip: clientIp(req),
+  userAgent: req.header("user-agent"),
+})
+
+// Stable identifier for the device a request came from. Apps send a per-install
+// X-Device-Id; browsers fall back to their user agent and languages.
+const deviceFingerprint = (req) => {
+  const deviceId = req.header("x-device-id")
+  const source = deviceId
+    ? `id:${deviceId}`
+    : `ua:${req.header("user-agent") || ""}|lang:${req.header("accept-language") || ""}`
+  return crypto.createHash("sha256").update(source).digest("hex")
+}
+
+module.exports = { clientIp, clientInfo, deviceFingerprint }
@@ -0,0 +1,90 @@
+const crypto = require("crypto")
+
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30s steps),
+// compatible with Google Authenticator, Authy and friends.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+const STEP_SECONDS = 30
+const DIGITS = 6
+
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ""
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/=+$/, "").replace(/\s/g, "")
+  let bits = 0
+  let value = 0
+  const bytes = []
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error("Invalid base32 character")
+    }
+    value = (value << 5) | index
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return Buffer.from(bytes)
+}
+
+// A new random secret, base32 encoded (160 bits, as RFC 4226 recommends)
+const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+const counterAt = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS)
+
+// HOTP value for one counter (RFC 4226 section 5.3)
+const hotp = (secret, counter) => {
+  const message = Buffer.alloc(8)
+  message.writeBigUInt64BE(BigInt(counter))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS
+  return String(binary).padStart(DIGITS, "0")
+}
+
+const generate = (secret, time = Date.now()) => hotp(secret, counterAt(time))
+
+// The counter a code matches, allowing `window` steps of clock drift either
+// way, or null if it doesn't match. Callers use the counter to refuse replays.
+const verify = (secret, code, { window = 1, time = Date.now() } = {}) => {
+  const candidate = String(code || "").replace(/\s/g, "")
+  if (!/^\d{6}$/.test(candidate)) {
+    return null
+  }
+
+  const current = counterAt(time)
+  for (let counter = current - window; counter <= current + window; counter++) {
+    const expected = hotp(secret, counter)
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+      return counter
+    }
+  }
+  return null
+}
+
+// otpauth:// URI for authenticator apps (usually shown as a QR code)
+const otpauthUri = ({ secret, label, issuer }) => {
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: String(DIGITS), period: String(STEP_SECONDS) })
+  return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params.toString()}`
+}
+
+module.exports = { base32Encode, base32Decode, generateSecret, generate, verify, otpauthUri }